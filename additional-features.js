@@ -233,15 +233,9 @@ async function performAutoBackupWithRetry() {
 
         console.log('Starting enhanced automatic backup with retry...');
 
-        // Convert callback-based API to Promise to prevent race conditions
-        const cookies = await new Promise((resolve, reject) => {
-            chrome.cookies.getAll({}, (result) => {
-                if (chrome.runtime.lastError) {
-                    reject(new Error(`Failed to get cookies: ${chrome.runtime.lastError.message}`));
-                } else {
-                    resolve(result);
-                }
-            });
+        // Partitioned (CHIPS) cookies included
+        const cookies = await window.cookieJar.getCookiesForBackup().catch((error) => {
+            throw new Error(`Failed to get cookies: ${error.message}`);
         });
 
         if (!cookies || cookies.length === 0) {
@@ -257,7 +251,7 @@ async function performAutoBackupWithRetry() {
         const time = d.toLocaleTimeString("en-GB").replace(/:/g, "-");
         const filename = `auto-backup-${date}-${time}.json`;
         
-        const data = JSON.stringify(cookies, null, 2);
+        const data = await createBackup(cookies, { kind: 'automatic' });
 
         // Safely check backup settings with error handling
         let autoTelegram = false;
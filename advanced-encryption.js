@@ -30,8 +30,8 @@ const ENCRYPTION_METHODS = {
     icon: '🛡️'
   },
   quantum: {
-    name: 'Quantum-Resistant (ChaCha20)',
-    description: 'Future-proof against quantum computing',
+    name: 'XChaCha20-Poly1305',
+    description: 'Authenticated stream cipher with 192-bit random nonces',
     algorithm: 'chacha20',
     keySize: 256,
     iterations: 50000,
@@ -40,7 +40,7 @@ const ENCRYPTION_METHODS = {
   },
   stealth: {
     name: 'Steganography Mode',
-    description: 'Hide backup inside image files',
+    description: 'Hide the backup in a PNG image you choose',
     algorithm: 'aes-stego',
     keySize: 256,
     iterations: 10000,
@@ -49,6 +49,10 @@ const ENCRYPTION_METHODS = {
   }
 };
 
+// scrypt cost choices for backups, as log2(N) with r = 8 (memory = N KB)
+const SCRYPT_COST_OPTIONS = [14, 15, 16, 17];
+const SCRYPT_COST_DEFAULT = 15;
+
 /**
  * Get current encryption settings
  */
@@ -57,7 +61,11 @@ async function getEncryptionSettings() {
     const result = await chrome.storage.local.get([
       'encryptionMethod',
       'keyDerivationIterations',
+      'keyDerivationFunction',
+      'scryptCost',
       'useKeyFile',
+      'encryptToRecipients',
+      'autoBackupToRecipients',
       'useHardwareKey',
       'doubleEncryption',
       'timeLockEnabled',
@@ -67,7 +75,11 @@ async function getEncryptionSettings() {
     return {
       method: result.encryptionMethod || 'standard',
       iterations: result.keyDerivationIterations || 1000,
+      keyDerivation: result.keyDerivationFunction || 'scrypt',
+      scryptCost: result.scryptCost || SCRYPT_COST_DEFAULT,
       useKeyFile: result.useKeyFile || false,
+      encryptToRecipients: result.encryptToRecipients || false,
+      autoBackupToRecipients: result.autoBackupToRecipients || false,
       useHardwareKey: result.useHardwareKey || false,
       doubleEncryption: result.doubleEncryption || false,
       timeLockEnabled: result.timeLockEnabled || false,
@@ -77,7 +89,9 @@ async function getEncryptionSettings() {
     console.error('Error getting encryption settings:', error);
     return {
       method: 'standard',
-      iterations: 1000
+      iterations: 1000,
+      keyDerivation: 'scrypt',
+      scryptCost: SCRYPT_COST_DEFAULT
     };
   }
 }
@@ -90,7 +104,11 @@ async function saveEncryptionSettings(settings) {
     await chrome.storage.local.set({
       encryptionMethod: settings.method,
       keyDerivationIterations: settings.iterations,
+      keyDerivationFunction: settings.keyDerivation || 'scrypt',
+      scryptCost: settings.scryptCost || SCRYPT_COST_DEFAULT,
       useKeyFile: settings.useKeyFile || false,
+      encryptToRecipients: settings.encryptToRecipients || false,
+      autoBackupToRecipients: settings.autoBackupToRecipients || false,
       useHardwareKey: settings.useHardwareKey || false,
       doubleEncryption: settings.doubleEncryption || false,
       timeLockEnabled: settings.timeLockEnabled || false,
@@ -104,10 +122,40 @@ async function saveEncryptionSettings(settings) {
   }
 }
 
+/**
+ * createBackup() options for the selected settings: the key derivation, plus
+ * XChaCha20-Poly1305 when chosen (and available) instead of AES-256-CCM.
+ * useKeyFile tells the caller to ask for a key file and pass it as keyFile;
+ * stego to ask for a cover PNG and hide the backup in it (stego-image.js).
+ * recipients replaces the password when backups go to public keys.
+ */
+async function getBackupEncryptionOptions() {
+  const settings = await getEncryptionSettings();
+  const config = ENCRYPTION_METHODS[settings.method];
+  const options = settings.encryptToRecipients
+    ? { useKeyFile: false, recipients: await resolveBackupRecipients() }
+    : {
+      useKeyFile: !!settings.useKeyFile,
+      kdf: settings.keyDerivation === BACKUP_KDFS.PBKDF2
+        ? { name: BACKUP_KDFS.PBKDF2, iterations: Math.max(settings.iterations, DEFAULT_BACKUP_ITERATIONS) }
+        : { name: BACKUP_KDFS.SCRYPT, N: 2 ** settings.scryptCost, r: SCRYPT_DEFAULTS.r, p: SCRYPT_DEFAULTS.p }
+    };
+  if (!config || (config.algorithm !== 'chacha20' && config.algorithm !== 'aes-stego')) {
+    return options;
+  }
+  if (config.premium && typeof isFeatureAvailable === 'function' && !(await isFeatureAvailable('advanced_encryption'))) {
+    return options;
+  }
+  return config.algorithm === 'chacha20'
+    ? { ...options, cipher: 'xchacha20-poly1305' }
+    : { ...options, stego: true };
+}
+
 /**
  * Encrypt data with selected method
+ * @param {Object} options - { cover } PNG to hide the result in (steganography only)
  */
-async function encryptWithMethod(data, password, method = 'standard') {
+async function encryptWithMethod(data, password, method = 'standard', options = {}) {
   const config = ENCRYPTION_METHODS[method];
   
   if (!config) {
@@ -133,7 +181,7 @@ async function encryptWithMethod(data, password, method = 'standard') {
       return encryptChaCha20(data, password, config.iterations);
       
     case 'aes-stego':
-      return await encryptSteganography(data, password, config.iterations);
+      return await encryptSteganography(data, password, config.iterations, options.cover);
       
     default:
       return encryptAES(data, password, config.iterations);
@@ -169,67 +217,23 @@ function encryptDoubleAES(data, password, iterations = 10000) {
 }
 
 /**
- * ChaCha20 encryption (simulated - would need actual implementation)
+ * XChaCha20-Poly1305 encryption (see xchacha20.js)
+ * @returns {Promise<string>} Serialized envelope, tagged cipher: "xchacha20-poly1305"
  */
-function encryptChaCha20(data, password, iterations = 50000) {
-  // In production, would use actual ChaCha20 library
-  // For now, use enhanced AES with more iterations
-  console.log('Using enhanced AES (ChaCha20 simulation)');
-  return encryptAES(data, password, iterations);
+async function encryptChaCha20(data, password, iterations = 50000) {
+  return JSON.stringify(await encryptXChaCha20(data, password, { iterations }));
 }
 
 /**
- * Steganography encryption - hide data in image
+ * Steganography - encrypt, then hide the result in a cover PNG (see stego-image.js)
+ * @param {Blob} cover - PNG chosen by the user
+ * @returns {Promise<Blob>} PNG holding the encrypted data
  */
-async function encryptSteganography(data, password, iterations = 10000) {
-  // First encrypt the data
-  const encrypted = encryptAES(data, password, iterations);
-  
-  // Create a canvas with encoded data
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-  
-  // Calculate required size
-  const dataLength = encrypted.length;
-  const pixelsNeeded = Math.ceil(dataLength / 3); // RGB channels
-  const size = Math.ceil(Math.sqrt(pixelsNeeded));
-  
-  canvas.width = size;
-  canvas.height = size;
-  
-  // Create noise image
-  const imageData = ctx.createImageData(size, size);
-  
-  // Encode encrypted data into image pixels
-  let dataIndex = 0;
-  for (let i = 0; i < imageData.data.length && dataIndex < encrypted.length; i += 4) {
-    // Use RGB channels, leave alpha at 255
-    imageData.data[i] = encrypted.charCodeAt(dataIndex++) || 0;
-    imageData.data[i + 1] = encrypted.charCodeAt(dataIndex++) || 0;
-    imageData.data[i + 2] = encrypted.charCodeAt(dataIndex++) || 0;
-    imageData.data[i + 3] = 255;
+async function encryptSteganography(data, password, iterations = 10000, cover = null) {
+  if (!cover) {
+    throw new Error('Choose a cover PNG to hide the data in');
   }
-  
-  ctx.putImageData(imageData, 0, 0);
-  
-  // Convert to PNG
-  return new Promise((resolve) => {
-    canvas.toBlob((blob) => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        resolve({
-          type: 'steganography',
-          image: reader.result,
-          metadata: {
-            width: size,
-            height: size,
-            dataLength: dataLength
-          }
-        });
-      };
-      reader.readAsDataURL(blob);
-    }, 'image/png');
-  });
+  return hideBackupInImage(cover, encryptAES(data, password, iterations));
 }
 
 /**
@@ -242,6 +246,16 @@ async function decryptWithMethod(encryptedData, password, method = 'standard') {
     throw new Error('Invalid encryption method');
   }
   
+  // Images from encryptSteganography(), whatever method is selected now
+  if (encryptedData instanceof Blob) {
+    return decryptSteganography(encryptedData, password);
+  }
+  
+  // XChaCha20 envelopes carry their own tag, whatever method is selected now
+  if (parseChaCha20Envelope(encryptedData)) {
+    return decryptChaCha20(encryptedData, password);
+  }
+  
   switch (config.algorithm) {
     case 'aes':
       return decryptAES(encryptedData, password);
@@ -284,60 +298,34 @@ function decryptDoubleAES(encryptedData, password, iterations = 10000) {
 }
 
 /**
- * ChaCha20 decryption (simulated)
+ * Parse an XChaCha20-Poly1305 envelope, null for anything else
  */
-function decryptChaCha20(encryptedData, password) {
-  // In production, would use actual ChaCha20 library
-  return decryptAES(encryptedData, password);
+function parseChaCha20Envelope(encryptedData) {
+  try {
+    const parsed = typeof encryptedData === 'string' ? JSON.parse(encryptedData) : encryptedData;
+    return isXChaCha20Envelope(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
 }
 
 /**
- * Steganography decryption - extract data from image
+ * XChaCha20-Poly1305 decryption
  */
-async function decryptSteganography(stegoData, password) {
-  if (!stegoData.type === 'steganography' || !stegoData.image) {
-    throw new Error('Invalid steganography data');
-  }
-  
-  // Create image from data URL
-  const img = new Image();
-  img.src = stegoData.image;
-  
-  await new Promise((resolve) => {
-    img.onload = resolve;
-  });
-  
-  // Extract data from image
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-  canvas.width = stegoData.metadata.width;
-  canvas.height = stegoData.metadata.height;
-  
-  ctx.drawImage(img, 0, 0);
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-  
-  // Extract encrypted data from pixels
-  let extractedData = '';
-  const dataLength = stegoData.metadata.dataLength;
-  let charCount = 0;
-  
-  for (let i = 0; i < imageData.data.length && charCount < dataLength; i += 4) {
-    if (charCount < dataLength) {
-      extractedData += String.fromCharCode(imageData.data[i]);
-      charCount++;
-    }
-    if (charCount < dataLength) {
-      extractedData += String.fromCharCode(imageData.data[i + 1]);
-      charCount++;
-    }
-    if (charCount < dataLength) {
-      extractedData += String.fromCharCode(imageData.data[i + 2]);
-      charCount++;
-    }
+async function decryptChaCha20(encryptedData, password) {
+  const envelope = parseChaCha20Envelope(encryptedData);
+  if (!envelope) {
+    throw new Error('Not XChaCha20-Poly1305 data');
   }
-  
-  // Decrypt the extracted data
-  return decryptAES(extractedData, password);
+  return new TextDecoder().decode(await decryptXChaCha20(envelope, password));
+}
+
+/**
+ * Steganography decryption - extract the encrypted data from the PNG, then decrypt it
+ * @param {Blob} image - PNG from encryptSteganography()
+ */
+async function decryptSteganography(image, password) {
+  return decryptAES(await extractBackupFromImage(image), password);
 }
 
 /**
@@ -345,14 +333,13 @@ async function decryptSteganography(stegoData, password) {
  */
 async function generateKeyFile() {
   const keyData = {
-    version: '1.0',
+    version: '1.1',
     created: new Date().toISOString(),
     key: sjcl.codec.hex.fromBits(sjcl.random.randomWords(8)),
-    salt: sjcl.codec.hex.fromBits(sjcl.random.randomWords(4)),
-    checksum: null
+    salt: sjcl.codec.hex.fromBits(sjcl.random.randomWords(4))
   };
   
-  keyData.checksum = generateChecksum(JSON.stringify(keyData));
+  keyData.integrity = await createIntegrity(JSON.stringify(keyData));
   
   const blob = new Blob([JSON.stringify(keyData, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
@@ -371,20 +358,10 @@ async function generateKeyFile() {
 /**
  * Verify key file
  */
-function verifyKeyFile(keyFileContent) {
+async function verifyKeyFile(keyFileContent) {
   try {
-    const keyData = JSON.parse(keyFileContent);
-    
-    if (!keyData.version || !keyData.key || !keyData.salt) {
-      return false;
-    }
-    
-    // Verify checksum
-    const checkData = { ...keyData };
-    delete checkData.checksum;
-    const calculatedChecksum = generateChecksum(JSON.stringify(checkData));
-    
-    return calculatedChecksum === keyData.checksum;
+    await readKeyFile(keyFileContent);
+    return true;
   } catch (error) {
     return false;
   }
@@ -440,13 +417,51 @@ function showEncryptionSettingsDialog() {
             ${!hasPremium ? '<span class="premium-badge">Premium</span>' : ''}
           </label>
           
-          <div class="iterations-setting">
+          <div class="kdf-setting">
+            <label for="kdf-select">Key Derivation:</label>
+            <select id="kdf-select">
+              <option value="scrypt" ${settings.keyDerivation !== 'pbkdf2-hmac-sha256' ? 'selected' : ''}>scrypt (memory-hard)</option>
+              <option value="pbkdf2-hmac-sha256" ${settings.keyDerivation === 'pbkdf2-hmac-sha256' ? 'selected' : ''}>PBKDF2-SHA256</option>
+            </select>
+          </div>
+          
+          <div class="scrypt-setting" ${settings.keyDerivation === 'pbkdf2-hmac-sha256' ? 'style="display: none;"' : ''}>
+            <label for="scrypt-cost">scrypt Memory Cost:</label>
+            <select id="scrypt-cost">
+              ${SCRYPT_COST_OPTIONS.map(cost => `
+                <option value="${cost}" ${settings.scryptCost === cost ? 'selected' : ''}>${2 ** cost / 1024} MB (N=2^${cost})</option>
+              `).join('')}
+            </select>
+          </div>
+          
+          <div class="iterations-setting" ${settings.keyDerivation !== 'pbkdf2-hmac-sha256' ? 'style="display: none;"' : ''}>
             <label>Key Derivation Iterations:</label>
             <input type="range" id="iterations-slider" min="1000" max="100000" step="1000" value="${settings.iterations}">
             <span id="iterations-value">${settings.iterations}</span>
           </div>
         </div>
         
+        <div class="encryption-options recipient-keys">
+          <h3>Public-Key Recipients</h3>
+          <p class="recipient-hint">Encrypt backups to your teammates' public keys instead of a shared password. Each browser opens them with its own private key.</p>
+          
+          <div class="recipient-identity" id="recipient-identity"></div>
+          <ul class="recipient-list" id="recipient-list"></ul>
+          <textarea id="recipient-import" rows="3" placeholder="Paste a teammate's public key"></textarea>
+          <button class="btn-secondary" id="recipient-add">Add Recipient</button>
+          <p class="recipient-error" id="recipient-error"></p>
+          
+          <label class="encryption-option">
+            <input type="checkbox" id="encrypt-to-recipients" ${settings.encryptToRecipients ? 'checked' : ''}>
+            <span>Encrypt backups to recipients (no password)</span>
+          </label>
+          
+          <label class="encryption-option">
+            <input type="checkbox" id="auto-backup-recipients" ${settings.autoBackupToRecipients ? 'checked' : ''}>
+            <span>Encrypt automatic backups to recipients</span>
+          </label>
+        </div>
+        
         <div class="encryption-actions">
           <button class="btn-secondary" id="generate-keyfile">Generate Key File</button>
           <button class="btn-primary" id="save-encryption-settings">Save Settings</button>
@@ -505,6 +520,16 @@ function setupEncryptionHandlers(modal, currentSettings) {
     });
   }
   
+  // Key derivation: scrypt has a memory cost, PBKDF2 an iteration count
+  const kdfSelect = modal.querySelector('#kdf-select');
+  if (kdfSelect) {
+    kdfSelect.addEventListener('change', () => {
+      const scrypt = kdfSelect.value === 'scrypt';
+      modal.querySelector('.scrypt-setting').style.display = scrypt ? '' : 'none';
+      modal.querySelector('.iterations-setting').style.display = scrypt ? 'none' : '';
+    });
+  }
+  
   // Generate key file
   const generateBtn = modal.querySelector('#generate-keyfile');
   if (generateBtn) {
@@ -516,15 +541,28 @@ function setupEncryptionHandlers(modal, currentSettings) {
     });
   }
   
+  setupRecipientKeyHandlers(modal);
+  
   // Save settings
   const saveBtn = modal.querySelector('#save-encryption-settings');
   if (saveBtn) {
     saveBtn.addEventListener('click', async () => {
+      const toRecipients = modal.querySelector('#encrypt-to-recipients').checked ||
+        modal.querySelector('#auto-backup-recipients').checked;
+      if (toRecipients && (await resolveBackupRecipients()).length === 0) {
+        modal.querySelector('#recipient-error').textContent = 'Create your key pair or add a recipient before encrypting backups to recipients.';
+        return;
+      }
+      
       const selectedMethod = modal.querySelector('.encryption-method.selected');
       const newSettings = {
         method: selectedMethod ? selectedMethod.dataset.method : currentSettings.method,
         iterations: parseInt(modal.querySelector('#iterations-slider').value),
+        keyDerivation: modal.querySelector('#kdf-select').value,
+        scryptCost: parseInt(modal.querySelector('#scrypt-cost').value),
         useKeyFile: modal.querySelector('#use-keyfile').checked,
+        encryptToRecipients: modal.querySelector('#encrypt-to-recipients').checked,
+        autoBackupToRecipients: modal.querySelector('#auto-backup-recipients').checked,
         useHardwareKey: modal.querySelector('#use-hardware').checked,
         timeLockEnabled: modal.querySelector('#time-lock').checked
       };
@@ -541,16 +579,128 @@ function setupEncryptionHandlers(modal, currentSettings) {
 }
 
 /**
- * Generate checksum
+ * Save a key document through the downloads API
  */
-function generateChecksum(data) {
-  let hash = 0;
-  for (let i = 0; i < data.length; i++) {
-    const char = data.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return hash.toString(16);
+function downloadKeyDocument(text, filename) {
+  const blob = new Blob([text], { type: 'application/json' });
+  chrome.downloads.download({
+    url: URL.createObjectURL(blob),
+    filename: filename,
+    saveAs: true
+  });
+}
+
+/**
+ * Show the local key pair and the imported recipients
+ */
+async function renderRecipientKeys(modal) {
+  const identity = await getRecipientIdentity();
+  const recipients = await getBackupRecipients();
+  
+  modal.querySelector('#recipient-identity').innerHTML = identity
+    ? `
+      <div>Your key: <code>${formatRecipientKeyId(identity.id)}</code> ${escapeHtml(identity.name || '')}</div>
+      <button class="btn-secondary" data-recipient-action="export-public">Export Public Key</button>
+      <button class="btn-secondary" data-recipient-action="export-identity">Back Up Key Pair</button>
+      <button class="btn-secondary" data-recipient-action="import-identity">Import Key Pair</button>
+    `
+    : `
+      <div>This browser has no key pair yet.</div>
+      <button class="btn-secondary" data-recipient-action="generate">Create Key Pair</button>
+      <button class="btn-secondary" data-recipient-action="import-identity">Import Key Pair</button>
+    `;
+  
+  modal.querySelector('#recipient-list').innerHTML = recipients.length > 0
+    ? recipients.map(recipient => `
+      <li>
+        <span>${escapeHtml(recipient.name || 'Unnamed')} <code>${formatRecipientKeyId(recipient.id)}</code></span>
+        <button class="btn-secondary" data-recipient-remove="${escapeHtml(recipient.id)}">Remove</button>
+      </li>
+    `).join('')
+    : '<li class="recipient-empty">No teammates added</li>';
+}
+
+/**
+ * Key pair and recipient actions of the encryption dialog
+ */
+function setupRecipientKeyHandlers(modal) {
+  const errorLine = modal.querySelector('#recipient-error');
+  const run = async (action) => {
+    errorLine.textContent = '';
+    try {
+      await action();
+      await renderRecipientKeys(modal);
+    } catch (error) {
+      errorLine.textContent = error.code === 'BAD_PASSWORD' ? 'Password incorrect.' : error.message;
+    }
+  };
+  
+  const importFile = document.createElement('input');
+  importFile.type = 'file';
+  importFile.accept = '.json,application/json';
+  importFile.addEventListener('change', () => run(async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) {
+      return;
+    }
+    const password = prompt('Password of the key pair backup:');
+    if (password === null) {
+      return;
+    }
+    await importRecipientIdentity(await file.text(), password);
+  }));
+  
+  const actions = {
+    generate: async () => {
+      const name = prompt('Your name, shown to teammates with your public key:', '');
+      if (name !== null) {
+        await generateRecipientIdentity(name.trim());
+      }
+    },
+    'export-public': async () => {
+      const identity = await getRecipientIdentity();
+      downloadKeyDocument(exportRecipientPublicKey(identity), `cookie-vault-public-key-${identity.id}.json`);
+    },
+    'export-identity': async () => {
+      const password = prompt('Choose a password to protect the key pair backup (at least 8 characters):');
+      if (password === null) {
+        return;
+      }
+      if (password.length < 8) {
+        throw new Error('The password needs at least 8 characters');
+      }
+      const identity = await getRecipientIdentity();
+      downloadKeyDocument(await exportRecipientIdentity(password), `cookie-vault-key-pair-${identity.id}.json`);
+    },
+    'import-identity': async () => {
+      if (await getRecipientIdentity() &&
+          !confirm('Replace this browser\'s key pair? Backups encrypted to the current key can no longer be opened here unless it was backed up.')) {
+        return;
+      }
+      importFile.click();
+    }
+  };
+  
+  modal.querySelector('.recipient-keys').addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) {
+      return;
+    }
+    if (button.dataset.recipientAction) {
+      run(actions[button.dataset.recipientAction]);
+    } else if (button.dataset.recipientRemove) {
+      run(() => removeBackupRecipient(button.dataset.recipientRemove));
+    } else if (button.id === 'recipient-add') {
+      run(async () => {
+        const input = modal.querySelector('#recipient-import');
+        await addBackupRecipient(input.value.trim());
+        input.value = '';
+      });
+    }
+  });
+  
+  renderRecipientKeys(modal);
 }
 
 // Export functions
@@ -559,6 +709,7 @@ if (typeof module !== 'undefined' && module.exports) {
     ENCRYPTION_METHODS,
     getEncryptionSettings,
     saveEncryptionSettings,
+    getBackupEncryptionOptions,
     encryptWithMethod,
     decryptWithMethod,
     generateKeyFile,
@@ -570,5 +721,6 @@ if (typeof module !== 'undefined' && module.exports) {
 // Make functions globally available
 window.showEncryptionSettingsDialog = showEncryptionSettingsDialog;
 window.encryptWithMethod = encryptWithMethod;
+window.getBackupEncryptionOptions = getBackupEncryptionOptions;
 window.decryptWithMethod = decryptWithMethod;
 window.generateKeyFile = generateKeyFile;
\ No newline at end of file
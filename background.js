@@ -1,3 +1,10 @@
+// Shared backup container format (v2) and the restore engine for background restore jobs
+importScripts(
+  'integrity.js', 'key-derivation.js', 'backup-format.js', 'xchacha20.js', 'recipient-keys.js',
+  'backup-chain.js', 'cookie-jar.js', 'cookie-rules.js', 'restore-plan.js', 'restore-engine.js',
+  'restore-snapshot.js', 'restore-job.js'
+);
+
 // ===== GLOBAL ERROR BOUNDARIES FOR SERVICE WORKER =====
 
 // Service worker error tracking
@@ -153,14 +160,9 @@ async function performBackup() {
     console.log('Starting automatic cookie backup...');
     
     // Get all cookies with proper error handling
-    const cookies = await new Promise((resolve, reject) => {
-      chrome.cookies.getAll({}, (result) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(`Failed to get cookies: ${chrome.runtime.lastError.message}`));
-        } else {
-          resolve(result);
-        }
-      });
+    // Every cookie store selected for backups (incognito, containers)
+    const cookies = await getCookiesForBackup().catch((error) => {
+      throw new Error(`Failed to get cookies: ${error.message}`);
     });
 
     if (!cookies || cookies.length === 0) {
@@ -169,11 +171,10 @@ async function performBackup() {
     }
 
     console.log(`Found ${cookies.length} cookies for backup`);
-    const data = JSON.stringify(cookies, null, 2);
     
     // Get profile name from storage with error handling
     const settings = await new Promise((resolve, reject) => {
-      chrome.storage.local.get(['savedProfileName'], (result) => {
+      chrome.storage.local.get(['savedProfileName', 'autoBackupToRecipients'], (result) => {
         if (chrome.runtime.lastError) {
           reject(new Error(`Failed to get profile name: ${chrome.runtime.lastError.message}`));
         } else {
@@ -184,15 +185,41 @@ async function performBackup() {
 
     const profileName = settings.savedProfileName || '';
     
-    // Create a timestamped filename for the unencrypted backup
+    // Auto backups are unencrypted unless set to go to recipients' public keys;
+    // only public keys are read here, so no secret is stored for this
+    const recipients = settings.autoBackupToRecipients ? await resolveBackupRecipients() : null;
+    if (recipients && recipients.length === 0) {
+      throw new Error('Automatic backups are set to be encrypted to recipients, but no public key has been set up');
+    }
+    
+    // Wrap the cookies in a v2 backup container, recording only the changes
+    // since the last run when incremental mode is on
+    const chained = await createChainedBackup('automatic', cookies, {
+      kind: 'automatic',
+      label: profileName,
+      storeNames: await getCookieStoreNames(),
+      // SJCL is not loaded in the service worker
+      ...(recipients ? { recipients, cipher: BACKUP_CIPHERS.XCHACHA20_POLY1305 } : {})
+    });
+    
+    if (!chained) {
+      console.log('No cookie changes since the last automatic backup');
+      return;
+    }
+    
+    const data = chained.data;
+    const chainSuffix = getBackupChainSuffix(chained.chain);
+    
+    // Create a timestamped filename; encrypted backups are .ckz files
     const d = new Date();
     const date = d.toLocaleDateString("en-GB").replace(/\//g, "-");
     const time = d.toLocaleTimeString("en-GB").replace(/:/g, "-");
+    const extension = recipients ? 'ckz' : 'json';
     
     // Include profile name in filename if provided
     const filename = profileName 
-      ? `cookies-auto-${profileName}-${date}-${time}.json`
-      : `cookies-auto-backup-${date}-${time}.json`;
+      ? `cookies-auto-${profileName}-${date}-${time}${chainSuffix}.${extension}`
+      : `cookies-auto-backup-${date}-${time}${chainSuffix}.${extension}`;
 
     try {
       // Use data URL instead of URL.createObjectURL (not available in service workers)
@@ -215,6 +242,9 @@ async function performBackup() {
       if (downloadId) {
         console.log(`Local backup saved successfully: ${filename}`);
         
+        // The saved file is the baseline for the next incremental backup
+        await saveBackupChainState('automatic', chained.state);
+        
         // Update auto backup history in storage
         try {
           await new Promise((resolve, reject) => {
@@ -370,6 +400,20 @@ async function sendAutomaticBackupToTelegram(cookieData, filename, cookieCount)
   }
 }
 
+// --- BACKGROUND RESTORE JOBS ---
+
+// Popups start and watch restore jobs over a port, so a restore survives the popup closing
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === RESTORE_JOB_PORT) {
+    handleRestoreJobPort(port);
+  }
+});
+
+// Pick up a restore that was interrupted when the service worker stopped
+resumeRestoreJob().catch((error) => {
+  reportServiceWorkerError('restore_job_resume', error, 'error');
+});
+
 // --- LISTENER AND FUNCTIONS FOR TELEGRAM BACKUP ---
 
 // Listen for messages from popup.js
@@ -379,7 +423,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         // We make this an async operation to handle the fetch API call
         (async () => {
             try {
-                await sendToTelegram(request.data, request.botToken, request.chatId, request.filename);
+                // Stego images arrive as base64, since runtime messages cannot carry a Blob
+                const file = request.mediaType
+                    ? new Blob([base64ToBytes(request.data)], { type: request.mediaType })
+                    : request.data;
+                await sendToTelegram(file, request.botToken, request.chatId, request.filename);
                 sendResponse({ status: "success", message: "Backup sent to Telegram successfully!" });
             } catch (error) {
                 sendResponse({ status: "error", message: error.message });
@@ -447,7 +495,7 @@ async function sendToTelegramWithRetry(cookieData, botToken, chatId, customFilen
 
 /**
  * Sends the cookie data as a file to the Telegram Bot API.
- * @param {string} cookieData - The JSON string of the cookies.
+ * @param {string|Blob} cookieData - The JSON string of the cookies, or an image hiding a backup.
  * @param {string} botToken - The Telegram bot token.
  * @param {string} chatId - The Telegram chat ID to send the message to.
  * @param {string} customFilename - Optional custom filename (for automatic backups).
@@ -458,8 +506,8 @@ async function sendToTelegram(cookieData, botToken, chatId, customFilename = nul
         throw new Error('Missing required parameters for Telegram backup');
     }
 
-    if (typeof cookieData !== 'string') {
-        throw new Error('Cookie data must be a string');
+    if (typeof cookieData !== 'string' && !(cookieData instanceof Blob)) {
+        throw new Error('Cookie data must be a string or an image');
     }
 
     const telegramApiUrl = `https://api.telegram.org/bot${botToken}/sendDocument`;
@@ -477,13 +525,16 @@ async function sendToTelegram(cookieData, botToken, chatId, customFilename = nul
     
     try {
         // Convert the cookie data string into a Blob to send as a file
-        const blob = new Blob([cookieData], { type: 'application/json' });
+        const blob = cookieData instanceof Blob ? cookieData : new Blob([cookieData], { type: 'application/json' });
         
         // Use FormData to structure the multipart/form-data request
         const formData = new FormData();
         formData.append('chat_id', chatId);
         formData.append('document', blob, filename);
-        formData.append('caption', `Here is your cookie backup from ${new Date().toLocaleString()}.`);
+        // An image hiding a backup must not be captioned as one
+        if (!(cookieData instanceof Blob)) {
+            formData.append('caption', `Here is your cookie backup from ${new Date().toLocaleString()}.`);
+        }
 
         // Add timeout and better error handling for network requests
         const controller = new AbortController();
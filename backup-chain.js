@@ -0,0 +1,278 @@
+/**
+ * Backup Chain Module
+ * Incremental backups: each run stores only the cookies added, changed or
+ * removed since the previous backup of the same stream ("automatic" or
+ * "manual"), with a full snapshot every few runs. Restoring replays the
+ * chain from the nearest full snapshot up to any chosen point.
+ *
+ * The baseline is kept in chrome.storage.local as one short SHA-256
+ * fingerprint per cookie, so cookie values are not stored a second time.
+ *
+ * This file is loaded both by popup.html and by the service worker
+ * (importScripts), so it must not touch the DOM. Requires integrity.js
+ * and backup-format.js.
+ */
+
+const BACKUP_CHAIN_STORAGE_KEY = 'backupChains';
+const DEFAULT_FULL_SNAPSHOT_INTERVAL = 24;
+
+// Attributes compared when deciding whether a cookie changed
+const COOKIE_FINGERPRINT_FIELDS = [
+  'value', 'secure', 'httpOnly', 'sameSite', 'hostOnly', 'session', 'expirationDate'
+];
+
+/**
+ * Key identifying a cookie within a jar
+ * Partitioned cookies carry their top-level site after the store id
+ * ("0#https://example.com"), so keys of ordinary cookies are unchanged.
+ */
+function getCookieKey(cookie) {
+  const site = cookie.partitionKey && cookie.partitionKey.topLevelSite;
+  const store = (cookie.storeId || '0') + (site ? `#${site}` : '');
+  return [store, cookie.domain, cookie.path || '/', cookie.name].join('|');
+}
+
+/**
+ * Fingerprint every cookie (truncated SHA-256 of its attributes)
+ * @returns {Promise<Object>} Map of cookie key to fingerprint
+ */
+async function fingerprintCookies(cookies) {
+  const fingerprints = {};
+  const digests = await Promise.all(cookies.map(cookie =>
+    sha256Hex(JSON.stringify(COOKIE_FINGERPRINT_FIELDS.map(field => cookie[field] ?? null)))
+  ));
+  cookies.forEach((cookie, index) => {
+    fingerprints[getCookieKey(cookie)] = digests[index].slice(0, 16);
+  });
+  return fingerprints;
+}
+
+/**
+ * Compare the current cookies against the baseline fingerprints
+ * @returns {{added: Array, changed: Array, removed: Array}}
+ */
+function diffAgainstFingerprints(baseline, cookies, fingerprints) {
+  const changes = { added: [], changed: [], removed: [] };
+  const seen = new Set();
+
+  cookies.forEach((cookie) => {
+    const key = getCookieKey(cookie);
+    seen.add(key);
+    if (!(key in baseline)) {
+      changes.added.push(cookie);
+    } else if (baseline[key] !== fingerprints[key]) {
+      changes.changed.push(cookie);
+    }
+  });
+
+  Object.keys(baseline).forEach((key) => {
+    if (!seen.has(key)) {
+      const [store, domain, path, ...name] = key.split('|');
+      const [storeId, site] = store.split('#');
+      const identity = { storeId, domain, path, name: name.join('|') };
+      if (site) {
+        identity.partitionKey = { topLevelSite: site };
+      }
+      changes.removed.push(identity);
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Total number of entries in a change set
+ */
+function countCookieChanges(changes) {
+  return changes.added.length + changes.changed.length + changes.removed.length;
+}
+
+/**
+ * Apply a change set to a list of cookies
+ */
+function applyCookieChanges(cookies, changes) {
+  const jar = new Map(cookies.map(cookie => [getCookieKey(cookie), cookie]));
+  changes.removed.forEach(identity => jar.delete(getCookieKey(identity)));
+  changes.added.concat(changes.changed).forEach(cookie => jar.set(getCookieKey(cookie), cookie));
+  return Array.from(jar.values());
+}
+
+/**
+ * Random identifier for a new chain
+ */
+function generateChainId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(6));
+  return 'chain_' + Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Create the next backup of a stream, incremental when enabled in settings
+ * Call saveBackupChainState(stream, result.state) once the backup has been stored.
+ * @param {string} stream - 'automatic' or 'manual'
+ * @param {Array} cookies - Current cookies
+ * @param {Object} options - Passed to createBackup
+ * @returns {Promise<{data: string, chain: Object|null, state: Object|null}|null>}
+ *   null when incremental mode is on and nothing changed
+ */
+async function createChainedBackup(stream, cookies, options = {}) {
+  const settings = await chrome.storage.local.get([
+    'incrementalBackups',
+    'fullSnapshotInterval',
+    BACKUP_CHAIN_STORAGE_KEY
+  ]);
+
+  if (!settings.incrementalBackups) {
+    return { data: await createBackup(cookies, options), chain: null, state: null };
+  }
+
+  const interval = Math.max(1, parseInt(settings.fullSnapshotInterval, 10) || DEFAULT_FULL_SNAPSHOT_INTERVAL);
+  const previous = (settings[BACKUP_CHAIN_STORAGE_KEY] || {})[stream];
+  const fingerprints = await fingerprintCookies(cookies);
+  const sequence = previous ? previous.sequence + 1 : 1;
+  const isFull = !previous || sequence - previous.lastFullSequence >= interval;
+  let changes = null;
+
+  if (!isFull) {
+    changes = diffAgainstFingerprints(previous.fingerprints, cookies, fingerprints);
+    if (countCookieChanges(changes) === 0) {
+      return null;
+    }
+  }
+
+  const chain = {
+    id: previous ? previous.id : generateChainId(),
+    stream: stream,
+    sequence: sequence,
+    type: isFull ? 'full' : 'incremental',
+    baseSequence: previous ? previous.sequence : null
+  };
+
+  return {
+    data: await createBackup(cookies, { ...options, chain, changes }),
+    chain: chain,
+    state: {
+      id: chain.id,
+      sequence: sequence,
+      lastFullSequence: isFull ? sequence : previous.lastFullSequence,
+      updated: Date.now(),
+      fingerprints: fingerprints
+    }
+  };
+}
+
+/**
+ * Filename suffix showing a backup's place in its chain ("-incr-7")
+ */
+function getBackupChainSuffix(chain) {
+  if (!chain) {
+    return '';
+  }
+  return `-${chain.type === 'full' ? 'full' : 'incr'}-${chain.sequence}`;
+}
+
+/**
+ * Make a stored backup the baseline for the next incremental run
+ */
+async function saveBackupChainState(stream, state) {
+  if (!state) {
+    return;
+  }
+  const stored = await chrome.storage.local.get([BACKUP_CHAIN_STORAGE_KEY]);
+  const chains = stored[BACKUP_CHAIN_STORAGE_KEY] || {};
+  chains[stream] = state;
+  await chrome.storage.local.set({ [BACKUP_CHAIN_STORAGE_KEY]: chains });
+}
+
+/**
+ * Order the backups of one chain and list the points it can be restored to
+ * @param {Array} backups - Results of readBackup()
+ * @returns {Array<{sequence: number, type: string, created: string, changes: Object|null, restorable: boolean}>}
+ */
+function getBackupChainPoints(backups) {
+  const chained = backups.filter(backup => backup.header && backup.header.chain);
+  if (chained.length !== backups.length) {
+    throw backupFormatError('INVALID', 'Some of the selected files are not part of a backup chain');
+  }
+
+  const ids = new Set(chained.map(backup => backup.header.chain.id));
+  if (ids.size > 1) {
+    throw backupFormatError('INVALID', 'The selected files belong to different backup chains');
+  }
+
+  const sorted = chained.slice().sort((a, b) => a.header.chain.sequence - b.header.chain.sequence);
+  let previousSequence = null;
+  let hasBase = false;
+
+  return sorted.map((backup) => {
+    const chain = backup.header.chain;
+    // A point is restorable when a full snapshot and every later link up to it are present
+    if (chain.type === 'full') {
+      hasBase = true;
+    } else if (previousSequence === null || chain.baseSequence !== previousSequence) {
+      hasBase = false;
+    }
+    previousSequence = chain.sequence;
+
+    return {
+      sequence: chain.sequence,
+      type: chain.type,
+      created: backup.header.created,
+      cookieCount: backup.header.cookieCount,
+      changes: chain.changes || null,
+      restorable: hasBase
+    };
+  });
+}
+
+/**
+ * Rebuild the cookie jar as it was at a point in the chain
+ * @param {Array} backups - Results of readBackup() for one chain
+ * @param {number} targetSequence - Chain position to restore
+ * @returns {Array} Cookies at that point
+ */
+function replayBackupChain(backups, targetSequence) {
+  const bySequence = new Map(backups.map(backup => [backup.header.chain.sequence, backup]));
+  const target = bySequence.get(targetSequence);
+  if (!target) {
+    throw backupFormatError('INVALID', `Backup #${targetSequence} is not among the selected files`);
+  }
+
+  // Walk back to the nearest full snapshot
+  const links = [];
+  let current = target;
+  while (current.header.chain.type !== 'full') {
+    links.unshift(current);
+    const base = current.header.chain.baseSequence;
+    current = bySequence.get(base);
+    if (!current) {
+      throw backupFormatError('INVALID', `Backup #${base} is missing - select every file from the last full snapshot onwards`);
+    }
+  }
+
+  return links.reduce((cookies, backup) => applyCookieChanges(cookies, backup.changes), current.cookies);
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getCookieKey,
+    fingerprintCookies,
+    diffAgainstFingerprints,
+    applyCookieChanges,
+    createChainedBackup,
+    getBackupChainSuffix,
+    saveBackupChainState,
+    getBackupChainPoints,
+    replayBackupChain
+  };
+}
+
+// Shared namespace for the popup and the service worker
+self.backupChain = {
+  getCookieKey,
+  createChainedBackup,
+  getBackupChainSuffix,
+  saveBackupChainState,
+  getBackupChainPoints,
+  replayBackupChain
+};
@@ -23,8 +23,9 @@ async function manualCookieBackup() {
   }
   
   try {
-    // Get all cookies
-    const cookies = await chrome.cookies.getAll({});
+    // Get all cookies from the stores selected for backups
+    const cookies = await getCookiesForBackup();
+    const storeNames = await getCookieStoreNames();
     
     if (cookies.length === 0) {
       if (typeof addToWarningMessageList === 'function' && typeof createWarning === 'function') {
@@ -37,13 +38,28 @@ async function manualCookieBackup() {
     const date = new Date();
     const timestamp = formatDate(date);
     
-    // Create filename with profile name if provided
-    let filename = profileName ? 
-      `cookies-${profileName}-${timestamp}.ckz` : 
-      `cookies-${timestamp}.ckz`;
+    // Encrypt cookies into a v2 backup container (incremental when enabled)
+    const chained = await createChainedBackup('manual', cookies, {
+      password: password,
+      kind: 'manual',
+      label: profileName,
+      storeNames: storeNames
+    });
+    
+    if (!chained) {
+      if (typeof addToSuccessMessageList === 'function' && typeof createSuccessAlert === 'function') {
+        addToSuccessMessageList(createSuccessAlert('No cookie changes since the last backup - nothing to save.'));
+      }
+      return;
+    }
     
-    // Encrypt cookies
-    const encryptedData = sjcl.encrypt(password, JSON.stringify(cookies));
+    const encryptedData = chained.data;
+    
+    // Create filename with profile name and chain position if provided
+    const chainSuffix = getBackupChainSuffix(chained.chain);
+    let filename = profileName ? 
+      `cookies-${profileName}-${timestamp}${chainSuffix}.ckz` : 
+      `cookies-${timestamp}${chainSuffix}.ckz`;
     
     // Create download
     const blob = new Blob([encryptedData], { type: 'application/json' });
@@ -63,6 +79,9 @@ async function manualCookieBackup() {
           addToSuccessMessageList(createSuccessAlert(`✅ Backup saved as ${filename}`));
         }
         
+        // The saved file is the baseline for the next incremental backup
+        saveBackupChainState('manual', chained.state);
+        
         // Clear password field
         if (passwordInput) passwordInput.value = '';
         
@@ -95,7 +114,8 @@ async function manualCookieBackup() {
  */
 async function automaticCookieBackup() {
   try {
-    const cookies = await chrome.cookies.getAll({});
+    const cookies = await getCookiesForBackup();
+    const storeNames = await getCookieStoreNames();
     
     if (cookies.length === 0) {
       console.log('No cookies to backup');
@@ -115,12 +135,11 @@ async function automaticCookieBackup() {
       `cookies-auto-${timestamp}.json`;
     
     // Save to browser storage (no encryption for auto-backups)
-    const backupData = {
-      timestamp: date.toISOString(),
-      profileName: profileName,
-      cookieCount: cookies.length,
-      cookies: cookies
-    };
+    const backupData = JSON.parse(await createBackup(cookies, {
+      kind: 'automatic',
+      label: profileName,
+      storeNames: storeNames
+    }));
     
     // Store in chrome.storage.local
     const backupKey = `backup_${Date.now()}`;
@@ -134,12 +153,17 @@ async function automaticCookieBackup() {
     if (autoTelegramEnabled) {
       // For Telegram, we'll encrypt it
       const simplePassword = 'auto_backup_' + date.toISOString().split('T')[0];
-      const encryptedData = sjcl.encrypt(simplePassword, JSON.stringify(cookies));
+      const encryptedData = await createBackup(cookies, {
+        password: simplePassword,
+        kind: 'automatic',
+        label: profileName,
+        storeNames: storeNames
+      });
       sendBackupToTelegram(encryptedData, filename.replace('.json', '.ckz'));
     }
     
-    // Add to backup history
-    addToBackupHistory('automatic', filename, cookies.length);
+    // Add to backup history, pointing at the stored copy
+    addToBackupHistory('automatic', filename, cookies.length, backupKey);
     
     console.log('Automatic backup completed:', filename);
     
@@ -148,86 +172,6 @@ async function automaticCookieBackup() {
   }
 }
 
-/**
- * Restore cookies from backup
- */
-async function restoreCookies(cookieData, password = null) {
-  try {
-    let cookies;
-    
-    // Try to decrypt if password provided
-    if (password) {
-      try {
-        const decryptedData = sjcl.decrypt(password, cookieData);
-        cookies = JSON.parse(decryptedData);
-      } catch (e) {
-        throw new Error('Invalid password or corrupted backup file');
-      }
-    } else {
-      // Try to parse as plain JSON
-      cookies = JSON.parse(cookieData);
-    }
-    
-    if (!Array.isArray(cookies)) {
-      throw new Error('Invalid backup format');
-    }
-    
-    // Clear existing cookies if requested
-    const clearExisting = document.getElementById('clear-existing-cookies')?.checked;
-    if (clearExisting) {
-      const existingCookies = await chrome.cookies.getAll({});
-      for (const cookie of existingCookies) {
-        await chrome.cookies.remove({
-          url: `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path}`,
-          name: cookie.name
-        });
-      }
-    }
-    
-    // Restore cookies
-    let successCount = 0;
-    let failCount = 0;
-    
-    for (const cookie of cookies) {
-      try {
-        const newCookie = {
-          url: `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path}`,
-          name: cookie.name,
-          value: cookie.value,
-          domain: cookie.domain,
-          path: cookie.path,
-          secure: cookie.secure,
-          httpOnly: cookie.httpOnly,
-          sameSite: cookie.sameSite || 'lax',
-          expirationDate: cookie.expirationDate
-        };
-        
-        await chrome.cookies.set(newCookie);
-        successCount++;
-      } catch (e) {
-        console.error('Failed to restore cookie:', cookie.name, e);
-        failCount++;
-      }
-    }
-    
-    // Show results
-    if (typeof addToSuccessMessageList === 'function' && typeof createSuccessAlert === 'function') {
-      addToSuccessMessageList(createSuccessAlert(
-        `✅ Restored ${successCount} cookies${failCount > 0 ? ` (${failCount} failed)` : ''}`
-      ));
-    }
-    
-    return { success: successCount, failed: failCount };
-    
-  } catch (error) {
-    console.error('Restore failed:', error);
-    if (typeof addToWarningMessageList === 'function' && typeof createWarning === 'function') {
-      addToWarningMessageList(createWarning("Restore failed: " + error.message));
-    }
-    throw error;
-  }
-}
-
 /**
  * Send backup to Telegram
  */
@@ -280,7 +224,7 @@ async function selectiveCookieBackup() {
     }
     
     // Get all cookies
-    const cookies = await chrome.cookies.getAll({});
+    const cookies = await getCookiesForBackup();
     
     // Group by domain
     const cookiesByDomain = {};
@@ -446,18 +390,23 @@ async function backupSelectedCookies(cookiesByDomain) {
 
 /**
  * Add entry to backup history
+ * @param {string|null} storageKey - chrome.storage.local key of a stored copy of the backup
  */
-async function addToBackupHistory(type, filename, cookieCount) {
+async function addToBackupHistory(type, filename, cookieCount, storageKey = null) {
   try {
     const history = await chrome.storage.local.get(['backupHistory']);
     const backupHistory = history.backupHistory || [];
     
-    backupHistory.unshift({
+    const entry = {
       timestamp: new Date().toISOString(),
       type: type,
       filename: filename,
       cookieCount: cookieCount
-    });
+    };
+    if (storageKey) {
+      entry.storageKey = storageKey;
+    }
+    backupHistory.unshift(entry);
     
     // Keep only last 50 entries
     if (backupHistory.length > 50) {
@@ -527,7 +476,6 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     manualCookieBackup,
     automaticCookieBackup,
-    restoreCookies,
     sendBackupToTelegram,
     selectiveCookieBackup,
     showCookieSelectionModal,
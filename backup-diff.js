@@ -0,0 +1,149 @@
+/**
+ * Backup Diff Module
+ * Compares two cookie sets (two backups, two points of a backup chain, or a
+ * backup and the live jar) and lists what changed between them, grouped by
+ * domain (partitioned cookies per top-level site):
+ *
+ *   - added: only in the second set
+ *   - removed: only in the first set
+ *   - valueChanged: same cookie, different value (attribute changes of the
+ *     same cookie are listed with it)
+ *   - attributeChanged: same value, different secure, httpOnly, sameSite,
+ *     hostOnly, session or expiry
+ *
+ * Cookies are matched by getCookieKey() (store, domain, path and name).
+ * Expiry dates are compared to the second, since browsers report fractions.
+ *
+ * Loaded by popup.html; must not touch the DOM. Requires backup-chain.js and
+ * cookie-jar.js.
+ */
+
+const BACKUP_DIFF_FORMAT_ID = 'cookie-vault-diff';
+const BACKUP_DIFF_FORMAT_VERSION = 1;
+
+// Everything compared apart from the value; COOKIE_FINGERPRINT_FIELDS in backup-chain.js
+const BACKUP_DIFF_ATTRIBUTES = ['secure', 'httpOnly', 'sameSite', 'hostOnly', 'session', 'expirationDate'];
+
+// Flags that mean false when missing, as in chrome.cookies.set
+const BACKUP_DIFF_FLAGS = ['secure', 'httpOnly', 'hostOnly', 'session'];
+
+/**
+ * Comparable form of a cookie field
+ */
+function getDiffFieldValue(cookie, field) {
+  if (BACKUP_DIFF_FLAGS.includes(field)) {
+    return !!cookie[field];
+  }
+  const value = cookie[field] ?? null;
+  if (field === 'sameSite' && value === 'unspecified') {
+    return null;
+  }
+  return field === 'expirationDate' && value !== null ? Math.round(value) : value;
+}
+
+/**
+ * Fields that differ between two versions of a cookie
+ * @returns {Array<{field, before, after}>}
+ */
+function compareCookieFields(before, after) {
+  return ['value'].concat(BACKUP_DIFF_ATTRIBUTES)
+    .filter(field => getDiffFieldValue(before, field) !== getDiffFieldValue(after, field))
+    .map(field => ({ field, before: getDiffFieldValue(before, field), after: getDiffFieldValue(after, field) }));
+}
+
+/**
+ * Compare two cookie sets
+ * @param {Array} before - Older cookies
+ * @param {Array} after - Newer cookies
+ * @returns {{summary: Object, domains: Array}} summary counts added, removed,
+ *   valueChanged, attributeChanged and unchanged; domains (sorted) hold
+ *   { domain, added: [cookie], removed: [cookie],
+ *     valueChanged: [{ name, path, storeId, before, after, changes }], attributeChanged: [...] }
+ */
+function diffCookieSets(before, after) {
+  const summary = { added: 0, removed: 0, valueChanged: 0, attributeChanged: 0, unchanged: 0 };
+  const domains = new Map();
+  const getDomain = (cookie) => {
+    const domain = getCookieGroupKey(cookie);
+    if (!domains.has(domain)) {
+      domains.set(domain, { domain, added: [], removed: [], valueChanged: [], attributeChanged: [] });
+    }
+    return domains.get(domain);
+  };
+
+  const previous = new Map(before.map(cookie => [getCookieKey(cookie), cookie]));
+  const seen = new Set();
+
+  after.forEach((cookie) => {
+    const key = getCookieKey(cookie);
+    seen.add(key);
+    const old = previous.get(key);
+    if (!old) {
+      getDomain(cookie).added.push(cookie);
+      summary.added++;
+      return;
+    }
+
+    const changes = compareCookieFields(old, cookie);
+    if (changes.length === 0) {
+      summary.unchanged++;
+      return;
+    }
+    const kind = changes.some(change => change.field === 'value') ? 'valueChanged' : 'attributeChanged';
+    getDomain(cookie)[kind].push({
+      name: cookie.name,
+      path: cookie.path || '/',
+      storeId: cookie.storeId || null,
+      before: old,
+      after: cookie,
+      changes
+    });
+    summary[kind]++;
+  });
+
+  before.forEach((cookie) => {
+    if (!seen.has(getCookieKey(cookie))) {
+      getDomain(cookie).removed.push(cookie);
+      summary.removed++;
+    }
+  });
+
+  return {
+    summary,
+    domains: Array.from(domains.values()).sort((a, b) => a.domain.localeCompare(b.domain))
+  };
+}
+
+/**
+ * Serialize a diff for export
+ * @param {Object} diff - Result of diffCookieSets()
+ * @param {Object} labels - { before, after } describing what was compared
+ * @returns {string} JSON document
+ */
+function createDiffExport(diff, labels = {}) {
+  return JSON.stringify({
+    format: BACKUP_DIFF_FORMAT_ID,
+    version: BACKUP_DIFF_FORMAT_VERSION,
+    created: new Date().toISOString(),
+    before: labels.before || null,
+    after: labels.after || null,
+    summary: diff.summary,
+    domains: diff.domains
+  }, null, 2);
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BACKUP_DIFF_ATTRIBUTES,
+    diffCookieSets,
+    createDiffExport
+  };
+}
+
+// Make functions globally available
+self.backupDiff = {
+  BACKUP_DIFF_ATTRIBUTES,
+  diffCookieSets,
+  createDiffExport
+};
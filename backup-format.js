@@ -0,0 +1,670 @@
+/**
+ * Backup Format Module
+ * Versioned, self-describing backup container (format v2) shared by every
+ * backup writer, plus the single reader that also accepts legacy backups.
+ *
+ * A v2 backup is a JSON document:
+ *
+ *   {
+ *     "format": "cookie-vault-backup",
+ *     "version": 2,
+ *     "header": {
+ *       "created": "2025-09-28T10:00:00.000Z",
+ *       "generator": { "name": "Cookie Vault", "version": "4.3" },
+ *       "source": { "browser": "Chrome 128", "platform": "Win32", "label": "Work" },
+ *       "kind": "manual" | "selective" | "automatic" | "profile" | "merged",
+ *       "cookieCount": 42,
+ *       "profile": { "id": "profile_1", "name": "Work", "domains": [...] } | null,
+ *       "stores": [{ "id": "firefox-container-1", "name": "Work container", "cookieCount": 12 }],
+ *       "compression": { "method": "gzip", "originalSize": 183204 } | null,
+ *       "chain": { "id", "stream", "sequence", "type": "full" | "incremental",
+ *                  "baseSequence", "changes": { "added", "changed", "removed" } } | null,
+ *       "merge": { "strategy": "newest-expiry" | "newest-backup",
+ *                  "sources": [{ "label", "created", "kind", "profile", "cookieCount" }] } | null,
+ *       "encryption": {
+ *         "method": "aes-256-ccm" | "xchacha20-poly1305",
+ *         "kdf": { "name": "scrypt", "N": 32768, "r": 8, "p": 1, "salt": <base64> }
+ *              | { "name": "pbkdf2-hmac-sha256", "iterations": 10000 }
+ *              | null (encrypted to recipients),
+ *         "keyFile": { "id": "<key file id>" } | null,
+ *         "recipients": [{ "id", "name", "ephemeralKey", "iv", "wrappedKey" }] (recipient backups only)
+ *       } | null
+ *     },
+ *     "payload": <SJCL ciphertext object> | <XChaCha20 envelope> | <cookie array when unencrypted>,
+ *     "integrity": <integrity block, see integrity.js>
+ *   }
+ *
+ * Incremental backups (see backup-chain.js) carry a change set
+ * { added: [...], changed: [...], removed: [...] } instead of a cookie array.
+ * In merged backups (see backup-merge.js) every cookie carries
+ * provenance: { source, versions } pointing into header.merge.sources.
+ *
+ * When the header lists compression, the cookie JSON is gzipped before
+ * encryption; an unencrypted compressed payload is the base64 gzip data.
+ *
+ * For encrypted backups the serialized header is passed to the cipher as
+ * authenticated data, so any edit to the header makes decryption fail.
+ * AES-256-CCM payloads are SJCL ciphertext; XChaCha20-Poly1305 payloads are
+ * envelopes tagged cipher: "xchacha20-poly1305" (see xchacha20.js) and are
+ * recognised by that tag when reading.
+ * Backups encrypted to recipients need no password: their key is wrapped for
+ * each recipient's public key (see recipient-keys.js) and opened with the
+ * local private key.
+ * The integrity block holds a SHA-256 digest of header and payload (checked
+ * before decryption) and, for encrypted backups, an HMAC keyed from the
+ * password (or the recipients' backup key).
+ *
+ * This file is loaded both by popup.html and by the service worker
+ * (importScripts), so it must not touch the DOM. Requires integrity.js,
+ * key-derivation.js, xchacha20.js and recipient-keys.js.
+ */
+
+const BACKUP_FORMAT_ID = 'cookie-vault-backup';
+const BACKUP_FORMAT_VERSION = 2;
+const DEFAULT_BACKUP_ITERATIONS = 10000;
+const BACKUP_COMPRESSION = 'gzip';
+
+// Values of header.encryption.method for new backups
+const BACKUP_CIPHERS = {
+  AES_CCM: 'aes-256-ccm',
+  XCHACHA20_POLY1305: 'xchacha20-poly1305'
+};
+
+// Formats recognised by detectBackupFormat()
+const BACKUP_FORMATS = {
+  V2: 'v2',                        // current container
+  LEGACY_WRAPPED: 'legacy-wrapped', // { v: 1, payload, checksum } from older popup.js
+  LEGACY_SJCL: 'legacy-sjcl',       // bare sjcl.encrypt() output (.ckz)
+  LEGACY_ARRAY: 'legacy-array',     // plaintext cookie array (auto backups)
+  LEGACY_SNAPSHOT: 'legacy-snapshot', // { timestamp, cookieCount, cookies } or profile backup
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Create an error carrying a machine readable code for the restore UI
+ */
+function backupFormatError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Describe the browser and device that produced a backup
+ */
+function getBackupSourceInfo(label = '') {
+  const userAgent = typeof navigator !== 'undefined' ? navigator.userAgent || '' : '';
+  let browser = 'Unknown';
+
+  const match = userAgent.match(/(Edg|OPR|Firefox|Chrome)\/(\d+)/);
+  if (match) {
+    const names = { Edg: 'Edge', OPR: 'Opera', Firefox: 'Firefox', Chrome: 'Chrome' };
+    browser = `${names[match[1]]} ${match[2]}`;
+  }
+
+  return {
+    browser: browser,
+    platform: typeof navigator !== 'undefined' ? navigator.platform || '' : '',
+    label: label || ''
+  };
+}
+
+/**
+ * Get the extension version for the header generator field
+ */
+function getGeneratorInfo() {
+  let version = '';
+  try {
+    version = chrome.runtime.getManifest().version;
+  } catch (error) {
+    // Not running as an extension (web preview)
+  }
+  return { name: 'Cookie Vault', version: version };
+}
+
+/**
+ * Check whether the browser can gzip backups (CompressionStream)
+ */
+function isCompressionSupported() {
+  return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+/**
+ * Pipe bytes through a CompressionStream or DecompressionStream
+ */
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Gzip a string
+ * @returns {Promise<Uint8Array>}
+ */
+async function compressText(text, method = BACKUP_COMPRESSION) {
+  return transformBytes(new TextEncoder().encode(text), new CompressionStream(method));
+}
+
+/**
+ * Gunzip bytes back into a string
+ */
+async function decompressText(bytes, method = BACKUP_COMPRESSION) {
+  if (!isCompressionSupported()) {
+    throw backupFormatError('UNSUPPORTED', 'This browser cannot decompress backups (CompressionStream unavailable)');
+  }
+  try {
+    return new TextDecoder().decode(await transformBytes(bytes, new DecompressionStream(method)));
+  } catch (error) {
+    throw backupFormatError('INVALID', 'Compressed backup data is damaged');
+  }
+}
+
+/**
+ * Encode bytes as base64 (chunked to stay under argument limits)
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Convert bytes to an SJCL bit array (the bundled SJCL build has no bytes codec)
+ */
+function bytesToBits(bytes) {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) {
+    hex += bytes[i].toString(16).padStart(2, '0');
+  }
+  return sjcl.codec.hex.toBits(hex);
+}
+
+/**
+ * Convert an SJCL bit array to bytes
+ */
+function bitsToBytes(bits) {
+  const hex = sjcl.codec.hex.fromBits(bits);
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Cookie stores a backup was taken from, with their cookie counts
+ * @param {Object} storeNames - Readable name per store id, when known
+ */
+function getBackupStores(cookies, storeNames = {}) {
+  const counts = new Map();
+  cookies.forEach((cookie) => {
+    const id = cookie.storeId || '0';
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+  return Array.from(counts, ([id, cookieCount]) => ({ id, name: storeNames[id] || null, cookieCount }));
+}
+
+/**
+ * Build the metadata header for a new backup
+ */
+function createBackupHeader(cookies, options = {}) {
+  const header = {
+    created: new Date().toISOString(),
+    generator: getGeneratorInfo(),
+    source: getBackupSourceInfo(options.label),
+    kind: options.kind || 'manual',
+    cookieCount: cookies.length,
+    profile: options.profile ? {
+      id: options.profile.id || null,
+      name: options.profile.name || '',
+      domains: options.profile.domains || []
+    } : null,
+    stores: getBackupStores(cookies, options.storeNames),
+    compression: null,
+    chain: null,
+    merge: options.merge || null,
+    encryption: null
+  };
+
+  if (options.chain) {
+    header.chain = {
+      ...options.chain,
+      changes: options.changes ? {
+        added: options.changes.added.length,
+        changed: options.changes.changed.length,
+        removed: options.changes.removed.length
+      } : null
+    };
+  }
+
+  if (options.compress !== false && isCompressionSupported()) {
+    header.compression = {
+      method: BACKUP_COMPRESSION,
+      originalSize: options.originalSize || 0
+    };
+  }
+
+  if (options.password && options.recipients) {
+    throw backupFormatError('INVALID', 'A backup is encrypted with a password or to recipients, not both');
+  }
+  if (options.password || options.recipients) {
+    const method = options.cipher || BACKUP_CIPHERS.AES_CCM;
+    if (!Object.values(BACKUP_CIPHERS).includes(method)) {
+      throw backupFormatError('UNSUPPORTED', `Unknown encryption method "${method}"`);
+    }
+    header.encryption = {
+      method: method,
+      kdf: options.password ? createBackupKdf(options) : null,
+      keyFile: options.password && options.keyFile ? { id: options.keyFile.id } : null
+    };
+    if (options.recipients) {
+      // Filled in by createBackup() once the backup key is wrapped
+      header.encryption.recipients = [];
+    }
+  }
+
+  return header;
+}
+
+/**
+ * Create a v2 backup document
+ * @param {Array} cookies - Cookies as returned by chrome.cookies.getAll
+ * @param {Object} options - { password, recipients, cipher, kdf, iterations, keyFile, kind, label,
+ *   profile, storeNames, compress, chain, changes, merge } - with changes set, only the change
+ *   set is stored; cipher is one of BACKUP_CIPHERS (AES-256-CCM by default); kdf/iterations pick
+ *   the key derivation, see createBackupKdf() (scrypt by default); keyFile (from readKeyFile())
+ *   is then needed alongside the password to decrypt; recipients (from
+ *   resolveBackupRecipients()) encrypt to public keys instead of a password
+ * @returns {Promise<string>} Serialized backup
+ */
+async function createBackup(cookies, options = {}) {
+  if (!Array.isArray(cookies)) {
+    throw backupFormatError('INVALID', 'Cookies must be an array');
+  }
+
+  const content = options.changes || cookies;
+  const json = JSON.stringify(content);
+  const header = createBackupHeader(cookies, { ...options, originalSize: new TextEncoder().encode(json).length });
+  const compressed = header.compression ? await compressText(json, header.compression.method) : null;
+  let payload = compressed ? bytesToBase64(compressed) : content;
+
+  // scrypt, key file and recipient keys are made once here; plain PBKDF2 runs inside the cipher
+  let keys = null;
+  if (isRecipientEncryption(header.encryption)) {
+    const sealed = await sealBackupKey(options.recipients);
+    header.encryption.recipients = sealed.recipients;
+    keys = sealed.keys;
+  } else if (usesDerivedBackupKeys(header.encryption)) {
+    keys = await deriveBackupKeys(options.password, header.encryption.kdf, options.keyFile);
+  }
+
+  if (header.encryption && header.encryption.method === BACKUP_CIPHERS.XCHACHA20_POLY1305) {
+    payload = await encryptXChaCha20(compressed || json, options.password, {
+      iterations: header.encryption.kdf?.iterations,
+      adata: JSON.stringify(header),
+      key: keys ? keys.cipherKey : null
+    });
+  } else if (header.encryption) {
+    if (typeof sjcl === 'undefined') {
+      throw backupFormatError('UNSUPPORTED', 'Encryption library not loaded');
+    }
+
+    const plaintext = compressed ? bytesToBits(compressed) : json;
+    const cipherText = keys
+      ? sjcl.encrypt(bytesToBits(keys.cipherKey), plaintext, { ks: 256, mode: 'ccm', adata: JSON.stringify(header) })
+      : sjcl.encrypt(options.password, plaintext, {
+        ks: 256,
+        mode: 'ccm',
+        iter: header.encryption.kdf.iterations,
+        adata: JSON.stringify(header)
+      });
+    payload = JSON.parse(cipherText);
+  }
+
+  return JSON.stringify({
+    format: BACKUP_FORMAT_ID,
+    version: BACKUP_FORMAT_VERSION,
+    header: header,
+    payload: payload,
+    integrity: await createIntegrity(getIntegrityInput(header, payload),
+      keys ? { macKey: keys.macKey } : { password: options.password, iterations: header.encryption?.kdf?.iterations })
+  });
+}
+
+/**
+ * Bytes covered by the integrity block of a v2 backup
+ */
+function getIntegrityInput(header, payload) {
+  return JSON.stringify([header, payload]);
+}
+
+/**
+ * Check whether a parsed value looks like SJCL ciphertext
+ */
+function isSjclCipherObject(value) {
+  return !!value && typeof value === 'object' && typeof value.ct === 'string' &&
+    typeof value.iv === 'string';
+}
+
+/**
+ * Check whether a parsed value is a list of cookies
+ */
+function isCookieArray(value) {
+  return Array.isArray(value) &&
+    (value.length === 0 || (value[0] && typeof value[0] === 'object' && 'name' in value[0] && 'domain' in value[0]));
+}
+
+/**
+ * Check whether a parsed value is an incremental change set
+ */
+function isCookieChangeSet(value) {
+  return !!value && typeof value === 'object' &&
+    isCookieArray(value.added) && isCookieArray(value.changed) && Array.isArray(value.removed);
+}
+
+/**
+ * Check whether a header describes an incremental backup
+ */
+function isIncrementalHeader(header) {
+  return !!header && !!header.chain && header.chain.type === 'incremental';
+}
+
+/**
+ * Work out which backup layout a file uses, based on its content only
+ * @param {string} text - Raw file contents
+ * @returns {{format: string, encrypted: boolean, data: *}}
+ */
+function detectBackupFormat(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(typeof text === 'string' ? text.trim() : text);
+  } catch (error) {
+    return { format: BACKUP_FORMATS.UNKNOWN, encrypted: false, data: null };
+  }
+
+  if (parsed && parsed.format === BACKUP_FORMAT_ID) {
+    if (parsed.version > BACKUP_FORMAT_VERSION) {
+      throw backupFormatError('UNSUPPORTED',
+        `This backup was created by a newer version of Cookie Vault (format v${parsed.version})`);
+    }
+    return { format: BACKUP_FORMATS.V2, encrypted: !!parsed.header?.encryption, data: parsed };
+  }
+
+  if (parsed && parsed.v === 1 && typeof parsed.payload === 'string') {
+    return { format: BACKUP_FORMATS.LEGACY_WRAPPED, encrypted: true, data: parsed };
+  }
+
+  if (isSjclCipherObject(parsed)) {
+    return { format: BACKUP_FORMATS.LEGACY_SJCL, encrypted: true, data: parsed };
+  }
+
+  if (isCookieArray(parsed)) {
+    return { format: BACKUP_FORMATS.LEGACY_ARRAY, encrypted: false, data: parsed };
+  }
+
+  if (parsed && isCookieArray(parsed.cookies)) {
+    return { format: BACKUP_FORMATS.LEGACY_SNAPSHOT, encrypted: false, data: parsed };
+  }
+
+  return { format: BACKUP_FORMATS.UNKNOWN, encrypted: false, data: parsed };
+}
+
+/**
+ * Decrypt SJCL ciphertext, translating SJCL exceptions into coded errors
+ */
+function decryptSjclPayload(password, cipherText, raw = false) {
+  if (!password) {
+    throw backupFormatError('PASSWORD_REQUIRED', 'This backup is encrypted - a password is required');
+  }
+  if (typeof sjcl === 'undefined') {
+    throw backupFormatError('UNSUPPORTED', 'Encryption library not loaded');
+  }
+
+  try {
+    return sjcl.decrypt(password, cipherText, raw ? { raw: 1 } : {});
+  } catch (error) {
+    if (error instanceof sjcl.exception.corrupt) {
+      throw backupFormatError('BAD_PASSWORD', 'Password incorrect or backup has been modified');
+    }
+    throw backupFormatError('INVALID', 'Backup ciphertext is not valid');
+  }
+}
+
+/**
+ * Cipher and HMAC keys of a backup being read, null when the cipher derives
+ * its own key from the password (PBKDF2)
+ * @param {Object} options - readBackup() options (keyFile, recipientKey)
+ */
+async function deriveReadBackupKeys(header, password, options) {
+  if (isRecipientEncryption(header.encryption)) {
+    return openBackupKey(header.encryption.recipients,
+      options.recipientKey !== undefined ? options.recipientKey : await loadRecipientPrivateKey());
+  }
+  const keyFile = options.keyFile;
+  if (!password) {
+    throw backupFormatError('PASSWORD_REQUIRED', 'This backup is encrypted - a password is required');
+  }
+  const required = header.encryption.keyFile;
+  if (required && !keyFile) {
+    throw backupFormatError('KEY_FILE_REQUIRED', 'This backup is protected by a key file - select it to continue');
+  }
+  if (required && keyFile.id !== required.id) {
+    throw backupFormatError('WRONG_KEY_FILE', 'This key file does not belong to this backup - select the key file it was created with');
+  }
+  return usesDerivedBackupKeys(header.encryption)
+    ? deriveBackupKeys(password, header.encryption.kdf, required ? keyFile : null)
+    : null;
+}
+
+/**
+ * Build a header for backups written before format v2
+ */
+function createLegacyHeader(cookies, details = {}) {
+  return {
+    created: details.timestamp ? new Date(details.timestamp).toISOString() : null,
+    generator: null,
+    source: null,
+    kind: details.profile ? 'profile' : 'legacy',
+    cookieCount: cookies.length,
+    profile: details.profile || null,
+    compression: null,
+    chain: null,
+    encryption: details.cipher ? {
+      method: `aes-${details.cipher.ks || 128}-${details.cipher.mode || 'ccm'}`,
+      kdf: { name: 'pbkdf2-hmac-sha256', iterations: details.cipher.iter || DEFAULT_BACKUP_ITERATIONS }
+    } : null
+  };
+}
+
+/**
+ * Turn decrypted legacy content (array or snapshot object) into cookies + header
+ */
+function unpackLegacyContent(content, cipher) {
+  if (isCookieArray(content)) {
+    return { header: createLegacyHeader(content, { cipher }), cookies: content };
+  }
+  if (content && isCookieArray(content.cookies)) {
+    return {
+      header: createLegacyHeader(content.cookies, {
+        cipher,
+        timestamp: content.timestamp,
+        profile: content.profile || (content.profileName ? { name: content.profileName } : null)
+      }),
+      cookies: content.cookies
+    };
+  }
+  throw backupFormatError('INVALID', 'The backup does not contain valid cookies');
+}
+
+/**
+ * Read any supported backup and return its header and cookies
+ * @param {string} text - Raw file contents
+ * @param {string} password - Needed only for encrypted backups
+ * @param {Object} options - { ignoreIntegrity, keyFile, recipientKey } ignoreIntegrity restores
+ *   despite a failed integrity check; keyFile (from readKeyFile()) is needed when the header
+ *   lists one; recipientKey (from loadRecipientPrivateKey()) opens backups encrypted to
+ *   recipients, the local key pair by default
+ * @returns {Promise<{format: string, header: Object, cookies: Array, changes: Object|null, integrity: Object}>}
+ *   Incremental backups return cookies: null and their change set in changes.
+ */
+async function readBackup(text, password = null, options = {}) {
+  const detected = detectBackupFormat(text);
+  const data = detected.data;
+  const integrity = { checked: false, valid: false, authenticated: false, problems: [] };
+
+  // Failed checks block the restore unless the caller explicitly overrides them
+  const reportIntegrity = (problems) => {
+    integrity.problems.push(...problems);
+    integrity.valid = integrity.problems.length === 0;
+    if (problems.length > 0 && !options.ignoreIntegrity) {
+      throw integrityError(integrity.problems);
+    }
+  };
+
+  switch (detected.format) {
+    case BACKUP_FORMATS.V2: {
+      const header = data.header || {};
+      const compression = header.compression ? header.compression.method : null;
+      const integrityInput = getIntegrityInput(header, data.payload);
+      let cookies = data.payload;
+      let keys = null;
+
+      if (data.integrity) {
+        // Digest first, so corruption is reported before asking about the password
+        const result = await verifyIntegrity(integrityInput, data.integrity);
+        integrity.checked = true;
+        reportIntegrity(result.problems);
+      } else if (header.encryption) {
+        // Every encrypted v2 backup is written with one; a missing block was stripped
+        reportIntegrity(['No integrity information found - it may have been removed from the file']);
+      }
+
+      if (header.encryption && isXChaCha20Envelope(data.payload)) {
+        if (getXChaCha20Adata(data.payload) !== JSON.stringify(header)) {
+          throw backupFormatError('HEADER_TAMPERED', 'Backup header does not match the encrypted data');
+        }
+        keys = await deriveReadBackupKeys(header, password, options);
+        const bytes = await decryptXChaCha20(data.payload, password, { key: keys && keys.cipherKey });
+        cookies = JSON.parse(compression ? await decompressText(bytes, compression) : new TextDecoder().decode(bytes));
+      } else if (header.encryption) {
+        if (!isSjclCipherObject(data.payload)) {
+          throw backupFormatError('INVALID', 'Backup payload is missing or damaged');
+        }
+        // The header is bound to the ciphertext as authenticated data
+        const boundHeader = data.payload.adata
+          ? sjcl.codec.utf8String.fromBits(sjcl.codec.base64.toBits(data.payload.adata))
+          : '';
+        if (boundHeader !== JSON.stringify(header)) {
+          throw backupFormatError('HEADER_TAMPERED', 'Backup header does not match the encrypted data');
+        }
+        keys = await deriveReadBackupKeys(header, password, options);
+        const secret = keys ? bytesToBits(keys.cipherKey) : password;
+        if (compression) {
+          const bits = decryptSjclPayload(secret, JSON.stringify(data.payload), true);
+          cookies = JSON.parse(await decompressText(bitsToBytes(bits), compression));
+        } else {
+          cookies = JSON.parse(decryptSjclPayload(secret, JSON.stringify(data.payload)));
+        }
+      } else if (compression) {
+        if (typeof data.payload !== 'string') {
+          throw backupFormatError('INVALID', 'Backup payload is missing or damaged');
+        }
+        cookies = JSON.parse(await decompressText(base64ToBytes(data.payload), compression));
+      }
+
+      if (data.integrity && data.integrity.hmac && (password || keys)) {
+        // The key is known to be right here, so a mismatch means tampering
+        const result = await verifyIntegrity(integrityInput, data.integrity, {
+          password,
+          macKey: keys && keys.macKey,
+          checkDigest: false
+        });
+        integrity.authenticated = result.authenticated;
+        reportIntegrity(result.problems);
+      }
+
+      if (isIncrementalHeader(header)) {
+        if (!isCookieChangeSet(cookies)) {
+          throw backupFormatError('INVALID', 'The incremental backup does not contain a valid change set');
+        }
+        return { format: detected.format, header: header, cookies: null, changes: cookies, integrity: integrity };
+      }
+
+      if (!isCookieArray(cookies)) {
+        throw backupFormatError('INVALID', 'The backup does not contain valid cookies');
+      }
+      return { format: detected.format, header: header, cookies: cookies, changes: null, integrity: integrity };
+    }
+
+    case BACKUP_FORMATS.LEGACY_WRAPPED: {
+      if (data.checksum) {
+        integrity.checked = true;
+        reportIntegrity(legacyChecksum(data.payload) !== data.checksum
+          ? ['Checksum does not match - the file was changed or is corrupted']
+          : []);
+      }
+      const cipher = JSON.parse(data.payload);
+      const content = JSON.parse(decryptSjclPayload(password, data.payload));
+      return { format: detected.format, changes: null, integrity: integrity, ...unpackLegacyContent(content, cipher) };
+    }
+
+    case BACKUP_FORMATS.LEGACY_SJCL: {
+      const content = JSON.parse(decryptSjclPayload(password, JSON.stringify(data)));
+      return { format: detected.format, changes: null, integrity: integrity, ...unpackLegacyContent(content, data) };
+    }
+
+    case BACKUP_FORMATS.LEGACY_ARRAY:
+    case BACKUP_FORMATS.LEGACY_SNAPSHOT:
+      return { format: detected.format, changes: null, integrity: integrity, ...unpackLegacyContent(data) };
+
+    default:
+      throw backupFormatError('UNSUPPORTED', "This doesn't appear to be a valid backup file format.");
+  }
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BACKUP_FORMAT_ID,
+    BACKUP_FORMAT_VERSION,
+    BACKUP_FORMATS,
+    BACKUP_CIPHERS,
+    createBackupHeader,
+    createBackup,
+    detectBackupFormat,
+    readBackup,
+    isIncrementalHeader,
+    compressText,
+    decompressText
+  };
+}
+
+// Shared namespace for the popup and the service worker
+self.backupFormat = {
+  BACKUP_FORMATS,
+  BACKUP_CIPHERS,
+  createBackup,
+  detectBackupFormat,
+  readBackup,
+  isIncrementalHeader,
+  getBackupSourceInfo,
+  isCompressionSupported,
+  compressText,
+  decompressText,
+  bytesToBase64,
+  base64ToBytes
+};
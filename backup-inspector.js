@@ -0,0 +1,149 @@
+/**
+ * Backup Inspector Module
+ * Opens a backup read-only: decrypts it in memory and describes what is
+ * inside (header, per-domain counts, expiry status, integrity problems) so
+ * an old backup can be checked before deciding whether to restore it.
+ *
+ * Integrity failures never stop an inspection - they are listed instead.
+ * Nothing here reads or writes chrome.cookies or storage.
+ *
+ * Loaded by popup.html; must not touch the DOM. Requires backup-format.js,
+ * restore-plan.js and cookie-jar.js.
+ */
+
+// A persistent cookie expiring within this many seconds is "expiring soon"
+const EXPIRING_SOON_SECONDS = 7 * 86400;
+
+const COOKIE_EXPIRY_STATUS = {
+  SESSION: 'session',
+  VALID: 'valid',
+  EXPIRING_SOON: 'expiring-soon',
+  EXPIRED: 'expired'
+};
+
+const COOKIE_EXPIRY_STATUS_LABELS = {
+  [COOKIE_EXPIRY_STATUS.SESSION]: 'Session',
+  [COOKIE_EXPIRY_STATUS.VALID]: 'Valid',
+  [COOKIE_EXPIRY_STATUS.EXPIRING_SOON]: 'Expires within 7 days',
+  [COOKIE_EXPIRY_STATUS.EXPIRED]: 'Expired'
+};
+
+/**
+ * Expiry status of a backup cookie at a given time (seconds)
+ */
+function getCookieExpiryStatus(cookie, now = Date.now() / 1000) {
+  if (cookie.session || !cookie.expirationDate) {
+    return COOKIE_EXPIRY_STATUS.SESSION;
+  }
+  if (isCookieExpired(cookie, now)) {
+    return COOKIE_EXPIRY_STATUS.EXPIRED;
+  }
+  return cookie.expirationDate - now < EXPIRING_SOON_SECONDS
+    ? COOKIE_EXPIRY_STATUS.EXPIRING_SOON
+    : COOKIE_EXPIRY_STATUS.VALID;
+}
+
+/**
+ * Problems found in the file itself and in the cookies it holds
+ */
+function collectBackupProblems(backup, cookies) {
+  const problems = backup.integrity.problems.slice();
+
+  if (!backup.integrity.checked) {
+    problems.push('The file has no integrity data, so changes to it cannot be detected');
+  }
+  const expected = backup.header && backup.header.cookieCount;
+  if (!backup.changes && Number.isInteger(expected) && expected !== cookies.length) {
+    problems.push(`The header lists ${expected} cookies, but the file holds ${cookies.length}`);
+  }
+
+  cookies.forEach((cookie, index) => {
+    const problem = validateRestoreCookie(cookie);
+    if (problem) {
+      const name = cookie && typeof cookie.name === 'string' ? `"${cookie.name}"` : `#${index + 1}`;
+      problems.push(`Cookie ${name}: ${problem}`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Decrypt and describe a backup without restoring anything
+ * @param {string} text - Raw file contents
+ * @param {string} password - Needed only for encrypted backups
+ * @param {Object} options - { keyFile, now } keyFile for backups that need one,
+ *   now (seconds) for the expiry status
+ * @returns {Promise<Object>} {
+ *   format, header, encrypted, authenticated,
+ *   cookies: [{ cookie, domain, status }],
+ *   changes: { added, changed, removed } | null (counts, incremental backups only),
+ *   domains: [{ domain, count, expired }] (most cookies first),
+ *   counts: { total, <expiry status>: n },
+ *   problems: Array<string>
+ * }
+ *   Wrong passwords and unreadable files throw the errors of readBackup().
+ */
+async function inspectBackup(text, password = null, options = {}) {
+  const now = options.now || Date.now() / 1000;
+  const detected = detectBackupFormat(text);
+  const backup = await readBackup(text, password, { ignoreIntegrity: true, keyFile: options.keyFile });
+
+  // Incremental backups hold changes; list the cookies they add or change
+  const cookies = backup.changes
+    ? backup.changes.added.concat(backup.changes.changed)
+    : backup.cookies;
+
+  const counts = { total: cookies.length };
+  Object.values(COOKIE_EXPIRY_STATUS).forEach((status) => { counts[status] = 0; });
+
+  const domains = new Map();
+  const rows = cookies.map((cookie) => {
+    const valid = cookie && typeof cookie === 'object' && typeof cookie.domain === 'string';
+    const domain = valid ? getCookieGroupKey(cookie) : '(invalid)';
+    const status = valid ? getCookieExpiryStatus(cookie, now) : null;
+    if (status) {
+      counts[status]++;
+    }
+
+    const entry = domains.get(domain) || { domain, count: 0, expired: 0 };
+    entry.count++;
+    if (status === COOKIE_EXPIRY_STATUS.EXPIRED) {
+      entry.expired++;
+    }
+    domains.set(domain, entry);
+    return { cookie, domain, status };
+  });
+
+  return {
+    format: backup.format,
+    header: backup.header,
+    encrypted: detected.encrypted,
+    authenticated: backup.integrity.authenticated,
+    cookies: rows,
+    changes: backup.changes ? {
+      added: backup.changes.added.length,
+      changed: backup.changes.changed.length,
+      removed: backup.changes.removed.length
+    } : null,
+    domains: Array.from(domains.values()).sort((a, b) => b.count - a.count || a.domain.localeCompare(b.domain)),
+    counts,
+    problems: collectBackupProblems(backup, cookies)
+  };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COOKIE_EXPIRY_STATUS,
+    getCookieExpiryStatus,
+    inspectBackup
+  };
+}
+
+// Make functions globally available
+self.backupInspector = {
+  COOKIE_EXPIRY_STATUS,
+  COOKIE_EXPIRY_STATUS_LABELS,
+  getCookieExpiryStatus,
+  inspectBackup
+};
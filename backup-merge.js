@@ -0,0 +1,174 @@
+/**
+ * Backup Merge Module
+ * Consolidates several backups (profile backups, manual backups from
+ * different days, ...) into one. A cookie found in more than one backup
+ * (same getCookieKey()) is kept once, picked by the merge strategy:
+ *
+ *   - newest-expiry: the version that stays valid longest; session cookies
+ *     count as expiring when their backup was taken. Ties go to the newest
+ *     backup.
+ *   - newest-backup: the version from the most recently created backup
+ *     (header.created). Ties go to the file listed last.
+ *
+ * Each merged cookie records where it came from as
+ * provenance: { source, versions } - source indexes header.merge.sources,
+ * versions counts the copies found across all backups.
+ *
+ * Loaded by popup.html; must not touch the DOM. Requires backup-format.js
+ * and backup-chain.js.
+ */
+
+const MERGE_STRATEGIES = {
+  NEWEST_EXPIRY: 'newest-expiry',
+  NEWEST_BACKUP: 'newest-backup'
+};
+
+const MERGE_STRATEGY_LABELS = {
+  [MERGE_STRATEGIES.NEWEST_EXPIRY]: 'Newest expiry wins',
+  [MERGE_STRATEGIES.NEWEST_BACKUP]: 'Newest backup wins'
+};
+
+/**
+ * Creation time of a backup in milliseconds, 0 when unknown
+ */
+function getMergeSourceTime(source) {
+  const time = Date.parse(source.header && source.header.created);
+  return Number.isFinite(time) ? time : 0;
+}
+
+/**
+ * Expiry used to rank versions of a cookie, in seconds
+ */
+function getMergeExpiry(cookie, sourceTime) {
+  return cookie.session || !cookie.expirationDate ? sourceTime / 1000 : cookie.expirationDate;
+}
+
+/**
+ * Check whether a candidate version should replace the one kept so far
+ */
+function isPreferredMergeVersion(candidate, current, strategy) {
+  if (strategy === MERGE_STRATEGIES.NEWEST_EXPIRY && candidate.expiry !== current.expiry) {
+    return candidate.expiry > current.expiry;
+  }
+  // Sources are visited in order, so equal times favour the later file
+  return candidate.time >= current.time;
+}
+
+/**
+ * What header.merge.sources records about each backup
+ */
+function describeMergeSources(sources) {
+  return sources.map(source => ({
+    label: source.label || null,
+    created: source.header && source.header.created || null,
+    kind: source.header && source.header.kind || null,
+    profile: source.header && source.header.profile ? source.header.profile.name || null : null,
+    cookieCount: source.cookies.length
+  }));
+}
+
+/**
+ * Merge the cookies of several backups
+ * @param {Array<{label, header, cookies}>} sources - Results of readBackup() with a label (usually the file name)
+ * @param {Object} options - { strategy }
+ * @returns {{cookies: Array, sources: Array, stats: {input: number, duplicates: number, output: number}}}
+ */
+function mergeBackupCookies(sources, options = {}) {
+  const strategy = options.strategy || MERGE_STRATEGIES.NEWEST_EXPIRY;
+  if (!Object.values(MERGE_STRATEGIES).includes(strategy)) {
+    throw new Error(`Unknown merge strategy "${strategy}"`);
+  }
+
+  const kept = new Map();
+  let input = 0;
+
+  sources.forEach((source, index) => {
+    if (!Array.isArray(source.cookies)) {
+      throw new Error(`${source.label || `Backup ${index + 1}`} is an incremental backup - merge its full snapshot instead`);
+    }
+    const time = getMergeSourceTime(source);
+
+    source.cookies.forEach((original) => {
+      // Provenance of an earlier merge points at that merge's sources, not these
+      const { provenance, ...cookie } = original;
+      const key = getCookieKey(cookie);
+      const candidate = { cookie, source: index, time, expiry: getMergeExpiry(cookie, time), versions: 1 };
+      const current = kept.get(key);
+      input++;
+
+      if (!current) {
+        kept.set(key, candidate);
+      } else {
+        current.versions++;
+        if (isPreferredMergeVersion(candidate, current, strategy)) {
+          kept.set(key, { ...candidate, versions: current.versions });
+        }
+      }
+    });
+  });
+
+  const cookies = Array.from(kept.values(), entry => ({
+    ...entry.cookie,
+    provenance: { source: entry.source, versions: entry.versions }
+  }));
+
+  return {
+    cookies,
+    sources: describeMergeSources(sources),
+    stats: { input, duplicates: input - cookies.length, output: cookies.length }
+  };
+}
+
+/**
+ * Merge several backups into a new encrypted backup
+ * @param {Array<{label, header, cookies}>} sources - Results of readBackup() with a label
+ * @param {Object} options - { strategy, password, label }
+ * @returns {Promise<{data: string, cookies: Array, stats: Object}>}
+ */
+async function createMergedBackup(sources, options = {}) {
+  if (sources.length < 2) {
+    throw new Error('Select at least two backups to merge');
+  }
+  if (!options.password) {
+    throw new Error('A password is required for the merged backup');
+  }
+
+  const merged = mergeBackupCookies(sources, options);
+  const storeNames = {};
+  sources.forEach((source) => {
+    ((source.header && source.header.stores) || []).forEach((store) => {
+      if (store.name) {
+        storeNames[store.id] = store.name;
+      }
+    });
+  });
+
+  const data = await createBackup(merged.cookies, {
+    password: options.password,
+    kind: 'merged',
+    label: options.label || '',
+    storeNames,
+    merge: {
+      strategy: options.strategy || MERGE_STRATEGIES.NEWEST_EXPIRY,
+      sources: merged.sources
+    }
+  });
+  return { data, cookies: merged.cookies, stats: merged.stats };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MERGE_STRATEGIES,
+    mergeBackupCookies,
+    createMergedBackup
+  };
+}
+
+// Make functions globally available
+self.backupMerge = {
+  MERGE_STRATEGIES,
+  MERGE_STRATEGY_LABELS,
+  mergeBackupCookies,
+  createMergedBackup
+};
@@ -153,7 +153,8 @@ async function createBackupProfile(profileData) {
     settings: profileData.settings || {
       encryption: 'standard',
       autoBackup: false,
-      frequency: 'manual'
+      frequency: 'manual',
+      conflictPolicy: 'overwrite'
     },
     created: new Date().toISOString(),
     lastUsed: null,
@@ -258,6 +259,37 @@ async function setActiveProfile(profileId) {
   }
 }
 
+/**
+ * Get the restore conflict policy for a backup
+ * Remembered on the backup's own profile when it still exists, else on the
+ * active profile, else globally.
+ * @returns {Promise<{policy: string, profile: Object|null}>}
+ */
+async function getRestoreConflictPolicy(header = null) {
+  const profiles = await loadBackupProfiles();
+  const profile = (header && header.profile && profiles[header.profile.id]) || await getActiveProfile();
+  
+  if (profile) {
+    return { policy: profile.settings?.conflictPolicy || 'overwrite', profile: profile };
+  }
+  
+  const result = await chrome.storage.local.get(['restoreConflictPolicy']);
+  return { policy: result.restoreConflictPolicy || 'overwrite', profile: null };
+}
+
+/**
+ * Remember a restore conflict policy on a profile (or globally without one)
+ */
+async function saveRestoreConflictPolicy(profile, policy) {
+  if (profile) {
+    return updateBackupProfile(profile.id, {
+      settings: { ...profile.settings, conflictPolicy: policy }
+    });
+  }
+  await chrome.storage.local.set({ restoreConflictPolicy: policy });
+  return null;
+}
+
 /**
  * Backup cookies using a specific profile
  */
@@ -271,7 +303,7 @@ async function backupWithProfile(profileId) {
   
   try {
     // Get all cookies
-    const allCookies = await chrome.cookies.getAll({});
+    const allCookies = await getCookiesForBackup();
     
     // Filter cookies based on profile domains
     const filteredCookies = allCookies.filter(cookie => {
@@ -284,40 +316,34 @@ async function backupWithProfile(profileId) {
       throw new Error('No cookies found for profile domains');
     }
     
-    // Create backup based on profile settings
+    // Apply encryption based on profile settings
     const timestamp = new Date().toISOString();
-    const backupData = {
-      profile: {
-        id: profile.id,
-        name: profile.name
-      },
-      timestamp: timestamp,
-      cookieCount: filteredCookies.length,
-      domains: profile.domains,
-      cookies: filteredCookies
+    const backupOptions = {
+      kind: 'profile',
+      label: profile.name,
+      profile: profile
     };
     
-    // Apply encryption based on profile settings
-    let finalData;
     if (profile.settings.encryption === 'maximum') {
-      // Use stronger encryption for maximum security
+      // Use stronger key derivation for maximum security (64 MB scrypt)
       const password = await promptForPassword('Enter password for maximum encryption:');
       if (!password) {
         throw new Error('Password required for maximum encryption');
       }
-      finalData = await encryptWithMaximumSecurity(JSON.stringify(backupData), password);
+      backupOptions.password = password;
+      backupOptions.kdf = { name: 'scrypt', N: 65536, r: 8, p: 1 };
     } else if (profile.settings.encryption === 'standard') {
       // Standard encryption
       const password = await promptForPassword('Enter backup password:');
       if (!password) {
         throw new Error('Password required');
       }
-      finalData = sjcl.encrypt(password, JSON.stringify(backupData));
-    } else {
-      // No encryption
-      finalData = JSON.stringify(backupData, null, 2);
+      backupOptions.password = password;
     }
     
+    // Profile info travels in the v2 backup header
+    const finalData = await createBackup(filteredCookies, backupOptions);
+    
     // Create filename
     const dateStr = new Date().toISOString().split('T')[0];
     const filename = `cookies-${profile.name.replace(/\s+/g, '-')}-${dateStr}.ckz`;
@@ -681,24 +707,6 @@ async function promptForPassword(message) {
 }
 
 
-/**
- * Maximum security encryption
- */
-async function encryptWithMaximumSecurity(data, password) {
-  // Use stronger key derivation
-  const salt = sjcl.random.randomWords(4);
-  const key = sjcl.misc.pbkdf2(password, salt, 10000, 256);
-  
-  // Encrypt with derived key
-  const encrypted = sjcl.encrypt(key, data, {
-    iter: 10000,
-    ks: 256,
-    salt: salt
-  });
-  
-  return encrypted;
-}
-
 // Export functions
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -710,6 +718,8 @@ if (typeof module !== 'undefined' && module.exports) {
     applyProfileTemplate,
     getActiveProfile,
     setActiveProfile,
+    getRestoreConflictPolicy,
+    saveRestoreConflictPolicy,
     backupWithProfile,
     showProfileSelector,
     DEFAULT_TEMPLATES
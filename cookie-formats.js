@@ -0,0 +1,463 @@
+/**
+ * Cookie Formats Module
+ * Plain-text cookie interchange formats used by other tools:
+ * Netscape cookies.txt (curl, wget, yt-dlp, Python http.cookiejar)
+ * and RFC 4180 CSV (spreadsheets)
+ */
+
+const NETSCAPE_HEADER = '# Netscape HTTP Cookie File';
+const NETSCAPE_HTTPONLY_PREFIX = '#HttpOnly_';
+
+/**
+ * Check whether text looks like a Netscape cookies.txt file
+ */
+function isNetscapeCookieFile(content) {
+  if (typeof content !== 'string') return false;
+
+  const lines = content.split(/\r?\n/);
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    if (/^#\s*(Netscape )?HTTP Cookie File/i.test(line)) return true;
+    if (line.startsWith('#') && !line.startsWith(NETSCAPE_HTTPONLY_PREFIX)) continue;
+
+    // First data line decides: 6 or 7 tab separated fields with TRUE/FALSE flags
+    const fields = line.replace(NETSCAPE_HTTPONLY_PREFIX, '').split('\t');
+    return fields.length >= 6 && /^(TRUE|FALSE)$/i.test(fields[1]) && /^(TRUE|FALSE)$/i.test(fields[3]);
+  }
+  return false;
+}
+
+/**
+ * Parse a Netscape cookies.txt file
+ * @param {string} content - File contents
+ * @returns {{cookies: Array, errors: Array<{line: number, message: string}>}}
+ */
+function parseNetscapeCookies(content) {
+  const cookies = [];
+  const errors = [];
+  const lines = content.split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    let line = rawLine.replace(/\r$/, '');
+    let httpOnly = false;
+
+    if (!line.trim()) return;
+
+    if (line.startsWith(NETSCAPE_HTTPONLY_PREFIX)) {
+      httpOnly = true;
+      line = line.slice(NETSCAPE_HTTPONLY_PREFIX.length);
+    } else if (line.trimStart().startsWith('#')) {
+      // Comment line
+      return;
+    }
+
+    const fields = line.split('\t');
+    if (fields.length < 6) {
+      errors.push({ line: lineNumber, message: `Expected 7 tab-separated fields, found ${fields.length}` });
+      return;
+    }
+
+    // Cookie values may themselves contain tabs, and curl omits an empty value
+    const [domain, includeSubdomains, path, secure, expires, name] = fields;
+    const value = fields.slice(6).join('\t');
+
+    if (!domain) {
+      errors.push({ line: lineNumber, message: 'Missing domain' });
+      return;
+    }
+    if (!/^(TRUE|FALSE)$/i.test(includeSubdomains) || !/^(TRUE|FALSE)$/i.test(secure)) {
+      errors.push({ line: lineNumber, message: 'Flags must be TRUE or FALSE' });
+      return;
+    }
+
+    const expiration = Number(expires);
+    if (!Number.isFinite(expiration) || expiration < 0) {
+      errors.push({ line: lineNumber, message: `Invalid expiry "${expires}"` });
+      return;
+    }
+
+    const hostOnly = includeSubdomains.toUpperCase() !== 'TRUE';
+    const cookie = {
+      domain: hostOnly ? domain.replace(/^\./, '') : (domain.startsWith('.') ? domain : '.' + domain),
+      hostOnly: hostOnly,
+      path: path || '/',
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly: httpOnly,
+      sameSite: 'unspecified',
+      // Epoch 0 marks a session cookie
+      session: expiration === 0,
+      name: name,
+      value: value
+    };
+    if (expiration !== 0) {
+      cookie.expirationDate = expiration;
+    }
+
+    cookies.push(cookie);
+  });
+
+  return { cookies, errors };
+}
+
+/**
+ * Serialize cookies as a Netscape cookies.txt file
+ * @param {Array} cookies - Cookies as returned by chrome.cookies.getAll
+ * @returns {string}
+ */
+function formatNetscapeCookies(cookies) {
+  const lines = [
+    NETSCAPE_HEADER,
+    '# https://curl.se/docs/http-cookies.html',
+    '# This file was generated by Cookie Vault. Edit at your own risk.',
+    ''
+  ];
+
+  cookies.forEach((cookie) => {
+    const bareDomain = (cookie.domain || '').replace(/^\./, '');
+    // http.cookiejar requires the leading dot to agree with the subdomain flag
+    const domain = cookie.hostOnly ? bareDomain : '.' + bareDomain;
+    const expires = cookie.session || !cookie.expirationDate ? 0 : Math.floor(cookie.expirationDate);
+
+    lines.push([
+      (cookie.httpOnly ? NETSCAPE_HTTPONLY_PREFIX : '') + domain,
+      cookie.hostOnly ? 'FALSE' : 'TRUE',
+      cookie.path || '/',
+      cookie.secure ? 'TRUE' : 'FALSE',
+      expires,
+      cookie.name,
+      // Line breaks would split the record
+      String(cookie.value ?? '').replace(/[\r\n]/g, '')
+    ].join('\t'));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// Column order for CSV exports - one column per chrome.cookies.Cookie field
+const CSV_COLUMNS = [
+  'domain',
+  'hostOnly',
+  'path',
+  'secure',
+  'httpOnly',
+  'sameSite',
+  'session',
+  'expirationDate',
+  'storeId',
+  'partitionKey',
+  'name',
+  'value'
+];
+
+// Alternative column names seen in spreadsheets and other cookie tools
+const CSV_HEADER_ALIASES = {
+  domain: ['domain', 'host', 'host_key', 'hostname', 'site'],
+  hostOnly: ['hostonly', 'host only', 'host_only'],
+  includeSubdomains: ['includesubdomains', 'include subdomains', 'include_subdomains', 'subdomains', 'flag'],
+  path: ['path'],
+  secure: ['secure', 'is_secure', 'https only'],
+  httpOnly: ['httponly', 'http only', 'is_httponly', 'http_only'],
+  sameSite: ['samesite', 'same site', 'same_site'],
+  session: ['session', 'is_session'],
+  expirationDate: ['expirationdate', 'expiration date', 'expiration', 'expires', 'expiry', 'expires_utc', 'expiration_date'],
+  storeId: ['storeid', 'store id', 'store_id', 'store'],
+  partitionKey: ['partitionkey', 'partition key', 'partition_key', 'top_frame_site_key', 'partition'],
+  name: ['name', 'cookie name', 'cookie_name', 'key'],
+  value: ['value', 'cookie value', 'cookie_value', 'content']
+};
+
+// Fields a CSV column can be mapped to (includeSubdomains is the inverse of hostOnly)
+const CSV_MAPPABLE_FIELDS = Object.keys(CSV_HEADER_ALIASES);
+
+/**
+ * Parse RFC 4180 CSV text into rows of fields
+ * Quoted fields may contain commas, doubled quotes and line breaks.
+ * @returns {{rows: Array<Array<string>>, error: string|null}}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  if (text.charCodeAt(0) === 0xFEFF) {
+    i = 1;
+  }
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    return { rows, error: 'Unterminated quoted field at end of file' };
+  }
+
+  // Last record without a trailing line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return {
+    rows: rows.filter(r => !(r.length === 1 && r[0].trim() === '')),
+    error: null
+  };
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ */
+function escapeCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+/**
+ * Serialize rows as RFC 4180 CSV (CRLF record separators)
+ */
+function formatCsv(rows) {
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize cookies as CSV with one column per cookie attribute
+ */
+function formatCsvCookies(cookies) {
+  const rows = [CSV_COLUMNS.slice()];
+  cookies.forEach((cookie) => {
+    rows.push(CSV_COLUMNS.map((column) => {
+      // Partitioned cookies are written as their top-level site
+      const value = column === 'partitionKey'
+        ? cookie.partitionKey && cookie.partitionKey.topLevelSite
+        : cookie[column];
+      return value === undefined || value === null ? '' : value;
+    }));
+  });
+  return formatCsv(rows);
+}
+
+/**
+ * Suggest a field for every CSV header column
+ * @returns {Array<string|null>} Field name per column, null when unknown
+ */
+function guessCsvHeaderMapping(headers) {
+  const used = new Set();
+  return headers.map((header) => {
+    const normalized = String(header).trim().toLowerCase();
+    const field = CSV_MAPPABLE_FIELDS.find(candidate =>
+      !used.has(candidate) && CSV_HEADER_ALIASES[candidate].includes(normalized)
+    );
+    if (field) {
+      used.add(field);
+      return field;
+    }
+    return null;
+  });
+}
+
+/**
+ * Parse a boolean cell ("TRUE", "true", "1", "yes")
+ */
+function parseCsvBoolean(value) {
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'y'].includes(normalized)) return true;
+  if (['false', '0', 'no', 'n', ''].includes(normalized)) return false;
+  return null;
+}
+
+// Seconds between 1601-01-01, Chrome's cookie database epoch, and 1970-01-01
+const CHROME_EPOCH_OFFSET_SECONDS = 11644473600;
+
+/**
+ * Parse an expiry cell: epoch seconds, epoch milliseconds, Chrome's
+ * expires_utc (microseconds since 1601) or a date string
+ */
+function parseCsvExpiration(value) {
+  const text = String(value).trim();
+  if (!text) return null;
+
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    // Values this large are microseconds since 1601; smaller large ones are milliseconds
+    if (number > 1e14) return number / 1e6 - CHROME_EPOCH_OFFSET_SECONDS;
+    return number > 1e11 ? number / 1000 : number;
+  }
+
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? NaN : time / 1000;
+}
+
+/**
+ * Normalize the sameSite spellings used by different tools
+ */
+function parseCsvSameSite(value) {
+  const normalized = String(value).trim().toLowerCase().replace(/[\s-]/g, '_');
+  const map = {
+    '': 'unspecified',
+    unspecified: 'unspecified',
+    no_restriction: 'no_restriction',
+    none: 'no_restriction',
+    lax: 'lax',
+    strict: 'strict'
+  };
+  return map[normalized] || null;
+}
+
+/**
+ * Convert CSV data rows into cookies using a column mapping
+ * @param {Array<Array<string>>} rows - Data rows (header excluded)
+ * @param {Array<string|null>} mapping - Field per column
+ * @param {number} firstRowNumber - File row number of rows[0], for error reports
+ * @returns {{cookies: Array, errors: Array<{row: number, message: string}>}}
+ */
+function cookiesFromCsvRows(rows, mapping, firstRowNumber = 2) {
+  const cookies = [];
+  const errors = [];
+
+  if (!mapping.includes('domain') || !mapping.includes('name')) {
+    errors.push({ row: 1, message: 'Columns for "domain" and "name" are required' });
+    return { cookies, errors };
+  }
+
+  rows.forEach((row, index) => {
+    const rowNumber = firstRowNumber + index;
+    const record = {};
+    mapping.forEach((field, column) => {
+      if (field) record[field] = row[column] !== undefined ? row[column] : '';
+    });
+
+    try {
+      if (row.length !== mapping.length) {
+        throw new Error(`Expected ${mapping.length} columns, found ${row.length}`);
+      }
+
+      const domain = (record.domain || '').trim();
+      if (!domain) throw new Error('Missing domain');
+      if (!record.name && record.name !== '') throw new Error('Missing name');
+
+      const cookie = {
+        domain: domain,
+        name: record.name,
+        value: record.value !== undefined ? record.value : '',
+        path: (record.path || '').trim() || '/'
+      };
+
+      ['secure', 'httpOnly', 'hostOnly', 'session'].forEach((flag) => {
+        if (record[flag] === undefined) return;
+        const parsed = parseCsvBoolean(record[flag]);
+        if (parsed === null) throw new Error(`Invalid ${flag} value "${record[flag]}"`);
+        cookie[flag] = parsed;
+      });
+
+      if (record.includeSubdomains !== undefined && cookie.hostOnly === undefined) {
+        const parsed = parseCsvBoolean(record.includeSubdomains);
+        if (parsed === null) throw new Error(`Invalid includeSubdomains value "${record.includeSubdomains}"`);
+        cookie.hostOnly = !parsed;
+      }
+      if (cookie.hostOnly === undefined) {
+        cookie.hostOnly = !domain.startsWith('.');
+      }
+      // Same form chrome.cookies uses, so cookie keys match live cookies
+      cookie.domain = cookie.hostOnly ? domain.replace(/^\./, '') : (domain.startsWith('.') ? domain : '.' + domain);
+
+      if (record.sameSite !== undefined) {
+        const sameSite = parseCsvSameSite(record.sameSite);
+        if (!sameSite) throw new Error(`Invalid sameSite value "${record.sameSite}"`);
+        cookie.sameSite = sameSite;
+      }
+
+      if (record.expirationDate !== undefined) {
+        const expiration = parseCsvExpiration(record.expirationDate);
+        if (Number.isNaN(expiration)) throw new Error(`Invalid expiration "${record.expirationDate}"`);
+        if (expiration !== null && expiration > 0) {
+          cookie.expirationDate = expiration;
+        }
+      }
+      if (cookie.session === undefined) {
+        cookie.session = cookie.expirationDate === undefined;
+      } else if (cookie.session) {
+        delete cookie.expirationDate;
+      }
+
+      if (record.storeId) {
+        cookie.storeId = record.storeId.trim();
+      }
+
+      if (record.partitionKey && record.partitionKey.trim()) {
+        const site = record.partitionKey.trim();
+        if (!/^https?:\/\/[^/\s]+$/.test(site)) throw new Error(`Invalid partition key "${site}" - expected a site such as https://example.com`);
+        cookie.partitionKey = { topLevelSite: site };
+      }
+
+      cookies.push(cookie);
+    } catch (error) {
+      errors.push({ row: rowNumber, message: error.message });
+    }
+  });
+
+  return { cookies, errors };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isNetscapeCookieFile,
+    parseNetscapeCookies,
+    formatNetscapeCookies,
+    CSV_COLUMNS,
+    CSV_MAPPABLE_FIELDS,
+    parseCsv,
+    formatCsv,
+    formatCsvCookies,
+    guessCsvHeaderMapping,
+    cookiesFromCsvRows
+  };
+}
+
+// Make functions globally available
+self.cookieFormats = {
+  isNetscapeCookieFile,
+  parseNetscapeCookies,
+  formatNetscapeCookies,
+  CSV_MAPPABLE_FIELDS,
+  parseCsv,
+  formatCsvCookies,
+  guessCsvHeaderMapping,
+  cookiesFromCsvRows
+};
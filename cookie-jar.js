@@ -0,0 +1,228 @@
+/**
+ * Cookie Jar Module
+ * Reads every cookie the extension can see. chrome.cookies.getAll({}) leaves
+ * out partitioned (CHIPS) cookies, which are keyed by the top-level site
+ * they were set under (cookie.partitionKey.topLevelSite), so they are
+ * requested separately and merged in.
+ *
+ * It also only reads the store of the calling context. Other cookie stores
+ * (Chrome incognito, Firefox private browsing and containers) are listed
+ * with chrome.cookies.getAllCookieStores and read one by one. Backups include
+ * every store except those switched off in settings (excludedCookieStores),
+ * so new containers are backed up without further setup.
+ *
+ * This file is loaded both by popup.html and by the service worker
+ * (importScripts), so it must not touch the DOM. Requires backup-chain.js
+ * (getCookieKey).
+ */
+
+const COOKIE_STORES_SETTING_KEY = 'excludedCookieStores';
+
+// Well-known store ids (Chrome uses "0"/"1", Firefox "firefox-default"/"firefox-private")
+const COOKIE_STORE_NAMES = {
+  '0': 'Default',
+  '1': 'Incognito',
+  'firefox-default': 'Default',
+  'firefox-private': 'Private browsing'
+};
+
+/**
+ * Top-level site a partitioned cookie belongs to, null for ordinary cookies
+ */
+function getPartitionSite(cookie) {
+  return cookie && cookie.partitionKey && cookie.partitionKey.topLevelSite || null;
+}
+
+/**
+ * Check whether a cookie is partitioned (CHIPS)
+ */
+function isPartitionedCookie(cookie) {
+  return getPartitionSite(cookie) !== null;
+}
+
+/**
+ * Get all cookies matching a filter, partitioned cookies included
+ * @param {Object} details - chrome.cookies.getAll filter
+ * @returns {Promise<Array>}
+ */
+async function getAllCookies(details = {}) {
+  const cookies = await chrome.cookies.getAll(details);
+  let partitioned = [];
+  try {
+    // An empty partition key asks for cookies from every partition
+    partitioned = await chrome.cookies.getAll({ ...details, partitionKey: {} });
+  } catch (error) {
+    // Browser without partitioned cookie support
+  }
+
+  const jar = new Map(cookies.map(cookie => [getCookieKey(cookie), cookie]));
+  partitioned.forEach(cookie => jar.set(getCookieKey(cookie), cookie));
+  return Array.from(jar.values());
+}
+
+/**
+ * Firefox container names by cookie store id (empty in Chrome)
+ */
+async function getContainerNames() {
+  const names = {};
+  if (typeof browser === 'undefined' || !browser.contextualIdentities) {
+    return names;
+  }
+  try {
+    const containers = await browser.contextualIdentities.query({});
+    containers.forEach((container) => {
+      names[container.cookieStoreId] = `${container.name} container`;
+    });
+  } catch (error) {
+    // Containers disabled
+  }
+  return names;
+}
+
+/**
+ * Readable name for a cookie store id
+ */
+function getCookieStoreName(storeId, containerNames = {}) {
+  return containerNames[storeId] || COOKIE_STORE_NAMES[storeId] || `Store ${storeId}`;
+}
+
+/**
+ * List the cookie stores currently available
+ * Chrome only reports the incognito store while an incognito window is open.
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+async function getCookieStores() {
+  const [stores, containerNames] = await Promise.all([
+    chrome.cookies.getAllCookieStores(),
+    getContainerNames()
+  ]);
+  return stores.map(store => ({ id: store.id, name: getCookieStoreName(store.id, containerNames) }));
+}
+
+/**
+ * Get the cookies of several stores, each tagged with its storeId
+ * @param {Array<string>|null} storeIds - null for every available store
+ */
+async function getCookiesFromStores(storeIds = null) {
+  const ids = storeIds || (await chrome.cookies.getAllCookieStores()).map(store => store.id);
+  const lists = await Promise.all(ids.map(storeId =>
+    getAllCookies({ storeId }).then(cookies => cookies.map(cookie => ({ ...cookie, storeId: cookie.storeId || storeId })))
+  ));
+  return lists.flat();
+}
+
+/**
+ * Get the cookies of the stores selected for backups
+ */
+async function getCookiesForBackup() {
+  const settings = await chrome.storage.local.get([COOKIE_STORES_SETTING_KEY]);
+  const excluded = settings[COOKIE_STORES_SETTING_KEY] || [];
+  const available = (await chrome.cookies.getAllCookieStores()).map(store => store.id);
+  return getCookiesFromStores(available.filter(id => !excluded.includes(id)));
+}
+
+/**
+ * Readable name per available store id, for backup headers
+ */
+async function getCookieStoreNames() {
+  const stores = await getCookieStores();
+  return Object.fromEntries(stores.map(store => [store.id, store.name]));
+}
+
+/**
+ * Store a backup cookie was taken from ("0" for backups without store ids)
+ */
+function getSourceStoreId(cookie) {
+  return cookie.storeId || '0';
+}
+
+/**
+ * Default restore target for every store in a backup: the same store when
+ * it exists here, otherwise the default store
+ * @param {Array} stores - Result of getCookieStores()
+ * @returns {Object} Target store id per source store id
+ */
+function getDefaultStoreMapping(cookies, stores) {
+  const available = stores.map(store => store.id);
+  const fallback = available.find(id => COOKIE_STORE_NAMES[id] === 'Default') || available[0] || '0';
+  const mapping = {};
+  cookies.forEach((cookie) => {
+    const source = getSourceStoreId(cookie);
+    if (!(source in mapping)) {
+      mapping[source] = available.includes(source) ? source : fallback;
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Point backup cookies at their target stores
+ */
+function applyStoreMapping(cookies, mapping) {
+  return cookies.map((cookie) => {
+    const target = mapping[getSourceStoreId(cookie)];
+    return target ? { ...cookie, storeId: target } : cookie;
+  });
+}
+
+/**
+ * Remove a cookie, addressing its partition when it has one
+ */
+function removeCookie(cookie) {
+  const details = {
+    url: `http${cookie.secure ? 's' : ''}://${cookie.domain.replace(/^\./, '')}${cookie.path || '/'}`,
+    name: cookie.name
+  };
+  if (cookie.storeId) {
+    details.storeId = cookie.storeId;
+  }
+  if (cookie.partitionKey) {
+    details.partitionKey = cookie.partitionKey;
+  }
+  return chrome.cookies.remove(details);
+}
+
+/**
+ * Key grouping cookies in domain lists: the domain, plus the top-level
+ * site for partitioned cookies so they are listed separately
+ */
+function getCookieGroupKey(cookie) {
+  const site = getPartitionSite(cookie);
+  return site ? `${cookie.domain} | ${site}` : cookie.domain;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COOKIE_STORES_SETTING_KEY,
+    getPartitionSite,
+    isPartitionedCookie,
+    getAllCookies,
+    getCookieStoreName,
+    getCookieStores,
+    getCookiesFromStores,
+    getCookiesForBackup,
+    getCookieStoreNames,
+    getDefaultStoreMapping,
+    applyStoreMapping,
+    removeCookie,
+    getCookieGroupKey
+  };
+}
+
+// Shared namespace for the popup and the service worker
+self.cookieJar = {
+  COOKIE_STORES_SETTING_KEY,
+  getPartitionSite,
+  isPartitionedCookie,
+  getAllCookies,
+  getCookieStoreName,
+  getCookieStores,
+  getCookiesFromStores,
+  getCookiesForBackup,
+  getCookieStoreNames,
+  getDefaultStoreMapping,
+  applyStoreMapping,
+  removeCookie,
+  getCookieGroupKey
+};
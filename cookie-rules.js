@@ -0,0 +1,162 @@
+/**
+ * Cookie Rules Module
+ * Browser cookie rules applied to backup cookies before a restore, so that
+ * chrome.cookies.set is not handed cookies it will refuse. Whatever can be
+ * fixed without changing which cookie it is gets repaired (and the repair
+ * recorded); everything else is rejected with a plain-language reason.
+ *
+ *   - __Secure- cookies must be secure
+ *   - __Host- cookies must be secure, host-only and use path "/"
+ *   - SameSite=None and partitioned (CHIPS) cookies must be secure
+ *   - a leading dot in the domain means a domain cookie, whatever hostOnly says
+ *   - sameSite spellings from other tools ("None", "Lax") are normalized;
+ *     "unspecified" is left to the browser default
+ *   - names and values must not contain ";", control characters, and
+ *     together must stay within 4096 bytes
+ *
+ * Must not touch the DOM. explainCookieError() uses getRestoreUrl() from
+ * restore-plan.js.
+ */
+
+const MAX_COOKIE_SIZE = 4096;
+
+const SAME_SITE_ALIASES = {
+  none: 'no_restriction',
+  no_restriction: 'no_restriction',
+  lax: 'lax',
+  strict: 'strict',
+  unspecified: 'unspecified'
+};
+
+// Characters a cookie name or value cannot hold
+const INVALID_NAME_PATTERN = /[\x00-\x1f\x7f;=]/;
+const INVALID_VALUE_PATTERN = /[\x00-\x1f\x7f;]/;
+
+/**
+ * Canonical sameSite value for any known spelling, null when unknown
+ */
+function normalizeSameSite(value) {
+  return typeof value === 'string' ? SAME_SITE_ALIASES[value.trim().toLowerCase()] || null : null;
+}
+
+/**
+ * Check a cookie name for a prefix, ignoring case like browsers do
+ */
+function hasCookiePrefix(name, prefix) {
+  return typeof name === 'string' && name.toLowerCase().startsWith(prefix.toLowerCase());
+}
+
+/**
+ * Apply browser cookie rules to a backup cookie
+ * @returns {{cookie: Object, repairs: Array<string>, problem: string|null}}
+ *   A repaired copy of the cookie, what was changed, and why it cannot be
+ *   restored at all (null when it can)
+ */
+function applyCookieRules(original) {
+  const cookie = { ...original };
+  const repairs = [];
+  const name = cookie.name || '';
+  const value = cookie.value || '';
+
+  if (typeof cookie.sameSite === 'string') {
+    const sameSite = normalizeSameSite(cookie.sameSite);
+    if (sameSite && sameSite !== cookie.sameSite) {
+      repairs.push(`SameSite "${cookie.sameSite}" read as "${sameSite}"`);
+      cookie.sameSite = sameSite;
+    }
+  }
+
+  if (cookie.hostOnly && cookie.domain && cookie.domain.startsWith('.')) {
+    cookie.hostOnly = false;
+    repairs.push('Domain starts with a dot, so it was restored as a domain cookie rather than host-only');
+  }
+
+  if (hasCookiePrefix(name, '__Host-')) {
+    if (cookie.path && cookie.path !== '/') {
+      return {
+        cookie, repairs,
+        problem: `Cookies named __Host-… must use path "/", but this one uses "${cookie.path}". ` +
+          'The browser refuses it, and changing the path would make it a different cookie.'
+      };
+    }
+    if (cookie.hostOnly === false || (cookie.domain && cookie.domain.startsWith('.'))) {
+      cookie.hostOnly = true;
+      cookie.domain = cookie.domain.replace(/^\./, '');
+      repairs.push('__Host- cookies cannot be shared with subdomains, so it was restored as host-only');
+    }
+    if (!cookie.secure) {
+      cookie.secure = true;
+      repairs.push('__Host- cookies only work over HTTPS, so it was marked secure');
+    }
+  } else if (hasCookiePrefix(name, '__Secure-') && !cookie.secure) {
+    cookie.secure = true;
+    repairs.push('__Secure- cookies only work over HTTPS, so it was marked secure');
+  }
+
+  if (cookie.sameSite === 'no_restriction' && !cookie.secure) {
+    cookie.secure = true;
+    repairs.push('Browsers only accept SameSite=None on secure cookies, so it was marked secure');
+  }
+
+  if (cookie.partitionKey && !cookie.secure) {
+    cookie.secure = true;
+    repairs.push('Partitioned cookies must be secure, so it was marked secure');
+  }
+
+  if (!name && !value) {
+    return { cookie, repairs, problem: 'The cookie has neither a name nor a value, which browsers do not store.' };
+  }
+  if (INVALID_NAME_PATTERN.test(name)) {
+    return { cookie, repairs, problem: 'The name contains ";", "=" or a control character, which cookie names cannot hold.' };
+  }
+  if (INVALID_VALUE_PATTERN.test(value)) {
+    return { cookie, repairs, problem: 'The value contains ";" or a control character (such as a line break), which cookie values cannot hold.' };
+  }
+
+  const size = new TextEncoder().encode(name + value).length;
+  if (size > MAX_COOKIE_SIZE) {
+    return {
+      cookie, repairs,
+      problem: `Name and value together are ${size} bytes; browsers refuse cookies larger than ${MAX_COOKIE_SIZE} bytes.`
+    };
+  }
+
+  return { cookie, repairs, problem: null };
+}
+
+/**
+ * Explain an error message from chrome.cookies.set in plain language
+ */
+function explainCookieError(message, cookie = {}) {
+  const text = String(message || '');
+  if (/no host permissions/i.test(text)) {
+    return `The extension is not allowed to set cookies for ${cookie.domain || 'this site'}.`;
+  }
+  if (/no cookie store/i.test(text) || /invalid cookie store/i.test(text)) {
+    return 'The cookie store it was mapped to is not available (for example, no incognito window is open).';
+  }
+  if (/failed to parse or set cookie/i.test(text)) {
+    return `The browser refused the cookie. Common causes are a domain that does not match ${getRestoreUrl(cookie)}, ` +
+      'a domain cookie on a public suffix or IP address, or a secure cookie on a site that is not HTTPS.';
+  }
+  if (/expiration/i.test(text)) {
+    return 'The browser refused the expiry date.';
+  }
+  return text || 'The browser refused the cookie.';
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    normalizeSameSite,
+    applyCookieRules,
+    explainCookieError
+  };
+}
+
+// Shared namespace for the popup and the service worker
+self.cookieRules = {
+  normalizeSameSite,
+  applyCookieRules,
+  explainCookieError
+};
@@ -0,0 +1,270 @@
+/**
+ * Domain Rewrite Module
+ * Rewrite rules move backup cookies to another host before a restore, for
+ * example from production to staging or a local dev server. One rule per
+ * line, source on the left, target on the right:
+ *
+ *   app.example.com => staging.example.com
+ *   app.example.com/app => localhost:3000/ insecure
+ *
+ *   - a source host also matches its subdomains (a.app.example.com becomes
+ *     a.staging.example.com); the first matching rule wins
+ *   - a source path matches that path and everything below it, and is
+ *     replaced by the target path
+ *   - a target port is only kept for display, since cookies are shared by
+ *     every port of a host
+ *   - localhost and IP addresses cannot hold domain cookies, so cookies
+ *     moved there become host-only
+ *   - "insecure" clears the secure flag for hosts served over plain http
+ *     (SameSite=None becomes Lax, as None requires secure); "secure" sets it.
+ *     __Host-/__Secure- cookies stay secure - see cookie-rules.js - and so
+ *     do partitioned cookies, which the browser only accepts when secure
+ *   - partitioned cookies whose top-level site matches are moved with it;
+ *     a top-level site that is not a valid URL is left as it is
+ *
+ * Rewritten cookies are copies carrying rewrittenFrom ("domain/path" before
+ * the rewrite), so the preview can show what moved. Named rule sets are kept
+ * in chrome.storage.local (domainRewriteRuleSets).
+ *
+ * Loaded by popup.html; must not touch the DOM.
+ */
+
+const REWRITE_RULE_SETS_STORAGE_KEY = 'domainRewriteRuleSets';
+
+const REWRITE_SECURE_MODES = {
+  KEEP: 'keep',
+  OFF: 'off',
+  ON: 'on'
+};
+
+const REWRITE_SECURE_FLAGS = {
+  insecure: REWRITE_SECURE_MODES.OFF,
+  http: REWRITE_SECURE_MODES.OFF,
+  secure: REWRITE_SECURE_MODES.ON,
+  https: REWRITE_SECURE_MODES.ON
+};
+
+const REWRITE_HOST_PATTERN = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/;
+
+/**
+ * Split "host[:port][/path]" into a lowercase host, port and path (null when absent)
+ */
+function parseRewriteTarget(value, lineNumber) {
+  const match = /^([^/:]+)(?::(\d+))?(\/.*)?$/.exec(value.replace(/^https?:\/\//i, ''));
+  const host = match ? match[1].toLowerCase().replace(/^\./, '') : '';
+  if (!REWRITE_HOST_PATTERN.test(host)) {
+    throw new Error(`Line ${lineNumber}: "${value}" is not a host name`);
+  }
+  return { host, port: match[2] || null, path: match[3] || null };
+}
+
+/**
+ * Parse rewrite rules, one per line; blank lines and # comments are ignored
+ * @returns {Array<{from, fromPath, to, toPort, toPath, secure}>}
+ */
+function parseRewriteRules(text) {
+  const rules = [];
+  String(text || '').split('\n').forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const sides = trimmed.split(/\s*(?:=>|->|→)\s*/);
+    if (sides.length !== 2 || !sides[0] || !sides[1]) {
+      throw new Error(`Line ${index + 1}: expected "source => target"`);
+    }
+    const [targetValue, ...flags] = sides[1].split(/\s+/);
+    const source = parseRewriteTarget(sides[0], index + 1);
+    const target = parseRewriteTarget(targetValue, index + 1);
+
+    let secure = REWRITE_SECURE_MODES.KEEP;
+    flags.forEach((flag) => {
+      if (!(flag.toLowerCase() in REWRITE_SECURE_FLAGS)) {
+        throw new Error(`Line ${index + 1}: unknown option "${flag}" - use "insecure" or "secure"`);
+      }
+      secure = REWRITE_SECURE_FLAGS[flag.toLowerCase()];
+    });
+
+    rules.push({
+      from: source.host,
+      fromPath: source.path,
+      to: target.host,
+      toPort: target.port,
+      toPath: target.path,
+      secure
+    });
+  });
+  return rules;
+}
+
+/**
+ * Turn rules back into the text parseRewriteRules() reads
+ */
+function formatRewriteRules(rules) {
+  return rules.map((rule) => {
+    const flag = rule.secure === REWRITE_SECURE_MODES.OFF ? ' insecure' : rule.secure === REWRITE_SECURE_MODES.ON ? ' secure' : '';
+    const port = rule.toPort ? `:${rule.toPort}` : '';
+    return `${rule.from}${rule.fromPath || ''} => ${rule.to}${port}${rule.toPath || ''}${flag}`;
+  }).join('\n');
+}
+
+/**
+ * Hosts that cannot hold domain cookies and are usually served over http
+ */
+function isLocalRewriteHost(host) {
+  return host === 'localhost' || host.endsWith('.localhost') || /^\d{1,3}(\.\d{1,3}){3}$/.test(host);
+}
+
+/**
+ * Rewrite a host by a rule, null when the rule does not match it
+ */
+function rewriteHost(host, rule) {
+  if (host !== rule.from && !host.endsWith(`.${rule.from}`)) {
+    return null;
+  }
+  return host.slice(0, host.length - rule.from.length) + rule.to;
+}
+
+/**
+ * Rewrite a cookie path by a rule, null when the rule does not match it
+ */
+function rewritePath(path, rule) {
+  const base = (rule.fromPath || '/').replace(/\/+$/, '');
+  if (base && path !== base && !path.startsWith(`${base}/`)) {
+    return null;
+  }
+  const target = rule.toPath === null ? base : rule.toPath.replace(/\/+$/, '');
+  const rest = path.slice(base.length);
+  return rest === '' || rest === '/' ? target || '/' : target + rest;
+}
+
+/**
+ * Parse a partition key's top-level site, null when missing or malformed
+ * (hand-edited and CSV backups can hold anything there)
+ */
+function parseTopLevelSite(topLevelSite) {
+  if (!topLevelSite) {
+    return null;
+  }
+  try {
+    return new URL(topLevelSite);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Apply the first matching rule to a cookie
+ * @returns {Object} A rewritten copy, or the cookie itself when no rule matches
+ */
+function rewriteCookie(cookie, rules) {
+  const domain = cookie.domain || '';
+  const host = domain.replace(/^\./, '').toLowerCase();
+  const path = cookie.path || '/';
+
+  for (const rule of rules) {
+    const newHost = rewriteHost(host, rule);
+    const newPath = newHost === null ? null : rewritePath(path, rule);
+    if (newPath === null) {
+      continue;
+    }
+
+    const rewritten = { ...cookie, path: newPath, rewrittenFrom: `${domain}${path}` };
+    if (isLocalRewriteHost(newHost)) {
+      rewritten.domain = newHost;
+      rewritten.hostOnly = true;
+    } else {
+      rewritten.domain = domain.startsWith('.') ? `.${newHost}` : newHost;
+    }
+
+    if (rule.secure === REWRITE_SECURE_MODES.OFF && !cookie.partitionKey) {
+      rewritten.secure = false;
+      if (rewritten.sameSite === 'no_restriction') {
+        rewritten.sameSite = 'lax';
+      }
+    } else if (rule.secure === REWRITE_SECURE_MODES.ON) {
+      rewritten.secure = true;
+    }
+
+    const site = cookie.partitionKey && parseTopLevelSite(cookie.partitionKey.topLevelSite);
+    if (site) {
+      const siteHost = rewriteHost(site.hostname, rule);
+      if (siteHost !== null) {
+        const scheme = rule.secure === REWRITE_SECURE_MODES.OFF ? 'http:' : site.protocol;
+        rewritten.partitionKey = { ...cookie.partitionKey, topLevelSite: `${scheme}//${siteHost}` };
+      }
+    }
+    return rewritten;
+  }
+  return cookie;
+}
+
+/**
+ * Apply rewrite rules to a list of backup cookies
+ */
+function rewriteCookies(cookies, rules) {
+  if (!rules || rules.length === 0) {
+    return cookies;
+  }
+  return cookies.map(cookie => (cookie && cookie.domain ? rewriteCookie(cookie, rules) : cookie));
+}
+
+/**
+ * Load the saved rule sets, [{ name, rules }] sorted by name
+ */
+async function getRewriteRuleSets() {
+  const stored = await chrome.storage.local.get([REWRITE_RULE_SETS_STORAGE_KEY]);
+  return (stored[REWRITE_RULE_SETS_STORAGE_KEY] || []).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a rule set, replacing one with the same name
+ */
+async function saveRewriteRuleSet(name, rules) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('Rule set name is required');
+  }
+  if (rules.length === 0) {
+    throw new Error('A rule set needs at least one rule');
+  }
+  const sets = (await getRewriteRuleSets()).filter(set => set.name !== trimmed);
+  sets.push({ name: trimmed, rules });
+  await chrome.storage.local.set({ [REWRITE_RULE_SETS_STORAGE_KEY]: sets });
+  return { name: trimmed, rules };
+}
+
+/**
+ * Delete a saved rule set
+ */
+async function deleteRewriteRuleSet(name) {
+  const sets = (await getRewriteRuleSets()).filter(set => set.name !== name);
+  await chrome.storage.local.set({ [REWRITE_RULE_SETS_STORAGE_KEY]: sets });
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REWRITE_SECURE_MODES,
+    parseRewriteRules,
+    formatRewriteRules,
+    rewriteCookie,
+    rewriteCookies,
+    getRewriteRuleSets,
+    saveRewriteRuleSet,
+    deleteRewriteRuleSet
+  };
+}
+
+// Make functions globally available
+self.domainRewrite = {
+  REWRITE_SECURE_MODES,
+  parseRewriteRules,
+  formatRewriteRules,
+  rewriteCookie,
+  rewriteCookies,
+  getRewriteRuleSets,
+  saveRewriteRuleSet,
+  deleteRewriteRuleSet
+};
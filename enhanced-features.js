@@ -39,7 +39,7 @@ function updateStatusDashboard() {
     const statusElement = document.getElementById("auto-backup-status-dash");
 
     if (typeof chrome !== "undefined" && chrome.cookies) {
-        chrome.cookies.getAll({}, (cookies) => {
+        window.cookieJar.getAllCookies().then((cookies) => {
             if (totalCookiesEl) {
                 totalCookiesEl.textContent = cookies.length;
             }
@@ -133,7 +133,7 @@ function initializeSelectiveBackup() {
 
 function loadCookiesForSelection() {
     if (typeof chrome !== "undefined" && chrome.cookies) {
-        chrome.cookies.getAll({}, (cookies) => {
+        window.cookieJar.getCookiesForBackup().then((cookies) => {
             displayCookieList(groupCookiesByDomain(cookies));
         });
     } else {
@@ -147,10 +147,13 @@ function loadCookiesForSelection() {
     }
 }
 
+// Partitioned (CHIPS) cookies get their own group per top-level site
 function groupCookiesByDomain(cookies) {
     const grouped = {};
     cookies.forEach((cookie) => {
-        const domain = cookie.domain || "unknown";
+        const domain = cookie.domain
+            ? window.cookieJar.getCookieGroupKey(cookie)
+            : "unknown";
         if (!grouped[domain]) {
             grouped[domain] = [];
         }
@@ -163,52 +166,79 @@ function displayCookieList(groupedCookies) {
     const cookieList = document.getElementById("cookie-list");
     cookieList.textContent = "";
 
-    Object.entries(groupedCookies).forEach(([domain, cookies]) => {
-        const item = document.createElement("div");
-        item.className = "cookie-item";
-        item.dataset.domain = domain;
-
-        const checkbox = document.createElement("input");
-        checkbox.type = "checkbox";
-        checkbox.className = "cookie-checkbox";
-        checkbox.dataset.domain = domain;
-        checkbox.addEventListener("change", (e) => {
-            if (e.target.checked) {
-                selectedCookies.add(domain);
-                item.classList.add("selected");
-            } else {
-                selectedCookies.delete(domain);
-                item.classList.remove("selected");
-            }
-            updateSelectedCount();
-        });
+    const groups = Object.entries(groupedCookies);
+    const partitionedGroups = groups.filter(([, cookies]) =>
+        window.cookieJar.isPartitionedCookie(cookies[0]),
+    );
 
-        const info = document.createElement("div");
-        info.className = "cookie-info";
+    groups
+        .filter(([, cookies]) => !window.cookieJar.isPartitionedCookie(cookies[0]))
+        .forEach(([domain, cookies]) => appendCookieListItem(cookieList, domain, cookies));
+
+    if (partitionedGroups.length > 0) {
+        const heading = document.createElement("div");
+        heading.className = "cookie-list-heading";
+        heading.textContent = "Partitioned cookies (per top-level site)";
+        cookieList.appendChild(heading);
+
+        partitionedGroups.forEach(([domain, cookies]) =>
+            appendCookieListItem(cookieList, domain, cookies),
+        );
+    }
+}
+
+function appendCookieListItem(cookieList, domain, cookies) {
+    const item = document.createElement("div");
+    item.className = "cookie-item";
+    item.dataset.domain = domain;
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "cookie-checkbox";
+    checkbox.dataset.domain = domain;
+    checkbox.addEventListener("change", (e) => {
+        if (e.target.checked) {
+            selectedCookies.add(domain);
+            item.classList.add("selected");
+        } else {
+            selectedCookies.delete(domain);
+            item.classList.remove("selected");
+        }
+        updateSelectedCount();
+    });
 
-        const domainLabel = document.createElement("div");
-        domainLabel.className = "cookie-domain";
-        domainLabel.textContent = domain;
+    const info = document.createElement("div");
+    info.className = "cookie-info";
 
-        const cookieCount = document.createElement("span");
-        cookieCount.className = "cookie-count";
-        cookieCount.textContent = `${cookies.length} cookies`;
+    const domainLabel = document.createElement("div");
+    domainLabel.className = "cookie-domain";
+    domainLabel.textContent = cookies[0].domain || domain;
 
-        info.appendChild(domainLabel);
-        info.appendChild(cookieCount);
+    const cookieCount = document.createElement("span");
+    cookieCount.className = "cookie-count";
+    cookieCount.textContent = `${cookies.length} cookies`;
 
-        item.appendChild(checkbox);
-        item.appendChild(info);
+    info.appendChild(domainLabel);
+    const partitionSite = window.cookieJar.getPartitionSite(cookies[0]);
+    if (partitionSite) {
+        const partitionLabel = document.createElement("div");
+        partitionLabel.className = "cookie-name";
+        partitionLabel.textContent = `Partitioned under ${partitionSite}`;
+        info.appendChild(partitionLabel);
+    }
+    info.appendChild(cookieCount);
 
-        item.addEventListener("click", (e) => {
-            if (e.target !== checkbox) {
-                checkbox.checked = !checkbox.checked;
-                checkbox.dispatchEvent(new Event("change"));
-            }
-        });
+    item.appendChild(checkbox);
+    item.appendChild(info);
 
-        cookieList.appendChild(item);
+    item.addEventListener("click", (e) => {
+        if (e.target !== checkbox) {
+            checkbox.checked = !checkbox.checked;
+            checkbox.dispatchEvent(new Event("change"));
+        }
     });
+
+    cookieList.appendChild(item);
 }
 
 function filterCookies(searchTerm) {
@@ -257,12 +287,19 @@ function backupSelectedCookies() {
         return;
     }
 
-    // Show password prompt
     document.getElementById("cookie-selection-modal").classList.add("hidden");
-    document.getElementById("enc-passwd").classList.remove("hidden");
 
     // Store selection for use in backup
     window.selectedDomainsForBackup = Array.from(selectedCookies);
+
+    // Plain-text formats export straight away, encrypted backups need a password
+    if (typeof getBackupOutputFormat === "function" && getBackupOutputFormat() !== "ckz") {
+        exportPlainTextBackup(getBackupOutputFormat());
+        return;
+    }
+
+    // Show password prompt
+    document.getElementById("enc-passwd").classList.remove("hidden");
 }
 
 // Progress Indicators
@@ -431,6 +468,16 @@ function displayBackupHistory() {
 
         actions.appendChild(downloadBtn);
 
+        if (typeof showBackupDiffDialog === "function") {
+            const compareBtn = document.createElement("button");
+            compareBtn.className = "history-action";
+            compareBtn.textContent = "Compare";
+            compareBtn.addEventListener("click", () => {
+                showBackupDiffDialog({ entry: entry });
+            });
+            actions.appendChild(compareBtn);
+        }
+
         item.appendChild(info);
         item.appendChild(actions);
 
@@ -438,34 +485,6 @@ function displayBackupHistory() {
     });
 }
 
-// Compression Support
-function compressData(data) {
-    // Using pako library for compression (would need to be included)
-    // For now, returning data as-is
-    return data;
-}
-
-function decompressData(data) {
-    // Using pako library for decompression (would need to be included)
-    // For now, returning data as-is
-    return data;
-}
-
-// Checksum for integrity
-function calculateChecksum(data) {
-    let hash = 0;
-    for (let i = 0; i < data.length; i++) {
-        const char = data.charCodeAt(i);
-        hash = (hash << 5) - hash + char;
-        hash = hash & hash; // Convert to 32bit integer
-    }
-    return hash.toString(16);
-}
-
-function verifyChecksum(data, checksum) {
-    return calculateChecksum(data) === checksum;
-}
-
 // Utility Functions
 function formatDateTime(date) {
     const options = {
@@ -658,9 +677,5 @@ document.addEventListener("DOMContentLoaded", async () => {
 window.enhancedFeatures = {
     showProgress,
     addToBackupHistory,
-    compressData,
-    decompressData,
-    calculateChecksum,
-    verifyChecksum,
     updateStatusDashboard,
 };
@@ -0,0 +1,225 @@
+/**
+ * Integrity Module
+ * SHA-256 digests and password-keyed HMAC-SHA256 (WebCrypto) for backups,
+ * settings exports and key files.
+ *
+ * An integrity block looks like:
+ *
+ *   {
+ *     "algorithm": "sha-256",
+ *     "digest": "<hex>",
+ *     "hmac": {
+ *       "algorithm": "hmac-sha256",
+ *       "kdf": { "name": "pbkdf2-hmac-sha256", "iterations": 10000, "salt": "<hex>" }
+ *            | { "name": "backup-kdf" },
+ *       "mac": "<hex>"
+ *     } | null
+ *   }
+ *
+ * "backup-kdf" means the HMAC key came out of the backup's own key
+ * derivation (scrypt, see key-derivation.js) and is passed in as macKey.
+ *
+ * This file is loaded both by popup.html and by the service worker
+ * (importScripts), so it must not touch the DOM.
+ */
+
+const INTEGRITY_ALGORITHM = 'sha-256';
+const INTEGRITY_HMAC_ALGORITHM = 'hmac-sha256';
+const INTEGRITY_HMAC_ITERATIONS = 10000;
+const INTEGRITY_BACKUP_KDF = 'backup-kdf';
+
+/**
+ * Encode text as UTF-8 bytes (bytes pass through unchanged)
+ */
+function integrityBytes(data) {
+  return typeof data === 'string' ? new TextEncoder().encode(data) : data;
+}
+
+/**
+ * Convert an ArrayBuffer or byte array to hex
+ */
+function bufferToHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Convert hex to bytes
+ */
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * SHA-256 digest of text or bytes as hex
+ */
+async function sha256Hex(data) {
+  return bufferToHex(await crypto.subtle.digest('SHA-256', integrityBytes(data)));
+}
+
+/**
+ * Derive an HMAC-SHA256 key from a password with PBKDF2
+ */
+async function deriveHmacKey(password, salt, iterations = INTEGRITY_HMAC_ITERATIONS) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw', integrityBytes(password), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+    baseKey,
+    { name: 'HMAC', hash: 'SHA-256', length: 256 },
+    false,
+    ['sign']
+  );
+}
+
+/**
+ * Import raw bytes as an HMAC-SHA256 key
+ */
+function importHmacKey(bytes) {
+  return crypto.subtle.importKey('raw', bytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+/**
+ * HMAC-SHA256 of text or bytes as hex
+ */
+async function hmacSha256Hex(key, data) {
+  return bufferToHex(await crypto.subtle.sign('HMAC', key, integrityBytes(data)));
+}
+
+/**
+ * Compare two hex strings without stopping at the first difference
+ */
+function hexEquals(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Build an integrity block for data
+ * @param {string|Uint8Array} data - Exact bytes that will be verified later
+ * @param {Object} options - { password, iterations } adds an HMAC keyed from the password
+ *   (pass the cipher's PBKDF2 iterations, so the HMAC is no cheaper to attack than the cipher),
+ *   { macKey } one keyed with bytes from the backup's key derivation
+ */
+async function createIntegrity(data, options = {}) {
+  const integrity = {
+    algorithm: INTEGRITY_ALGORITHM,
+    digest: await sha256Hex(data),
+    hmac: null
+  };
+
+  if (options.macKey) {
+    integrity.hmac = {
+      algorithm: INTEGRITY_HMAC_ALGORITHM,
+      kdf: { name: INTEGRITY_BACKUP_KDF },
+      mac: await hmacSha256Hex(await importHmacKey(options.macKey), data)
+    };
+  } else if (options.password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iterations = Math.max(INTEGRITY_HMAC_ITERATIONS, options.iterations || 0);
+    const key = await deriveHmacKey(options.password, salt, iterations);
+    integrity.hmac = {
+      algorithm: INTEGRITY_HMAC_ALGORITHM,
+      kdf: { name: 'pbkdf2-hmac-sha256', iterations: iterations, salt: bufferToHex(salt) },
+      mac: await hmacSha256Hex(key, data)
+    };
+  }
+
+  return integrity;
+}
+
+/**
+ * Verify data against an integrity block
+ * The HMAC is only checked when a password (or, for "backup-kdf", a macKey) is supplied.
+ * @param {Object} options - { password, macKey, checkDigest } (checkDigest defaults to true)
+ * @returns {Promise<{valid: boolean, authenticated: boolean, problems: Array<string>}>}
+ */
+async function verifyIntegrity(data, integrity, options = {}) {
+  const problems = [];
+  let authenticated = false;
+
+  if (!integrity || typeof integrity !== 'object') {
+    return { valid: false, authenticated: false, problems: ['No integrity information found'] };
+  }
+
+  if (options.checkDigest === false) {
+    // Digest already verified by the caller
+  } else if (integrity.algorithm !== INTEGRITY_ALGORITHM) {
+    problems.push(`Unsupported digest algorithm "${integrity.algorithm}"`);
+  } else if (!hexEquals(await sha256Hex(data), integrity.digest)) {
+    problems.push('SHA-256 digest does not match - the file was changed or is corrupted');
+  }
+
+  const hmac = integrity.hmac;
+  const backupKdf = !!hmac && !!hmac.kdf && hmac.kdf.name === INTEGRITY_BACKUP_KDF;
+  if (hmac && (backupKdf ? options.macKey : options.password)) {
+    if (hmac.algorithm !== INTEGRITY_HMAC_ALGORITHM || !hmac.kdf || (!backupKdf && !hmac.kdf.salt)) {
+      problems.push(`Unsupported authentication algorithm "${hmac.algorithm}"`);
+    } else {
+      const key = backupKdf
+        ? await importHmacKey(options.macKey)
+        : await deriveHmacKey(options.password, hexToBytes(hmac.kdf.salt), hmac.kdf.iterations);
+      if (hexEquals(await hmacSha256Hex(key, data), hmac.mac)) {
+        authenticated = true;
+      } else {
+        problems.push('HMAC does not match - the file was modified by someone who does not know the password');
+      }
+    }
+  }
+
+  return { valid: problems.length === 0, authenticated, problems };
+}
+
+/**
+ * 32-bit rolling hash written by older versions (verification of old files only)
+ */
+function legacyChecksum(data) {
+  let hash = 0;
+  for (let i = 0; i < data.length; i++) {
+    hash = ((hash << 5) - hash) + data.charCodeAt(i);
+    hash = hash & hash;
+  }
+  return hash.toString(16);
+}
+
+/**
+ * Create an error for a failed integrity check, carrying the problem list
+ */
+function integrityError(problems) {
+  const error = new Error(`Integrity check failed: ${problems.join('; ')}`);
+  error.code = 'INTEGRITY';
+  error.problems = problems;
+  return error;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    sha256Hex,
+    createIntegrity,
+    verifyIntegrity,
+    legacyChecksum,
+    integrityError
+  };
+}
+
+// Shared namespace for the popup and the service worker
+self.integrity = {
+  sha256Hex,
+  createIntegrity,
+  verifyIntegrity,
+  legacyChecksum,
+  integrityError
+};
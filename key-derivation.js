@@ -0,0 +1,357 @@
+/**
+ * Key Derivation Module
+ * Turns backup passwords into keys. New password backups use scrypt
+ * (RFC 7914), which needs a large block of memory per guess and so resists
+ * GPU cracking far better than PBKDF2. Backups written with PBKDF2 keep
+ * working: their header names pbkdf2-hmac-sha256 and the cipher (SJCL or
+ * xchacha20.js) derives the key from the password itself.
+ *
+ * The parameters live in header.encryption.kdf:
+ *
+ *   { "name": "scrypt", "N": 32768, "r": 8, "p": 1, "salt": <base64> }
+ *   { "name": "pbkdf2-hmac-sha256", "iterations": 10000 }
+ *
+ * An scrypt run yields 64 bytes: the first half is the cipher key, the
+ * second half keys the integrity HMAC, so the HMAC is no cheaper to attack
+ * than the ciphertext.
+ *
+ * Backups can also require a key file (two-factor: something you know plus
+ * something you have). The 64 bytes from the password are then mixed with
+ * the key file's random key through HKDF-SHA256, and the header records
+ * which key file was used as header.encryption.keyFile = { id }, so a
+ * wrong key file is reported as such rather than as a wrong password.
+ * PBKDF2 backups with a key file derive their keys here too, with the salt
+ * stored in the kdf block.
+ *
+ * This file is loaded both by popup.html and by the service worker
+ * (importScripts), so it must not touch the DOM. Requires integrity.js and
+ * backup-format.js (base64 helpers, error codes).
+ */
+
+const BACKUP_KDFS = {
+  PBKDF2: 'pbkdf2-hmac-sha256',
+  SCRYPT: 'scrypt'
+};
+
+const SCRYPT_DEFAULTS = { N: 32768, r: 8, p: 1 };
+
+// Upper bounds for parameters read from a file, so a crafted header cannot exhaust memory
+const SCRYPT_MAX_MEMORY = 256 * 1024 * 1024;
+const SCRYPT_MAX_PARALLELISM = 16;
+
+const SCRYPT_SALT_BYTES = 16;
+const BACKUP_KEY_BYTES = 32;
+const KEY_FILE_HKDF_INFO = 'cookie-vault key file';
+
+// Let the popup repaint every so many ROMix iterations
+const SCRYPT_YIELD_EVERY = 4096;
+
+/**
+ * PBKDF2-HMAC-SHA256 through WebCrypto
+ * @returns {Promise<Uint8Array>}
+ */
+async function pbkdf2Sha256(password, salt, iterations, length) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw', integrityBytes(password), 'PBKDF2', false, ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+    baseKey,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Bytes of memory an scrypt run needs
+ */
+function getScryptMemory(params) {
+  return 128 * params.r * params.N;
+}
+
+/**
+ * Throw when scrypt parameters are malformed or too expensive to run
+ */
+function validateScryptParams(params) {
+  const { N, r, p } = params || {};
+  if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+    throw backupFormatError('UNSUPPORTED', 'scrypt cost N must be a power of two');
+  }
+  if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+    throw backupFormatError('UNSUPPORTED', 'scrypt block size r and parallelism p must be positive integers');
+  }
+  if (getScryptMemory(params) > SCRYPT_MAX_MEMORY || p > SCRYPT_MAX_PARALLELISM) {
+    throw backupFormatError('UNSUPPORTED', 'The scrypt parameters of this backup need more memory than Cookie Vault allows');
+  }
+}
+
+function rotateLeft32Salsa(value, bits) {
+  return (value << bits) | (value >>> (32 - bits));
+}
+
+/**
+ * Salsa20/8 core, in place on 16 words
+ */
+function salsa20x8(block, working) {
+  working.set(block);
+  const x = working;
+  const R = rotateLeft32Salsa;
+  for (let i = 0; i < 8; i += 2) {
+    x[4] ^= R(x[0] + x[12], 7); x[8] ^= R(x[4] + x[0], 9);
+    x[12] ^= R(x[8] + x[4], 13); x[0] ^= R(x[12] + x[8], 18);
+    x[9] ^= R(x[5] + x[1], 7); x[13] ^= R(x[9] + x[5], 9);
+    x[1] ^= R(x[13] + x[9], 13); x[5] ^= R(x[1] + x[13], 18);
+    x[14] ^= R(x[10] + x[6], 7); x[2] ^= R(x[14] + x[10], 9);
+    x[6] ^= R(x[2] + x[14], 13); x[10] ^= R(x[6] + x[2], 18);
+    x[3] ^= R(x[15] + x[11], 7); x[7] ^= R(x[3] + x[15], 9);
+    x[11] ^= R(x[7] + x[3], 13); x[15] ^= R(x[11] + x[7], 18);
+
+    x[1] ^= R(x[0] + x[3], 7); x[2] ^= R(x[1] + x[0], 9);
+    x[3] ^= R(x[2] + x[1], 13); x[0] ^= R(x[3] + x[2], 18);
+    x[6] ^= R(x[5] + x[4], 7); x[7] ^= R(x[6] + x[5], 9);
+    x[4] ^= R(x[7] + x[6], 13); x[5] ^= R(x[4] + x[7], 18);
+    x[11] ^= R(x[10] + x[9], 7); x[8] ^= R(x[11] + x[10], 9);
+    x[9] ^= R(x[8] + x[11], 13); x[10] ^= R(x[9] + x[8], 18);
+    x[12] ^= R(x[15] + x[14], 7); x[13] ^= R(x[12] + x[15], 9);
+    x[14] ^= R(x[13] + x[12], 13); x[15] ^= R(x[14] + x[13], 18);
+  }
+  for (let i = 0; i < 16; i++) {
+    block[i] += x[i];
+  }
+}
+
+/**
+ * scryptBlockMix: input and output are 2r blocks of 16 words
+ */
+function scryptBlockMix(input, output, r, x, working) {
+  x.set(input.subarray((2 * r - 1) * 16, 2 * r * 16));
+  for (let i = 0; i < 2 * r; i++) {
+    for (let j = 0; j < 16; j++) {
+      x[j] ^= input[i * 16 + j];
+    }
+    salsa20x8(x, working);
+    // Even blocks fill the first half of the output, odd blocks the second
+    output.set(x, ((i & 1) * r + (i >> 1)) * 16);
+  }
+}
+
+/**
+ * scryptROMix over one 128r byte block (as little-endian words), in place
+ */
+async function scryptROMix(block, N, r) {
+  const words = 32 * r;
+  const table = new Uint32Array(words * N);
+  const x = new Uint32Array(16);
+  const working = new Uint32Array(16);
+  let current = block;
+  let next = new Uint32Array(words);
+
+  for (let i = 0; i < N; i++) {
+    table.set(current, i * words);
+    scryptBlockMix(current, next, r, x, working);
+    [current, next] = [next, current];
+    if (i % SCRYPT_YIELD_EVERY === SCRYPT_YIELD_EVERY - 1) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  for (let i = 0; i < N; i++) {
+    const j = current[(2 * r - 1) * 16] & (N - 1);
+    for (let k = 0; k < words; k++) {
+      current[k] ^= table[j * words + k];
+    }
+    scryptBlockMix(current, next, r, x, working);
+    [current, next] = [next, current];
+    if (i % SCRYPT_YIELD_EVERY === SCRYPT_YIELD_EVERY - 1) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+  block.set(current);
+}
+
+/**
+ * scrypt (RFC 7914)
+ * @param {string|Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {Object} params - { N, r, p }
+ * @param {number} length - Bytes to derive
+ * @returns {Promise<Uint8Array>}
+ */
+async function scrypt(password, salt, params, length) {
+  validateScryptParams(params);
+  const { N, r, p } = params;
+  const blockBytes = 128 * r;
+  const bytes = await pbkdf2Sha256(password, salt, 1, p * blockBytes);
+  const view = new DataView(bytes.buffer);
+
+  for (let i = 0; i < p; i++) {
+    const block = new Uint32Array(blockBytes / 4);
+    for (let k = 0; k < block.length; k++) {
+      block[k] = view.getUint32(i * blockBytes + k * 4, true);
+    }
+    await scryptROMix(block, N, r);
+    for (let k = 0; k < block.length; k++) {
+      view.setUint32(i * blockBytes + k * 4, block[k], true);
+    }
+  }
+  return pbkdf2Sha256(password, bytes, 1, length);
+}
+
+/**
+ * Key derivation parameters for a new encrypted backup
+ * @param {Object} options - { kdf: { name, N, r, p, iterations }, iterations, keyFile }
+ *   Without kdf, iterations alone selects PBKDF2; otherwise scrypt is used.
+ */
+function createBackupKdf(options = {}) {
+  const requested = options.kdf || (options.iterations ? { name: BACKUP_KDFS.PBKDF2 } : { name: BACKUP_KDFS.SCRYPT });
+  const salt = () => bytesToBase64(crypto.getRandomValues(new Uint8Array(SCRYPT_SALT_BYTES)));
+
+  if (requested.name === BACKUP_KDFS.PBKDF2) {
+    const kdf = {
+      name: BACKUP_KDFS.PBKDF2,
+      iterations: requested.iterations || options.iterations || DEFAULT_BACKUP_ITERATIONS
+    };
+    return options.keyFile ? { ...kdf, salt: salt() } : kdf;
+  }
+  if (requested.name !== BACKUP_KDFS.SCRYPT) {
+    throw backupFormatError('UNSUPPORTED', `Unknown key derivation "${requested.name}"`);
+  }
+
+  const params = {
+    N: requested.N || SCRYPT_DEFAULTS.N,
+    r: requested.r || SCRYPT_DEFAULTS.r,
+    p: requested.p || SCRYPT_DEFAULTS.p
+  };
+  validateScryptParams(params);
+  return { name: BACKUP_KDFS.SCRYPT, ...params, salt: salt() };
+}
+
+/**
+ * Check whether a backup derives its keys here rather than inside the cipher
+ * @param {Object} encryption - header.encryption
+ */
+function usesDerivedBackupKeys(encryption) {
+  return !!encryption && !!encryption.kdf &&
+    (encryption.kdf.name === BACKUP_KDFS.SCRYPT || !!encryption.keyFile);
+}
+
+/**
+ * Mix password-derived bytes with a key file's key (HKDF-SHA256)
+ */
+async function mixKeyFile(bytes, keyFile) {
+  const material = new Uint8Array(bytes.length + keyFile.key.length);
+  material.set(bytes, 0);
+  material.set(keyFile.key, bytes.length);
+  const baseKey = await crypto.subtle.importKey('raw', material, 'HKDF', false, ['deriveBits']);
+  const mixed = await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: integrityBytes(KEY_FILE_HKDF_INFO) },
+    baseKey,
+    bytes.length * 8
+  );
+  return new Uint8Array(mixed);
+}
+
+/**
+ * Derive the cipher and HMAC keys of a backup (see usesDerivedBackupKeys())
+ * @param {Object} keyFile - Result of readKeyFile() when the backup needs one
+ * @returns {Promise<{cipherKey: Uint8Array, macKey: Uint8Array}>}
+ */
+async function deriveBackupKeys(password, kdf, keyFile = null) {
+  if (!kdf || typeof kdf.salt !== 'string') {
+    throw backupFormatError('INVALID', 'Backup key derivation parameters are missing or damaged');
+  }
+  const salt = base64ToBytes(kdf.salt);
+  let bytes;
+  if (kdf.name === BACKUP_KDFS.SCRYPT) {
+    bytes = await scrypt(password, salt, kdf, BACKUP_KEY_BYTES * 2);
+  } else if (kdf.name === BACKUP_KDFS.PBKDF2) {
+    bytes = await pbkdf2Sha256(password, salt, kdf.iterations, BACKUP_KEY_BYTES * 2);
+  } else {
+    throw backupFormatError('UNSUPPORTED', `Unknown key derivation "${kdf.name}"`);
+  }
+  if (keyFile) {
+    bytes = await mixKeyFile(bytes, keyFile);
+  }
+  return {
+    cipherKey: bytes.slice(0, BACKUP_KEY_BYTES),
+    macKey: bytes.slice(BACKUP_KEY_BYTES)
+  };
+}
+
+/**
+ * Identify a key file without revealing its key
+ */
+async function getKeyFileId(keyHex) {
+  return (await sha256Hex(`${KEY_FILE_HKDF_INFO}:${keyHex.toLowerCase()}`)).slice(0, 16);
+}
+
+/**
+ * Parse and check a key file made by generateKeyFile()
+ * @param {string} text - File contents
+ * @returns {Promise<{id: string, key: Uint8Array}>}
+ */
+async function readKeyFile(text) {
+  const invalid = () => backupFormatError('INVALID_KEY_FILE', 'This is not a valid Cookie Vault key file');
+  let keyData;
+  try {
+    keyData = JSON.parse(text);
+  } catch (error) {
+    throw invalid();
+  }
+  if (!keyData || !keyData.version || typeof keyData.key !== 'string' ||
+      !/^[0-9a-f]{32,}$/i.test(keyData.key) || keyData.key.length % 2 !== 0 || !keyData.salt) {
+    throw invalid();
+  }
+
+  if (keyData.integrity) {
+    const checkData = { ...keyData };
+    delete checkData.integrity;
+    if (!(await verifyIntegrity(JSON.stringify(checkData), keyData.integrity)).valid) {
+      throw backupFormatError('INVALID_KEY_FILE', 'The key file is damaged (integrity check failed)');
+    }
+  } else if (legacyChecksum(JSON.stringify({ ...keyData, checksum: null })) !== keyData.checksum) {
+    // Version 1.0 key files: checksum computed while the field was still null
+    throw backupFormatError('INVALID_KEY_FILE', 'The key file is damaged (checksum mismatch)');
+  }
+
+  return { id: await getKeyFileId(keyData.key), key: hexToBytes(keyData.key.toLowerCase()) };
+}
+
+/**
+ * Readable summary of header.encryption.kdf
+ */
+function describeBackupKdf(kdf) {
+  if (!kdf) {
+    return '';
+  }
+  if (kdf.name === BACKUP_KDFS.SCRYPT) {
+    return `scrypt (N=${kdf.N}, r=${kdf.r}, p=${kdf.p}, ${Math.round(getScryptMemory(kdf) / 1048576)} MB)`;
+  }
+  return kdf.iterations ? `${kdf.name} (${kdf.iterations} iterations)` : kdf.name;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BACKUP_KDFS,
+    SCRYPT_DEFAULTS,
+    pbkdf2Sha256,
+    scrypt,
+    getScryptMemory,
+    validateScryptParams,
+    createBackupKdf,
+    deriveBackupKeys,
+    readKeyFile,
+    describeBackupKdf
+  };
+}
+
+// Shared namespace for the popup and the service worker
+self.keyDerivation = {
+  BACKUP_KDFS,
+  SCRYPT_DEFAULTS,
+  getScryptMemory,
+  createBackupKdf,
+  deriveBackupKeys,
+  readKeyFile,
+  describeBackupKdf
+};
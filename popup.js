@@ -456,7 +456,9 @@ document.addEventListener('DOMContentLoaded', function() {
       dropZone.classList.remove('dragover');
       
       const files = e.dataTransfer.files;
-      if (files.length > 0) {
+      if (files.length > 1) {
+        handleBackupChainFiles(Array.from(files));
+      } else if (files.length > 0) {
         handleDroppedFile(files[0]);
       }
     });
@@ -465,11 +467,11 @@ document.addEventListener('DOMContentLoaded', function() {
 
 function handleDroppedFile(file) {
   // Validate file type
-  const allowedTypes = ['.ckz', '.json', '.csv', '.txt', '.xml'];
+  const allowedTypes = ['.ckz', '.json', '.csv', '.txt', '.xml', '.png'];
   const fileExtension = '.' + file.name.split('.').pop().toLowerCase();
   
   if (!allowedTypes.includes(fileExtension)) {
-    alert('Unsupported file type. Please select a .ckz, .json, .csv, .txt, or .xml file.');
+    alert('Unsupported file type. Please select a .ckz, .json, .csv, .txt, .xml, or .png file.');
     return;
   }
   
@@ -498,12 +500,38 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 
   if (btnBackup) {
-    btnBackup.onclick = showEncPasswordInputBox;
+    btnBackup.onclick = handleBackupButtonClick;
   }
 
   if (btnUploadFallback) {
     btnUploadFallback.onclick = showFallbackCkzInput;
   }
+  
+  const btnInspectBackup = document.getElementById("btn-inspect-backup");
+  const inspectBackupFile = document.getElementById("inspect-backup-file");
+  if (btnInspectBackup && inspectBackupFile) {
+    btnInspectBackup.onclick = (e) => {
+      e.preventDefault();
+      inspectBackupFile.click();
+    };
+    inspectBackupFile.addEventListener("change", handleInspectFileSelect);
+  }
+  
+  const btnDiffBackups = document.getElementById("btn-diff-backups");
+  if (btnDiffBackups) {
+    btnDiffBackups.onclick = (e) => {
+      e.preventDefault();
+      showBackupDiffDialog();
+    };
+  }
+  
+  const btnMergeBackups = document.getElementById("btn-merge-backups");
+  if (btnMergeBackups) {
+    btnMergeBackups.onclick = (e) => {
+      e.preventDefault();
+      showBackupMergeDialog();
+    };
+  }
 });
 
 // Handle tab switching
@@ -714,6 +742,7 @@ document.addEventListener("DOMContentLoaded", async function() {
 } catch (error) {
   console.error('Error initializing popup tabs:', error);
   reportError('popup_initialization', error, 'error');
+}
 });
 
 
@@ -732,12 +761,20 @@ async function handleEncPasswdSubmit(e) {
   }
 
   const pass = getEncPasswd();
+  // Backups encrypted to recipients' public keys need no password
+  const { useKeyFile, stego, recipients, ...encryptionOptions } = window.getBackupEncryptionOptions
+    ? await window.getBackupEncryptionOptions()
+    : {};
   
   // Validate password input
-  if (!pass || pass.length < 4) {
+  if (!recipients && (!pass || pass.length < 4)) {
     alert("Please enter a password of at least 4 characters to encrypt your backup.");
     return;
   }
+  if (recipients && recipients.length === 0) {
+    alert("Backups are set to be encrypted to recipients, but no public key has been set up. Create your key pair or add a recipient in the encryption settings.");
+    return;
+  }
 
   // Check if Chrome extension APIs are available
   if (typeof chrome !== 'undefined' && chrome.cookies) {
@@ -749,10 +786,10 @@ async function handleEncPasswdSubmit(e) {
     // Check if we're doing selective backup
     let cookieFilter = () => true;
     if (window.selectedDomainsForBackup && window.selectedDomainsForBackup.length > 0) {
-      cookieFilter = (cookie) => window.selectedDomainsForBackup.includes(cookie.domain);
+      cookieFilter = (cookie) => window.selectedDomainsForBackup.includes(window.cookieJar.getCookieGroupKey(cookie));
     }
     
-    chrome.cookies.getAll({}, (allCookies) => {
+    window.cookieJar.getCookiesForBackup().then(async (allCookies) => {
       const cookies = allCookies.filter(cookieFilter);
       
       if (cookies.length > 0) {
@@ -760,25 +797,6 @@ async function handleEncPasswdSubmit(e) {
           window.enhancedFeatures.showProgress('backup', 50, 'Encrypting...');
         }
         
-        // Compress data before encryption
-        const cookieData = JSON.stringify(cookies);
-        const compressedData = window.enhancedFeatures ? 
-          window.enhancedFeatures.compressData(cookieData) : cookieData;
-        
-        const cipherText = sjcl.encrypt(pass, compressedData, { ks: 256 });
-        
-        // Wrap encrypted data with checksum in an object
-        let data = {
-          v: 1,
-          payload: cipherText,
-          checksum: null
-        };
-        
-        // Add checksum for integrity
-        if (window.enhancedFeatures) {
-          data.checksum = window.enhancedFeatures.calculateChecksum(cipherText);
-        }
-        
         // Get profile name if provided and sanitize it
         const profileInput = document.getElementById('profile-name-input');
         let profileName = profileInput ? profileInput.value.trim() : '';
@@ -796,21 +814,97 @@ async function handleEncPasswdSubmit(e) {
         const date = d.toLocaleDateString("en-GB").replace(/\//g, "-");
         const time = d.toLocaleTimeString("en-GB").replace(/:/g, "-");
         
-        // Include profile name in filename if provided
-        const filename = profileName 
-            ? `cookies-${profileName}-${date}-${time}.ckz`
-            : `cookies-${date}-${time}.ckz`;
+        // Wrap the encrypted cookies in a v2 backup container
+        // (full-jar backups become incremental when enabled in settings)
+        const backupOptions = {
+          ...encryptionOptions,
+          ...(recipients ? { recipients } : { password: pass }),
+          kind: window.selectedDomainsForBackup ? 'selective' : 'manual',
+          label: profileName,
+          storeNames: await window.cookieJar.getCookieStoreNames()
+        };
+        if (useKeyFile) {
+          // Two-factor: the backup will need this key file as well as the password
+          backupOptions.keyFile = await requestKeyFile({
+            title: 'Protect Backup with Key File',
+            hint: 'Select the key file to encrypt this backup with. Restoring it will need both the password and this key file.'
+          });
+          if (!backupOptions.keyFile) {
+            addToWarningMessageList(createWarning('Backup cancelled: no key file selected.'));
+            if (window.enhancedFeatures) {
+              window.enhancedFeatures.showProgress('backup', 0, 'Cancelled');
+            }
+            return;
+          }
+        }
+        // Steganography: the backup is saved hidden in a PNG the user picks
+        const cover = stego ? await requestCoverImage() : null;
+        if (stego && !cover) {
+          addToWarningMessageList(createWarning('Backup cancelled: no cover image selected.'));
+          if (window.enhancedFeatures) {
+            window.enhancedFeatures.showProgress('backup', 0, 'Cancelled');
+          }
+          return;
+        }
+        let data;
+        let image = null;
+        let chained = null;
+        try {
+          if (window.selectedDomainsForBackup) {
+            data = await window.backupFormat.createBackup(cookies, backupOptions);
+          } else {
+            chained = await window.backupChain.createChainedBackup('manual', cookies, backupOptions);
+            if (!chained) {
+              addToSuccessMessageList(createSuccessAlert('No cookie changes since the last backup - nothing to save.'));
+              if (window.enhancedFeatures) {
+                window.enhancedFeatures.showProgress('backup', 100, 'No changes');
+              }
+              return;
+            }
+            data = chained.data;
+          }
+          if (cover) {
+            image = await window.stegoImage.hideBackupInImage(cover, data);
+          }
+        } catch (error) {
+          console.error('Failed to create backup:', error);
+          addToWarningMessageList(createWarning(`Backup failed: ${error.message}`));
+          if (window.enhancedFeatures) {
+            window.enhancedFeatures.showProgress('backup', 0, 'Failed');
+          }
+          return;
+        }
         
         if (window.enhancedFeatures) {
           window.enhancedFeatures.showProgress('backup', 90, 'Saving...');
         }
         
-        downloadJson(JSON.stringify(data), filename)
+        // Include profile name and chain position in filename if provided
+        const chainSuffix = getBackupChainSuffix(chained && chained.chain);
+        const filename = profileName 
+            ? `cookies-${profileName}-${date}-${time}${chainSuffix}.ckz`
+            : `cookies-${date}-${time}${chainSuffix}.ckz`;
+        const savedFilename = image ? filename.replace(/\.ckz$/, '.png') : filename;
+        
+        if (image) {
+          downloadBlob(image, savedFilename);
+        } else {
+          downloadJson(data, filename)
+        }
+        if (chained) {
+          await window.backupChain.saveBackupChainState('manual', chained.state);
+        }
         
         // Check if user wants to send to Telegram
         const telegramCheckbox = document.getElementById('send-to-telegram-checkbox');
         if (telegramCheckbox && telegramCheckbox.checked && !telegramCheckbox.disabled) {
-          sendBackupToTelegram(JSON.stringify(data), filename);
+          // A hidden backup goes out as the image, never as the .ckz it hides
+          if (image) {
+            const imageBytes = new Uint8Array(await image.arrayBuffer());
+            sendBackupToTelegram(window.backupFormat.bytesToBase64(imageBytes), savedFilename, image.type);
+          } else {
+            sendBackupToTelegram(data, filename);
+          }
         }
         
         backupSuccessAlert(cookies.length)
@@ -820,8 +914,8 @@ async function handleEncPasswdSubmit(e) {
           window.enhancedFeatures.addToBackupHistory({
             type: window.selectedDomainsForBackup ? 'selective' : 'all',
             cookieCount: cookies.length,
-            size: JSON.stringify(data).length,
-            filename: filename,
+            size: image ? image.size : data.length,
+            filename: savedFilename,
             encrypted: true
           });
           
@@ -855,9 +949,108 @@ async function handleEncPasswdSubmit(e) {
   }
 }
 
+// Plain-text export formats offered next to the encrypted .ckz backup
+const PLAIN_TEXT_EXPORTERS = {
+  netscape: {
+    label: 'netscape',
+    extension: 'txt',
+    serialize: (cookies) => window.cookieFormats.formatNetscapeCookies(cookies)
+  },
+  csv: {
+    label: 'csv',
+    extension: 'csv',
+    serialize: (cookies) => window.cookieFormats.formatCsvCookies(cookies)
+  }
+};
+
+// Get the backup format picked in the manual backup section
+function getBackupOutputFormat() {
+  const select = document.getElementById('backup-output-format');
+  return select ? select.value : 'ckz';
+}
+
+// Encrypted backups ask for a password, plain-text exports download directly
+function handleBackupButtonClick(e) {
+  const format = getBackupOutputFormat();
+  if (PLAIN_TEXT_EXPORTERS[format]) {
+    exportPlainTextBackup(format);
+  } else {
+    showEncPasswordInputBox(e);
+  }
+}
+
+// Export cookies unencrypted in an interchange format (e.g. Netscape cookies.txt)
+function exportPlainTextBackup(format) {
+  const exporter = PLAIN_TEXT_EXPORTERS[format];
+  if (!exporter) {
+    return;
+  }
+  
+  if (typeof chrome === 'undefined' || !chrome.cookies) {
+    alert("Cookie backup is only available when running as a Chrome extension. This is a preview mode showing the interface.");
+    return;
+  }
+  
+  const selectedDomains = window.selectedDomainsForBackup;
+  
+  window.cookieJar.getCookiesForBackup().then((allCookies) => {
+    const cookies = selectedDomains && selectedDomains.length > 0
+      ? allCookies.filter((cookie) => selectedDomains.includes(window.cookieJar.getCookieGroupKey(cookie)))
+      : allCookies;
+    
+    if (cookies.length === 0) {
+      alert("No cookies to backup!");
+      return;
+    }
+    
+    const data = exporter.serialize(cookies);
+    
+    const profileInput = document.getElementById('profile-name-input');
+    const profileName = (profileInput ? profileInput.value.trim() : '').replace(/[<>\"'&]/g, '').slice(0, 30);
+    
+    // only using en-GB because it puts the date first
+    const d = new Date();
+    const date = d.toLocaleDateString("en-GB").replace(/\//g, "-");
+    const time = d.toLocaleTimeString("en-GB").replace(/:/g, "-");
+    const filename = profileName
+      ? `cookies-${profileName}-${exporter.label}-${date}-${time}.${exporter.extension}`
+      : `cookies-${exporter.label}-${date}-${time}.${exporter.extension}`;
+    
+    downloadJson(data, filename);
+    backupSuccessAlert(cookies.length);
+    
+    if (window.enhancedFeatures) {
+      window.enhancedFeatures.addToBackupHistory({
+        type: selectedDomains ? 'selective' : 'all',
+        cookieCount: cookies.length,
+        size: data.length,
+        filename: filename,
+        encrypted: false
+      });
+      window.enhancedFeatures.updateStatusDashboard();
+    }
+    
+    window.selectedDomainsForBackup = null;
+  });
+}
+
 // cookieFile variable moved to backup-core.js to avoid duplication
 
+// Contents of a backup file; a backup hidden in a PNG is extracted first
+async function readBackupFileText(file) {
+  return (await window.stegoImage.isPngImage(file))
+    ? window.stegoImage.extractBackupFromImage(file)
+    : file.text();
+}
+
 function handleFileSelect(e) {
+  // Several files at once are the links of an incremental backup chain
+  if (e.target.files.length > 1) {
+    handleBackupChainFiles(Array.from(e.target.files));
+    return;
+  }
+  window.pendingChainFiles = null;
+  
   // Use cookieFile from backup-core.js
   if (typeof window.backupCore !== 'undefined' && window.backupCore.handleFileSelection) {
     window.backupCore.handleFileSelection(e.target.files[0]);
@@ -875,169 +1068,1892 @@ function handleFileSelect(e) {
     return;
   }
   
-  // Add file size limit (10MB max)
-  const maxSize = 10 * 1024 * 1024; // 10MB in bytes
-  if (selectedFile.size > maxSize) {
-    alert("File size exceeds 10MB limit. Please select a smaller backup file.");
-    e.target.value = ''; // Reset file input
-    return;
-  }
+  // Add file size limit (10MB max)
+  const maxSize = 10 * 1024 * 1024; // 10MB in bytes
+  if (selectedFile.size > maxSize) {
+    alert("File size exceeds 10MB limit. Please select a smaller backup file.");
+    e.target.value = ''; // Reset file input
+    return;
+  }
+  
+  const fileExtension = '.' + selectedFile.name.split('.').pop().toLowerCase();
+  const allowedTypes = ['.ckz', '.json', '.csv', '.txt', '.xml', '.png'];
+  
+  if (!allowedTypes.includes(fileExtension)) {
+    alert("Please select a valid backup file (.ckz, .json, .csv, .txt, .xml, .png)");
+    e.target.value = ''; // Reset file input
+    return;
+  }
+  
+  // A backup hidden in an image is extracted, then handled like a .ckz file
+  if (fileExtension === '.png') {
+    window.cookieFile = selectedFile;
+    readBackupFileText(selectedFile)
+      .then(handleBackupFile)
+      .catch((error) => alert(error.message));
+    return;
+  }
+  
+  // Read and process the file based on its type
+  const reader = new FileReader();
+  reader.onload = function(event) {
+    const fileContent = event.target.result;
+    
+    if (fileExtension === '.csv') {
+      handleCsvFile(fileContent);
+    } else {
+      handleBackupFile(fileContent);
+    }
+  };
+  reader.readAsText(selectedFile);
+  
+  // Store the selected file globally for later use
+  window.cookieFile = selectedFile;
+}
+
+// Encrypted backups need a password, except those encrypted to recipients' public keys
+function backupNeedsPassword(detected) {
+  const header = detected.data && detected.data.header;
+  return detected.encrypted && !window.recipientKeys.isRecipientEncryption(header && header.encryption);
+}
+
+// Detect the backup layout from its content (not its extension) and route it
+function handleBackupFile(content) {
+  let detected;
+  try {
+    detected = window.backupFormat.detectBackupFormat(content);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  
+  if (detected.format === window.backupFormat.BACKUP_FORMATS.UNKNOWN) {
+    if (window.cookieFormats.isNetscapeCookieFile(content)) {
+      handleNetscapeFile(content);
+    } else {
+      alert("This doesn't appear to be a valid backup file format.");
+    }
+    return;
+  }
+  
+  if (backupNeedsPassword(detected)) {
+    handleEncryptedFile(content);
+    return;
+  }
+  
+  readBackupWithIntegrityCheck(content)
+    .then((backup) => {
+      if (backup && !rejectLoneIncrementalBackup(backup)) {
+        restoreSelectedBackupCookies(backup.cookies, backup.header);
+      }
+    })
+    .catch((error) => alert(error.message));
+}
+
+// An incremental backup only holds changes, so it cannot be restored on its own
+function rejectLoneIncrementalBackup(backup) {
+  if (!backup.changes) {
+    return false;
+  }
+  alert(`This is incremental backup #${backup.header.chain.sequence}, which only contains changes. ` +
+    "Select it together with the full snapshot and every incremental backup before it to restore.");
+  return true;
+}
+
+// Read the files of an incremental chain, asking for the password if they are encrypted
+async function handleBackupChainFiles(files) {
+  const maxSize = 10 * 1024 * 1024;
+  if (files.some(file => file.size > maxSize)) {
+    alert("File size exceeds 10MB limit. Please select a smaller backup file.");
+    return;
+  }
+  
+  let contents;
+  let encrypted;
+  try {
+    contents = await Promise.all(files.map(file => readBackupFileText(file)));
+    encrypted = contents.some(content => backupNeedsPassword(window.backupFormat.detectBackupFormat(content)));
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  
+  if (encrypted) {
+    window.pendingChainFiles = contents;
+    hideFallbackCkzButton();
+    showDecPasswordInputBox();
+  } else {
+    restoreBackupChain(contents, null);
+  }
+}
+
+// Decrypt every link of a chain and let the user pick the point to restore
+async function restoreBackupChain(contents, password) {
+  const backups = [];
+  try {
+    for (const content of contents) {
+      const backup = await readBackupWithIntegrityCheck(content, password);
+      if (!backup) {
+        return;
+      }
+      backups.push(backup);
+    }
+    showBackupChainDialog(backups, window.backupChain.getBackupChainPoints(backups));
+  } catch (error) {
+    alert(error.code === 'BAD_PASSWORD' ? "Password incorrect!" : error.message);
+  }
+}
+
+// List the points of a backup chain; the chosen one is rebuilt and restored
+function showBackupChainDialog(backups, points) {
+  const restorable = points.filter(point => point.restorable);
+  if (restorable.length === 0) {
+    alert("None of the selected files is a full snapshot. Include the full snapshot the incremental backups are based on.");
+    return;
+  }
+  
+  const existing = document.getElementById('backup-chain-modal');
+  if (existing) {
+    existing.remove();
+  }
+  
+  const latest = restorable[restorable.length - 1].sequence;
+  const describe = (point) => point.type === 'full'
+    ? `Full snapshot, ${point.cookieCount} cookies`
+    : `+${point.changes.added} added, ${point.changes.changed} changed, -${point.changes.removed} removed`;
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'backup-chain-modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Restore from Backup Chain</h3>
+        <button class="modal-close">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p class="modal-hint">Choose the point in time to restore. Points with missing earlier files cannot be rebuilt.</p>
+        ${points.map(point => `
+          <label class="backup-chain-point${point.restorable ? '' : ' disabled'}">
+            <input type="radio" name="backup-chain-point" value="${point.sequence}"
+              ${point.restorable ? '' : 'disabled'} ${point.sequence === latest ? 'checked' : ''} />
+            <span>#${point.sequence} &middot; ${escapeHtml(point.created ? new Date(point.created).toLocaleString() : '')}</span>
+            <small>${describe(point)}</small>
+          </label>
+        `).join('')}
+      </div>
+      <div class="modal-footer">
+        <button class="btn-secondary" id="backup-chain-cancel">Cancel</button>
+        <button class="btn-primary" id="backup-chain-restore">Restore</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const close = () => modal.remove();
+  modal.querySelector('.modal-close').addEventListener('click', close);
+  modal.querySelector('#backup-chain-cancel').addEventListener('click', close);
+  modal.querySelector('#backup-chain-restore').addEventListener('click', () => {
+    const selected = modal.querySelector('input[name="backup-chain-point"]:checked');
+    if (!selected) {
+      return;
+    }
+    close();
+    try {
+      restoreBackupCookies(window.backupChain.replayBackupChain(backups, Number(selected.value)));
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+}
+
+// Key file that opened the last backup, reused while the popup stays open
+let activeBackupKeyFile = null;
+
+// Ask the user for a key file; resolves the result of readKeyFile(), or null when cancelled
+function requestKeyFile(options = {}) {
+  const existing = document.getElementById('key-file-modal');
+  if (existing) {
+    existing.remove();
+  }
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'key-file-modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>${escapeHtml(options.title || 'Key File Required')}</h3>
+        <button class="modal-close">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p class="modal-hint">${escapeHtml(options.hint || 'This backup is protected by a password and a key file. Select the key file it was created with.')}</p>
+        <input type="file" class="key-file-input" id="key-file-input" accept=".key,application/json" />
+        <p class="key-file-error" id="key-file-error">${escapeHtml(options.error || '')}</p>
+      </div>
+      <div class="modal-footer">
+        <button class="btn-secondary" id="key-file-cancel">Cancel</button>
+        <button class="btn-primary" id="key-file-use" disabled>Use Key File</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const errorLine = modal.querySelector('#key-file-error');
+  const useButton = modal.querySelector('#key-file-use');
+  let keyFile = null;
+  
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      modal.remove();
+      resolve(result);
+    };
+    
+    modal.querySelector('#key-file-input').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      keyFile = null;
+      useButton.disabled = true;
+      errorLine.textContent = '';
+      if (!file) {
+        return;
+      }
+      try {
+        keyFile = await window.keyDerivation.readKeyFile(await file.text());
+        useButton.disabled = false;
+      } catch (error) {
+        errorLine.textContent = error.message;
+      }
+    });
+    
+    modal.querySelector('.modal-close').addEventListener('click', () => finish(null));
+    modal.querySelector('#key-file-cancel').addEventListener('click', () => finish(null));
+    useButton.addEventListener('click', () => finish(keyFile));
+  });
+}
+
+// Run a backup read, asking for the key file when the backup needs one (again after a wrong one)
+// Resolves null when the user cancels
+async function readWithBackupKeyFile(read) {
+  let keyFile = activeBackupKeyFile;
+  let chosen = false;
+  for (;;) {
+    try {
+      const result = await read(keyFile);
+      if (keyFile) {
+        activeBackupKeyFile = keyFile;
+      }
+      return result;
+    } catch (error) {
+      if (error.code !== 'KEY_FILE_REQUIRED' && error.code !== 'WRONG_KEY_FILE') {
+        throw error;
+      }
+      // A remembered key file belonging to another backup is not the user's mistake
+      keyFile = await requestKeyFile({ error: chosen && error.code === 'WRONG_KEY_FILE' ? error.message : '' });
+      chosen = true;
+      if (!keyFile) {
+        return null;
+      }
+    }
+  }
+}
+
+// Ask the user for the PNG to hide a backup in; resolves the file, or null when cancelled
+function requestCoverImage() {
+  const existing = document.getElementById('cover-image-modal');
+  if (existing) {
+    existing.remove();
+  }
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'cover-image-modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Hide Backup in Image</h3>
+        <button class="modal-close">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p class="modal-hint">Select a PNG image to hide the encrypted backup in. The saved image looks the same; restore it like a .ckz file. Do not edit, resize or convert it.</p>
+        <input type="file" class="cover-image-input" id="cover-image-input" accept="image/png" />
+        <p class="cover-image-info" id="cover-image-info"></p>
+      </div>
+      <div class="modal-footer">
+        <button class="btn-secondary" id="cover-image-cancel">Cancel</button>
+        <button class="btn-primary" id="cover-image-use" disabled>Use Image</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const infoLine = modal.querySelector('#cover-image-info');
+  const useButton = modal.querySelector('#cover-image-use');
+  let cover = null;
+  
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      modal.remove();
+      resolve(result);
+    };
+    
+    modal.querySelector('#cover-image-input').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      cover = null;
+      useButton.disabled = true;
+      infoLine.textContent = '';
+      infoLine.classList.remove('error');
+      if (!file) {
+        return;
+      }
+      try {
+        const capacity = window.stegoImage.getStegoCapacity(await window.stegoImage.readStegoImage(file));
+        infoLine.textContent = `This image can hide a backup of up to ${window.stegoImage.formatStegoSize(capacity)}.`;
+        cover = file;
+        useButton.disabled = false;
+      } catch (error) {
+        infoLine.textContent = error.message;
+        infoLine.classList.add('error');
+      }
+    });
+    
+    modal.querySelector('.modal-close').addEventListener('click', () => finish(null));
+    modal.querySelector('#cover-image-cancel').addEventListener('click', () => finish(null));
+    useButton.addEventListener('click', () => finish(cover));
+  });
+}
+
+// Read a backup; a failed integrity check blocks the restore unless the user overrides it
+async function readBackupWithIntegrityCheck(content, password = null) {
+  const read = options => readWithBackupKeyFile(keyFile => window.backupFormat.readBackup(content, password, { ...options, keyFile }));
+  let backup;
+  try {
+    backup = await read({});
+  } catch (error) {
+    if (error.code !== 'INTEGRITY') {
+      throw error;
+    }
+    if (!confirmIntegrityOverride(error)) {
+      addToWarningMessageList(createWarning('Restore cancelled: the backup failed its integrity check.'));
+      return null;
+    }
+    backup = await read({ ignoreIntegrity: true });
+  }
+  if (!backup) {
+    addToWarningMessageList(createWarning('Restore cancelled: the backup needs its key file.'));
+  }
+  return backup;
+}
+
+// Restore a Netscape cookies.txt file (curl, wget, yt-dlp, http.cookiejar)
+function handleNetscapeFile(content) {
+  const { cookies, errors } = window.cookieFormats.parseNetscapeCookies(content);
+  
+  errors.forEach((error) => {
+    addToWarningMessageList(createWarning(`cookies.txt line ${error.line}: ${error.message}`));
+  });
+  
+  if (cookies.length > 0) {
+    restoreBackupCookies(cookies);
+  } else {
+    alert("No valid cookies found in cookies.txt file.");
+  }
+}
+
+// Restore a CSV file after the user confirms which column holds which attribute
+function handleCsvFile(content) {
+  const { rows, error } = window.cookieFormats.parseCsv(content);
+  
+  if (error) {
+    alert(`CSV file could not be read: ${error}`);
+    return;
+  }
+  if (rows.length < 2) {
+    alert("CSV file appears to be empty or invalid.");
+    return;
+  }
+  
+  showCsvMappingDialog(rows[0], rows.slice(1));
+}
+
+// Let the user map CSV columns to cookie attributes and review row errors before importing
+function showCsvMappingDialog(headers, rows) {
+  const existing = document.getElementById('csv-mapping-modal');
+  if (existing) {
+    existing.remove();
+  }
+  
+  const fields = window.cookieFormats.CSV_MAPPABLE_FIELDS;
+  const guessed = window.cookieFormats.guessCsvHeaderMapping(headers);
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'csv-mapping-modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Import CSV</h3>
+        <button class="modal-close">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p class="modal-hint">Choose the cookie attribute for each column. Domain and name are required.</p>
+        <table class="csv-mapping-table">
+          <tbody>
+            ${headers.map((header, index) => `
+              <tr>
+                <td class="csv-mapping-column">${escapeHtml(header || `Column ${index + 1}`)}</td>
+                <td>
+                  <select class="csv-mapping-select" data-column="${index}">
+                    <option value="">(ignore)</option>
+                    ${fields.map(field => `<option value="${field}"${guessed[index] === field ? ' selected' : ''}>${field}</option>`).join('')}
+                  </select>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div class="csv-mapping-summary" id="csv-mapping-summary"></div>
+        <ul class="csv-mapping-errors" id="csv-mapping-errors"></ul>
+      </div>
+      <div class="modal-footer">
+        <button class="btn-secondary" id="csv-mapping-cancel">Cancel</button>
+        <button class="btn-primary" id="csv-mapping-import">Import</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const selects = Array.from(modal.querySelectorAll('.csv-mapping-select'));
+  const importButton = modal.querySelector('#csv-mapping-import');
+  let result = { cookies: [], errors: [] };
+  
+  const close = () => modal.remove();
+  
+  // Re-validate every row whenever the mapping changes
+  const update = () => {
+    const mapping = selects.map(select => select.value || null);
+    const duplicate = mapping.find((field, index) => field && mapping.indexOf(field) !== index);
+    
+    result = duplicate
+      ? { cookies: [], errors: [{ row: 1, message: `"${duplicate}" is mapped to more than one column` }] }
+      : window.cookieFormats.cookiesFromCsvRows(rows, mapping);
+    
+    modal.querySelector('#csv-mapping-summary').textContent =
+      `${result.cookies.length} of ${rows.length} rows ready to import, ${result.errors.length} with errors`;
+    modal.querySelector('#csv-mapping-errors').innerHTML = result.errors
+      .map(error => `<li>Row ${error.row}: ${escapeHtml(error.message)}</li>`)
+      .join('');
+    importButton.disabled = result.cookies.length === 0;
+  };
+  
+  selects.forEach(select => select.addEventListener('change', update));
+  modal.querySelector('.modal-close').addEventListener('click', close);
+  modal.querySelector('#csv-mapping-cancel').addEventListener('click', close);
+  importButton.addEventListener('click', () => {
+    close();
+    result.errors.forEach((error) => {
+      addToWarningMessageList(createWarning(`CSV row ${error.row}: ${error.message}`));
+    });
+    restoreBackupCookies(result.cookies);
+  });
+  
+  update();
+}
+
+function handleEncryptedFile(content) {
+  hideFallbackCkzButton();
+  showDecPasswordInputBox();
+  const textarea = document.getElementById("ckz-textarea");
+  if (textarea) {
+    textarea.value = content;
+  }
+}
+
+// Compare a backup with the live jar and let the user confirm before anything is written
+// Resolves with { cookies, plan } for the cookies to write, or null when the user cancels
+async function previewRestore(cookies, header = null) {
+  const stores = await window.cookieJar.getCookieStores();
+  const liveCookies = await window.cookieJar.getCookiesFromStores(stores.map(store => store.id));
+  const policySource = await getRestoreConflictPolicy(header);
+  const ruleSets = await window.domainRewrite.getRewriteRuleSets();
+  return showRestorePreviewDialog(cookies, liveCookies, policySource, {
+    stores: stores,
+    sourceStores: header && header.stores ? header.stores : []
+  }, ruleSets);
+}
+
+function showRestorePreviewDialog(backupCookies, liveCookies, policySource, storeSource, ruleSets = []) {
+  const actions = window.restorePlan.RESTORE_ACTIONS;
+  const policies = window.restorePlan.CONFLICT_POLICIES;
+  const policyLabels = window.restorePlan.CONFLICT_POLICY_LABELS;
+  const sections = [
+    { action: actions.CREATE, title: 'Will be created' },
+    { action: actions.OVERWRITE, title: 'Will be overwritten' },
+    { action: actions.KEEP, title: 'Existing cookie kept' },
+    { action: actions.UNCHANGED, title: 'Already identical (left alone)' },
+    { action: actions.SKIP_EXPIRED, title: 'Skipped - expired' },
+    { action: actions.REJECT, title: 'Rejected - invalid' }
+  ];
+  const expiredModes = window.restorePlan.EXPIRED_COOKIE_MODES;
+  const expiredModeLabels = window.restorePlan.EXPIRED_COOKIE_MODE_LABELS;
+  const extendDurations = [
+    { seconds: 3600, label: '1 hour' },
+    { seconds: 86400, label: '1 day' },
+    { seconds: 7 * 86400, label: '7 days' },
+    { seconds: 30 * 86400, label: '30 days' },
+    { seconds: 365 * 86400, label: '1 year' }
+  ];
+  const maxRows = 200;
+  const domainDecisions = {};
+  const storeMapping = window.cookieJar.getDefaultStoreMapping(backupCookies, storeSource.stores);
+  const expiredCount = backupCookies.filter(cookie => cookie && window.restorePlan.isCookieExpired(cookie)).length;
+  // Chosen per restore, never remembered
+  const expired = { mode: expiredModes.SKIP, extendBy: 7 * 86400 };
+  // Domain rewrite rules (see domain-rewrite.js); an error blocks the restore
+  const rewrite = { rules: [], error: null };
+  let policy = policySource.policy;
+  let plan = null;
+  
+  const existing = document.getElementById('restore-preview-modal');
+  if (existing) {
+    existing.remove();
+  }
+  
+  const shorten = (value) => {
+    const text = String(value ?? '');
+    return escapeHtml(text.length > 40 ? text.slice(0, 40) + '…' : text);
+  };
+  const expiry = (cookie) => cookie.session || !cookie.expirationDate
+    ? 'session'
+    : new Date(cookie.expirationDate * 1000).toLocaleString();
+  
+  const renderEntry = (entry) => {
+    const cookie = entry.cookie || {};
+    let detail = '';
+    if (entry.action === actions.OVERWRITE || entry.action === actions.KEEP) {
+      detail = `
+        <div class="restore-preview-change">
+          <span class="old">${shorten(entry.existing.value)} <small>(${expiry(entry.existing)})</small></span>
+          &rarr;
+          <span class="new">${shorten(cookie.value)} <small>(${expiry(cookie)})</small></span>
+        </div>
+        <small class="restore-preview-policy">decided by: ${policyLabels[entry.decidedBy]}</small>`;
+    } else if (entry.action === actions.CREATE) {
+      detail = `<div class="restore-preview-change"><small>expires: ${expiry(cookie)}</small></div>`;
+    } else if (entry.reason) {
+      detail = `<div class="restore-preview-change"><small>${escapeHtml(entry.reason)}</small></div>`;
+    }
+    if (entry.expired === expiredModes.SESSION && entry.action !== actions.REJECT) {
+      detail += `<small class="restore-preview-repair">${escapeHtml(entry.reason)} - restored as a session cookie</small>`;
+    } else if (entry.expired === expiredModes.EXTEND && entry.action !== actions.REJECT) {
+      detail += `<small class="restore-preview-repair">${escapeHtml(entry.reason)} - expiry extended</small>`;
+    }
+    if (cookie.rewrittenFrom) {
+      detail += `<small class="restore-preview-rewrite">Rewritten from ${escapeHtml(cookie.rewrittenFrom)}</small>`;
+    }
+    if (entry.repairs && entry.repairs.length > 0 && entry.action !== actions.REJECT) {
+      detail += entry.repairs.map(repair => `<small class="restore-preview-repair">Adjusted: ${escapeHtml(repair)}</small>`).join('');
+    }
+    return `
+      <li>
+        <strong>${escapeHtml(String(cookie.name ?? '?'))}</strong>
+        <span class="restore-preview-domain">${escapeHtml(String(cookie.domain ?? '?'))}</span>
+        ${detail}
+      </li>`;
+  };
+  
+  // "Ask per domain": one choice per domain with conflicting cookies
+  const renderDomainChoices = () => {
+    const conflicts = {};
+    plan.entries
+      .filter(entry => entry.decidedBy === policies.ASK)
+      .forEach((entry) => {
+        conflicts[entry.cookie.domain] = (conflicts[entry.cookie.domain] || 0) + 1;
+      });
+    const domains = Object.keys(conflicts).sort();
+    if (domains.length === 0) {
+      return '';
+    }
+    return `
+      <div class="restore-preview-section restore-preview-conflict">
+        <strong>Cookies that already exist - choose per domain</strong>
+        ${domains.map(domain => `
+          <div class="restore-conflict-domain">
+            <span>${escapeHtml(domain)} <small>(${conflicts[domain]})</small></span>
+            <select data-domain="${escapeHtml(domain)}">
+              <option value=""${!domainDecisions[domain] ? ' selected' : ''}>Choose…</option>
+              <option value="${policies.OVERWRITE}"${domainDecisions[domain] === policies.OVERWRITE ? ' selected' : ''}>Overwrite</option>
+              <option value="${policies.NEVER}"${domainDecisions[domain] === policies.NEVER ? ' selected' : ''}>Keep existing</option>
+            </select>
+          </div>
+        `).join('')}
+      </div>`;
+  };
+  
+  // Target store per store found in the backup (incognito, Firefox containers)
+  const renderStoreMapping = () => {
+    const sources = Object.keys(storeMapping);
+    if (sources.length === 1 && storeSource.stores.length <= 1 && storeMapping[sources[0]] === sources[0]) {
+      return '';
+    }
+    const sourceName = (id) => {
+      const recorded = storeSource.sourceStores.find(store => store.id === id);
+      return recorded && recorded.name ? recorded.name : window.cookieJar.getCookieStoreName(id);
+    };
+    return `
+      <div class="restore-preview-section restore-store-mapping">
+        <strong>Cookie stores</strong>
+        ${sources.map(id => `
+          <div class="restore-conflict-domain">
+            <span>${escapeHtml(sourceName(id))} <small>(${backupCookies.filter(cookie => (cookie.storeId || '0') === id).length})</small></span>
+            <select data-store="${escapeHtml(id)}">
+              ${storeSource.stores.map(store => `<option value="${escapeHtml(store.id)}"${storeMapping[id] === store.id ? ' selected' : ''}>&rarr; ${escapeHtml(store.name)}</option>`).join('')}
+            </select>
+          </div>
+        `).join('')}
+      </div>`;
+  };
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'restore-preview-modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Restore Preview</h3>
+        <button class="modal-close">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p class="modal-hint">Nothing has been changed yet. Review what the restore would do.</p>
+        <div class="backup-frequency-row">
+          <label for="restore-conflict-policy">When a cookie already exists:</label>
+          <select id="restore-conflict-policy" class="btn-enter">
+            ${Object.values(policies).map(value => `<option value="${value}"${value === policy ? ' selected' : ''}>${policyLabels[value]}</option>`).join('')}
+          </select>
+        </div>
+        <small class="modal-hint">${policySource.profile ? `Remembered for profile "${escapeHtml(policySource.profile.name)}"` : 'Remembered for restores without a profile'}</small>
+        <div class="backup-frequency-row${expiredCount === 0 ? ' hidden' : ''}">
+          <label for="restore-expired-mode">Expired cookies (${expiredCount}):</label>
+          <select id="restore-expired-mode" class="btn-enter">
+            ${Object.values(expiredModes).map(value => `<option value="${value}">${expiredModeLabels[value]}</option>`).join('')}
+          </select>
+          <select id="restore-expired-extend" class="btn-enter hidden">
+            ${extendDurations.map(duration => `<option value="${duration.seconds}"${duration.seconds === expired.extendBy ? ' selected' : ''}>${duration.label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="backup-frequency-row">
+          <label for="restore-rewrite-set">Rewrite domains:</label>
+          <select id="restore-rewrite-set" class="btn-enter">
+            <option value="">No rewriting</option>
+            ${ruleSets.map(set => `<option value="${escapeHtml(set.name)}">${escapeHtml(set.name)}</option>`).join('')}
+            <option value="__new">New rules…</option>
+          </select>
+        </div>
+        <div class="restore-rewrite hidden" id="restore-rewrite">
+          <textarea id="restore-rewrite-rules" rows="3" placeholder="app.example.com => localhost:3000 insecure"></textarea>
+          <small class="modal-hint" id="restore-rewrite-status">One rule per line: source => target. Add "insecure" for plain http hosts.</small>
+          <div class="restore-rewrite-actions">
+            <button class="btn-secondary" id="restore-rewrite-save">Save rule set</button>
+            <button class="btn-secondary hidden" id="restore-rewrite-delete">Delete rule set</button>
+          </div>
+        </div>
+        <div id="restore-preview-sections"></div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn-secondary" id="restore-preview-cancel">Cancel</button>
+        <button class="btn-primary" id="restore-preview-confirm">Restore</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const confirmButton = modal.querySelector('#restore-preview-confirm');
+  const sectionsContainer = modal.querySelector('#restore-preview-sections');
+  
+  const rewriteSelect = modal.querySelector('#restore-rewrite-set');
+  const rewriteText = modal.querySelector('#restore-rewrite-rules');
+  const rewriteStatus = modal.querySelector('#restore-rewrite-status');
+  const rewriteHint = rewriteStatus.textContent;
+  
+  const render = () => {
+    const rewritten = window.domainRewrite.rewriteCookies(backupCookies, rewrite.rules);
+    const cookies = window.cookieJar.applyStoreMapping(rewritten, storeMapping);
+    plan = window.restorePlan.planRestore(cookies, liveCookies, { policy, domainDecisions, expired });
+    if (rewrite.error) {
+      rewriteStatus.textContent = rewrite.error;
+    } else if (rewrite.rules.length > 0) {
+      rewriteStatus.textContent = `${rewritten.filter(cookie => cookie && cookie.rewrittenFrom).length} of ${backupCookies.length} cookies rewritten`;
+    } else {
+      rewriteStatus.textContent = rewriteHint;
+    }
+    sectionsContainer.innerHTML = renderStoreMapping() + renderDomainChoices() + sections.map((section) => {
+      const entries = plan.entries.filter(entry => entry.action === section.action);
+      if (entries.length === 0) {
+        return '';
+      }
+      return `
+        <details class="restore-preview-section restore-preview-${section.action}"${section.action === actions.OVERWRITE ? ' open' : ''}>
+          <summary>${section.title} (${entries.length})</summary>
+          <ul>
+            ${entries.slice(0, maxRows).map(renderEntry).join('')}
+            ${entries.length > maxRows ? `<li><small>… and ${entries.length - maxRows} more</small></li>` : ''}
+          </ul>
+        </details>`;
+    }).join('');
+    
+    const writeCount = plan.counts[actions.CREATE] + plan.counts[actions.OVERWRITE];
+    confirmButton.textContent = `Restore ${writeCount} cookies`;
+    // Every domain needs an answer before an "ask" restore can go ahead
+    confirmButton.disabled = writeCount === 0 || plan.counts[actions.CONFLICT] > 0 || !!rewrite.error;
+    
+    sectionsContainer.querySelectorAll('select[data-domain]').forEach((select) => {
+      select.addEventListener('change', () => {
+        domainDecisions[select.dataset.domain] = select.value || undefined;
+        render();
+      });
+    });
+    sectionsContainer.querySelectorAll('select[data-store]').forEach((select) => {
+      select.addEventListener('change', () => {
+        storeMapping[select.dataset.store] = select.value;
+        render();
+      });
+    });
+  };
+  
+  const extendSelect = modal.querySelector('#restore-expired-extend');
+  modal.querySelector('#restore-expired-mode').addEventListener('change', (e) => {
+    expired.mode = e.target.value;
+    extendSelect.classList.toggle('hidden', expired.mode !== expiredModes.EXTEND);
+    render();
+  });
+  extendSelect.addEventListener('change', () => {
+    expired.extendBy = Number(extendSelect.value);
+    render();
+  });
+  
+  const applyRewriteText = () => {
+    try {
+      rewrite.rules = window.domainRewrite.parseRewriteRules(rewriteText.value);
+      rewrite.error = null;
+    } catch (error) {
+      rewrite.rules = [];
+      rewrite.error = error.message;
+    }
+    render();
+  };
+  
+  rewriteSelect.addEventListener('change', () => {
+    const set = ruleSets.find(item => item.name === rewriteSelect.value);
+    modal.querySelector('#restore-rewrite').classList.toggle('hidden', rewriteSelect.value === '');
+    modal.querySelector('#restore-rewrite-delete').classList.toggle('hidden', !set);
+    rewriteText.value = set ? window.domainRewrite.formatRewriteRules(set.rules) : '';
+    applyRewriteText();
+  });
+  rewriteText.addEventListener('change', applyRewriteText);
+  
+  modal.querySelector('#restore-rewrite-save').addEventListener('click', async () => {
+    const current = ruleSets.find(item => item.name === rewriteSelect.value);
+    const name = prompt('Name for this rule set:', current ? current.name : '');
+    if (name === null) {
+      return;
+    }
+    try {
+      const saved = await window.domainRewrite.saveRewriteRuleSet(name, window.domainRewrite.parseRewriteRules(rewriteText.value));
+      const index = ruleSets.findIndex(item => item.name === saved.name);
+      if (index === -1) {
+        ruleSets.push(saved);
+        rewriteSelect.querySelector('option[value="__new"]').insertAdjacentHTML('beforebegin',
+          `<option value="${escapeHtml(saved.name)}">${escapeHtml(saved.name)}</option>`);
+      } else {
+        ruleSets[index] = saved;
+      }
+      rewriteSelect.value = saved.name;
+      modal.querySelector('#restore-rewrite-delete').classList.remove('hidden');
+    } catch (error) {
+      addToWarningMessageList(createWarning(`Could not save rule set: ${error.message}`));
+    }
+  });
+  
+  modal.querySelector('#restore-rewrite-delete').addEventListener('click', async () => {
+    const name = rewriteSelect.value;
+    if (!confirm(`Delete the rule set "${name}"? The rules stay in the box for this restore.`)) {
+      return;
+    }
+    try {
+      await window.domainRewrite.deleteRewriteRuleSet(name);
+      ruleSets.splice(ruleSets.findIndex(item => item.name === name), 1);
+      Array.from(rewriteSelect.options).find(option => option.value === name).remove();
+      rewriteSelect.value = '__new';
+      modal.querySelector('#restore-rewrite-delete').classList.add('hidden');
+    } catch (error) {
+      addToWarningMessageList(createWarning(`Could not delete rule set: ${error.message}`));
+    }
+  });
+  
+  modal.querySelector('#restore-conflict-policy').addEventListener('change', async (e) => {
+    policy = e.target.value;
+    render();
+    try {
+      const updated = await saveRestoreConflictPolicy(policySource.profile, policy);
+      if (updated) {
+        policySource.profile = updated;
+      }
+    } catch (error) {
+      addToWarningMessageList(createWarning(`Could not save conflict policy: ${error.message}`));
+    }
+  });
+  
+  render();
+  
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      modal.remove();
+      resolve(result);
+    };
+    modal.querySelector('.modal-close').addEventListener('click', () => finish(null));
+    modal.querySelector('#restore-preview-cancel').addEventListener('click', () => finish(null));
+    confirmButton.addEventListener('click', () => {
+      finish({ cookies: window.restorePlan.getCookiesToWrite(plan), plan: plan });
+    });
+  });
+}
+
+// Summarize which conflict policy decided the cookies that already existed
+function reportConflictDecisions(plan) {
+  const actions = window.restorePlan.RESTORE_ACTIONS;
+  const labels = window.restorePlan.CONFLICT_POLICY_LABELS;
+  const decided = plan.entries.filter(entry => entry.decidedBy);
+  if (decided.length === 0) {
+    return;
+  }
+  
+  const overwritten = decided.filter(entry => entry.action === actions.OVERWRITE).length;
+  const kept = decided.filter(entry => entry.action === actions.KEEP).length;
+  const policy = plan.policy === window.restorePlan.CONFLICT_POLICIES.ASK
+    ? `${labels[plan.policy]} (your choice per domain)`
+    : labels[plan.policy];
+  addToSuccessMessageList(createSuccessAlert(
+    `Existing cookies: ${overwritten} overwritten, ${kept} kept - decided by "${policy}"`
+  ));
+}
+
+// Report the outcome of a restore: totals, then per-cookie failures and skips
+function reportRestoreResults(outcome, plan) {
+  const status = window.restoreEngine.RESTORE_STATUS;
+  const summary = outcome.summary;
+  
+  restoreSuccessAlert(summary[status.RESTORED], summary.total);
+  
+  const problems = outcome.results.filter(result =>
+    result.status === status.FAILED || result.status === status.REJECTED
+  );
+  problems.slice(0, 10).forEach((result) => {
+    const verb = result.status === status.FAILED ? 'failed' : 'rejected';
+    addToWarningMessageList(createWarning(`${result.name || '(no name)'} (${result.domain || 'no domain'}) ${verb}: ${result.reason}`));
+  });
+  if (problems.length > 10) {
+    addToWarningMessageList(createWarning(`...and ${problems.length - 10} more cookies could not be restored`));
+  }
+  
+  reportExpiredCookies(outcome);
+  
+  if (summary.repaired > 0) {
+    addToSuccessMessageList(createSuccessAlert(`${summary.repaired} cookies were adjusted to browser cookie rules (e.g. marked secure)`));
+  }
+  
+  const rewritten = plan.entries.filter(entry => entry.cookie && entry.cookie.rewrittenFrom).length;
+  if (rewritten > 0) {
+    addToSuccessMessageList(createSuccessAlert(`${rewritten} cookies were moved by domain rewrite rules`));
+  }
+  
+  reportConflictDecisions(plan);
+}
+
+// List how expired backup cookies were handled: skipped, restored as session cookies or extended
+function reportExpiredCookies(outcome) {
+  const status = window.restoreEngine.RESTORE_STATUS;
+  const modes = window.restorePlan.EXPIRED_COOKIE_MODES;
+  const groups = [
+    { title: 'Expired cookies skipped', match: result => result.status === status.SKIPPED_EXPIRED },
+    { title: 'Expired cookies restored as session cookies', match: result => result.status === status.RESTORED && result.expired === modes.SESSION },
+    { title: 'Expired cookies restored with extended expiry', match: result => result.status === status.RESTORED && result.expired === modes.EXTEND }
+  ];
+  
+  groups.forEach((group) => {
+    const results = outcome.results.filter(group.match);
+    if (results.length === 0) {
+      return;
+    }
+    const names = results.slice(0, 10).map(result => `${result.name} (${result.domain})`).join(', ');
+    const more = results.length > 10 ? ` and ${results.length - 10} more` : '';
+    const message = `${group.title} (${results.length}): ${names}${more}`;
+    if (results[0].status === status.SKIPPED_EXPIRED) {
+      addToWarningMessageList(createWarning(message));
+    } else {
+      addToSuccessMessageList(createSuccessAlert(message));
+    }
+  });
+}
+
+// Preview a restore, then hand the confirmed plan to the service worker to write
+// Returns the confirmed plan, or null when the user cancels
+async function restoreBackupCookies(backupCookies, header = null) {
+  if (typeof chrome === 'undefined' || !chrome.cookies) {
+    alert('Cookie restoration is only available when running as a Chrome extension.');
+    return null;
+  }
+  
+  const confirmed = await previewRestore(backupCookies, header);
+  if (!confirmed) {
+    addToWarningMessageList(createWarning('Restore cancelled - no cookies were changed.'));
+    return null;
+  }
+  
+  initRestoreProgressBar(confirmed.cookies.length);
+  connectRestoreJob().postMessage({ type: 'start', plan: confirmed.plan });
+  addToSuccessMessageList(createSuccessAlert('Restore started - it keeps running if you close this popup.'));
+  return confirmed.plan;
+}
+
+// --- SELECTIVE RESTORE ---
+
+// Let the user pick domains or single cookies from a backup, then preview and restore those
+async function restoreSelectedBackupCookies(backupCookies, header = null) {
+  const selected = await showBackupSelectionDialog(backupCookies, header);
+  if (!selected) {
+    addToWarningMessageList(createWarning('Restore cancelled - no cookies were changed.'));
+    return null;
+  }
+  return restoreBackupCookies(selected, header);
+}
+
+// Browse a backup grouped by domain (partitioned cookies per top-level site)
+// Resolves with the ticked cookies in backup order, or null when the user cancels
+function showBackupSelectionDialog(backupCookies, header = null) {
+  const grouped = groupCookiesByDomain(backupCookies);
+  const groupKeys = Object.keys(grouped).sort((a, b) => {
+    const partitioned = Number(window.cookieJar.isPartitionedCookie(grouped[a][0])) - Number(window.cookieJar.isPartitionedCookie(grouped[b][0]));
+    return partitioned || a.localeCompare(b);
+  });
+  // Everything starts ticked, so restoring the whole backup stays one click
+  const selected = new Set(backupCookies);
+  
+  const existing = document.getElementById('restore-selection-modal');
+  if (existing) {
+    existing.remove();
+  }
+  
+  const expiry = (cookie) => cookie.session || !cookie.expirationDate
+    ? 'session'
+    : new Date(cookie.expirationDate * 1000).toLocaleString();
+  const created = header && header.created ? `, backed up ${new Date(header.created).toLocaleString()}` : '';
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'restore-selection-modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Choose What to Restore</h3>
+        <button class="modal-close">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p class="modal-hint">${backupCookies.length} cookies from ${groupKeys.length} domains${escapeHtml(created)}. Untick domains or open one to pick single cookies.</p>
+        <div class="search-container">
+          <input type="text" id="restore-selection-search" placeholder="Search by domain or cookie name..." />
+          <div class="search-stats"><span id="restore-selection-count">0</span> selected</div>
+        </div>
+        <div class="restore-selection-list">
+          ${groupKeys.map((key, groupIndex) => `
+            <details class="restore-selection-group" data-group="${groupIndex}">
+              <summary>
+                <input type="checkbox" class="restore-selection-domain" data-group="${groupIndex}" checked>
+                <span class="cookie-domain">${escapeHtml(grouped[key][0].domain || key)}</span>
+                ${window.cookieJar.isPartitionedCookie(grouped[key][0]) ? `<small class="restore-preview-domain">partitioned under ${escapeHtml(window.cookieJar.getPartitionSite(grouped[key][0]))}</small>` : ''}
+                <small class="restore-selection-group-count"></small>
+              </summary>
+              <ul></ul>
+            </details>
+          `).join('')}
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn-secondary" id="restore-selection-all">Select All</button>
+        <button class="btn-secondary" id="restore-selection-none">Deselect All</button>
+        <button class="btn-primary" id="restore-selection-confirm">Continue</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const confirmButton = modal.querySelector('#restore-selection-confirm');
+  const groupElements = Array.from(modal.querySelectorAll('.restore-selection-group'));
+  const cookiesOf = (element) => grouped[groupKeys[Number(element.dataset.group)]];
+  
+  // Domain checkboxes show "some ticked" as indeterminate
+  const updateCounts = () => {
+    groupElements.forEach((element) => {
+      const cookies = cookiesOf(element);
+      const ticked = cookies.filter(cookie => selected.has(cookie)).length;
+      const checkbox = element.querySelector('.restore-selection-domain');
+      checkbox.checked = ticked === cookies.length;
+      checkbox.indeterminate = ticked > 0 && ticked < cookies.length;
+      element.querySelector('.restore-selection-group-count').textContent = `${ticked} of ${cookies.length}`;
+      element.querySelectorAll('input[data-item]').forEach((input) => {
+        input.checked = selected.has(cookies[Number(input.dataset.item)]);
+      });
+    });
+    modal.querySelector('#restore-selection-count').textContent = selected.size;
+    confirmButton.textContent = `Continue with ${selected.size} cookies`;
+    confirmButton.disabled = selected.size === 0;
+  };
+  
+  // Single cookies are only listed once their domain is opened
+  const fillGroup = (element) => {
+    const list = element.querySelector('ul');
+    if (list.childElementCount > 0) {
+      return;
+    }
+    list.innerHTML = cookiesOf(element).map((cookie, itemIndex) => `
+      <li>
+        <label>
+          <input type="checkbox" data-item="${itemIndex}"${selected.has(cookie) ? ' checked' : ''}>
+          <strong>${escapeHtml(String(cookie.name ?? '?'))}</strong>
+          <small class="restore-preview-domain">${escapeHtml(cookie.path || '/')} &middot; ${escapeHtml(expiry(cookie))}</small>
+        </label>
+      </li>
+    `).join('');
+  };
+  
+  groupElements.forEach((element) => {
+    element.addEventListener('toggle', () => {
+      if (element.open) {
+        fillGroup(element);
+      }
+    });
+    element.querySelector('.restore-selection-domain').addEventListener('change', (e) => {
+      cookiesOf(element).forEach(cookie => (e.target.checked ? selected.add(cookie) : selected.delete(cookie)));
+      updateCounts();
+    });
+    element.querySelector('ul').addEventListener('change', (e) => {
+      const cookie = cookiesOf(element)[Number(e.target.dataset.item)];
+      if (e.target.checked) {
+        selected.add(cookie);
+      } else {
+        selected.delete(cookie);
+      }
+      updateCounts();
+    });
+  });
+  
+  modal.querySelector('#restore-selection-search').addEventListener('input', (e) => {
+    const term = e.target.value.trim().toLowerCase();
+    groupElements.forEach((element) => {
+      const cookies = cookiesOf(element);
+      const domainMatch = groupKeys[Number(element.dataset.group)].toLowerCase().includes(term);
+      const nameMatch = !domainMatch && term && cookies.some(cookie => String(cookie.name ?? '').toLowerCase().includes(term));
+      element.classList.toggle('hidden', !domainMatch && !nameMatch);
+      if (nameMatch) {
+        fillGroup(element);
+        element.open = true;
+      }
+    });
+  });
+  
+  // Like the backup selection, these only apply to the domains the search shows
+  const setVisible = (ticked) => {
+    groupElements
+      .filter(element => !element.classList.contains('hidden'))
+      .forEach(element => cookiesOf(element).forEach(cookie => (ticked ? selected.add(cookie) : selected.delete(cookie))));
+    updateCounts();
+  };
+  modal.querySelector('#restore-selection-all').addEventListener('click', () => setVisible(true));
+  modal.querySelector('#restore-selection-none').addEventListener('click', () => setVisible(false));
+  
+  updateCounts();
+  
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      modal.remove();
+      resolve(result);
+    };
+    modal.querySelector('.modal-close').addEventListener('click', () => finish(null));
+    confirmButton.addEventListener('click', () => {
+      finish(backupCookies.filter(cookie => selected.has(cookie)));
+    });
+  });
+}
+
+// --- BACKUP INSPECTOR ---
+
+// Open a backup read-only; nothing in the browser is changed
+async function handleInspectFileSelect(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) {
+    return;
+  }
+  let content;
+  try {
+    content = await readBackupFileText(file);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  showBackupInspector(content, file.name);
+}
+
+function showBackupInspector(content, fileName) {
+  let detected;
+  try {
+    detected = window.backupFormat.detectBackupFormat(content);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  if (detected.format === window.backupFormat.BACKUP_FORMATS.UNKNOWN) {
+    alert("This doesn't appear to be a valid backup file format.");
+    return;
+  }
+  
+  const existing = document.getElementById('backup-inspector-modal');
+  if (existing) {
+    existing.remove();
+  }
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'backup-inspector-modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Backup Inspector</h3>
+        <button class="modal-close">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p class="modal-hint">${escapeHtml(fileName)} - read-only, nothing is restored.</p>
+        <form id="backup-inspector-password" class="two-col-group${backupNeedsPassword(detected) ? '' : ' hidden'}">
+          <input type="password" id="backup-inspector-passwd" placeholder="Backup password" />
+          <button class="btn-primary" type="submit">Open</button>
+        </form>
+        <div id="backup-inspector-report"></div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn-secondary" id="backup-inspector-close">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const report = modal.querySelector('#backup-inspector-report');
+  const passwordForm = modal.querySelector('#backup-inspector-password');
+  const close = () => modal.remove();
+  modal.querySelector('.modal-close').addEventListener('click', close);
+  modal.querySelector('#backup-inspector-close').addEventListener('click', close);
+  
+  const open = async (password) => {
+    try {
+      const inspection = await readWithBackupKeyFile(keyFile => window.backupInspector.inspectBackup(content, password, { keyFile }));
+      if (!inspection) {
+        report.innerHTML = '<p class="backup-inspector-problem">This backup needs its key file.</p>';
+        return;
+      }
+      passwordForm.classList.add('hidden');
+      renderBackupInspection(report, inspection);
+    } catch (error) {
+      const message = error.code === 'BAD_PASSWORD' ? 'Password incorrect.' : error.message;
+      report.innerHTML = `<p class="backup-inspector-problem">${escapeHtml(message)}</p>`;
+    }
+  };
+  
+  passwordForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    open(modal.querySelector('#backup-inspector-passwd').value);
+  });
+  
+  if (backupNeedsPassword(detected)) {
+    modal.querySelector('#backup-inspector-passwd').focus();
+  } else {
+    open(null);
+  }
+}
+
+// Header, integrity, per-domain counts and a searchable cookie table
+function renderBackupInspection(container, inspection) {
+  const statuses = window.backupInspector.COOKIE_EXPIRY_STATUS;
+  const statusLabels = window.backupInspector.COOKIE_EXPIRY_STATUS_LABELS;
+  const header = inspection.header || {};
+  const maxRows = 300;
+  
+  const shorten = (value) => {
+    const text = String(value ?? '');
+    return escapeHtml(text.length > 40 ? text.slice(0, 40) + '…' : text);
+  };
+  const expiry = (cookie) => cookie.session || !cookie.expirationDate
+    ? 'session'
+    : new Date(cookie.expirationDate * 1000).toLocaleString();
+  
+  const details = [
+    ['Created', header.created ? new Date(header.created).toLocaleString() : 'unknown'],
+    ['Kind', header.kind || 'unknown'],
+    ['Format', inspection.format],
+    ['Created by', header.generator ? `${header.generator.name} ${header.generator.version}` : null],
+    ['Browser', header.source ? [header.source.browser, header.source.platform].filter(Boolean).join(', ') : null],
+    ['Label', header.source && header.source.label],
+    ['Profile', header.profile && header.profile.name],
+    ['Cookie stores', header.stores && header.stores.length > 0
+      ? header.stores.map(store => `${store.name} (${store.cookieCount})`).join(', ')
+      : null],
+    ['Encryption', header.encryption
+      ? [
+        header.encryption.method,
+        window.keyDerivation.describeBackupKdf(header.encryption.kdf),
+        header.encryption.keyFile ? `key file ${header.encryption.keyFile.id}` : '',
+        window.recipientKeys.isRecipientEncryption(header.encryption)
+          ? `to ${header.encryption.recipients.map(recipient => recipient.name || window.recipientKeys.formatRecipientKeyId(recipient.id)).join(', ')}`
+          : ''
+      ].filter(Boolean).join(', ')
+      : 'none'],
+    ['Compression', header.compression ? header.compression.method : null],
+    ['Backup chain', header.chain
+      ? `${header.chain.type} #${header.chain.sequence} of stream ${header.chain.stream}`
+      : null],
+    ['Merged from', header.merge
+      ? `${header.merge.sources.length} backups (${window.backupMerge.MERGE_STRATEGY_LABELS[header.merge.strategy] || header.merge.strategy})`
+      : null],
+    ['Changes', inspection.changes
+      ? `${inspection.changes.added} added, ${inspection.changes.changed} changed, ${inspection.changes.removed} removed`
+      : null],
+    ['Password check', inspection.encrypted ? (inspection.authenticated ? 'authenticated' : 'not authenticated') : null]
+  ].filter(([, value]) => value);
+  
+  const counts = inspection.counts;
+  container.innerHTML = `
+    <dl class="backup-inspector-header">
+      ${details.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(String(value))}</dd>`).join('')}
+    </dl>
+    <div class="restore-preview-section">
+      <strong>${inspection.problems.length === 0 ? '✅ No integrity problems found' : `⚠️ ${inspection.problems.length} problem${inspection.problems.length === 1 ? '' : 's'} found`}</strong>
+      ${inspection.problems.length > 0 ? `<ul>${inspection.problems.map(problem => `<li class="backup-inspector-problem">${escapeHtml(problem)}</li>`).join('')}</ul>` : ''}
+    </div>
+    <p class="modal-hint">
+      ${counts.total} cookies: ${Object.values(statuses).map(status => `${counts[status]} ${statusLabels[status].toLowerCase()}`).join(', ')}
+    </p>
+    <details class="restore-preview-section">
+      <summary>Domains (${inspection.domains.length})</summary>
+      <ul>
+        ${inspection.domains.map(domain => `
+          <li>${escapeHtml(domain.domain)} <small class="restore-preview-domain">${domain.count} cookies${domain.expired > 0 ? `, ${domain.expired} expired` : ''}</small></li>
+        `).join('')}
+      </ul>
+    </details>
+    <div class="search-container">
+      <input type="text" id="backup-inspector-search" placeholder="Search by domain, name or value..." />
+      <select id="backup-inspector-status" class="btn-enter">
+        <option value="">All</option>
+        ${Object.values(statuses).map(status => `<option value="${status}">${statusLabels[status]}</option>`).join('')}
+      </select>
+    </div>
+    <div class="backup-inspector-table-wrap">
+      <table class="backup-inspector-table">
+        <thead>
+          <tr><th>Name</th><th>Domain</th><th>Path</th><th>Value</th><th>Expires</th><th>Flags</th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <small class="modal-hint" id="backup-inspector-shown"></small>
+  `;
+  
+  const tbody = container.querySelector('tbody');
+  const search = container.querySelector('#backup-inspector-search');
+  const statusFilter = container.querySelector('#backup-inspector-status');
+  
+  const renderRows = () => {
+    const term = search.value.trim().toLowerCase();
+    const rows = inspection.cookies.filter((row) => {
+      if (statusFilter.value && row.status !== statusFilter.value) {
+        return false;
+      }
+      const cookie = row.cookie || {};
+      return !term || [row.domain, cookie.name, cookie.value].some(value => String(value ?? '').toLowerCase().includes(term));
+    });
+    
+    tbody.innerHTML = rows.slice(0, maxRows).map(({ cookie, domain, status }) => {
+      const flags = [
+        cookie.secure ? 'Secure' : '',
+        cookie.httpOnly ? 'HttpOnly' : '',
+        cookie.sameSite && cookie.sameSite !== 'unspecified' ? `SameSite=${cookie.sameSite}` : '',
+        cookie.hostOnly ? 'Host-only' : ''
+      ].filter(Boolean).join(' ');
+      return `
+        <tr class="backup-inspector-${status || 'invalid'}">
+          <td>${shorten(cookie && cookie.name)}</td>
+          <td>${escapeHtml(domain)}</td>
+          <td>${shorten(cookie && cookie.path || '/')}</td>
+          <td>${shorten(cookie && cookie.value)}</td>
+          <td title="${status ? statusLabels[status] : 'Invalid cookie'}">${cookie ? escapeHtml(expiry(cookie)) : ''}</td>
+          <td>${escapeHtml(flags)}</td>
+        </tr>`;
+    }).join('');
+    container.querySelector('#backup-inspector-shown').textContent = rows.length > maxRows
+      ? `Showing ${maxRows} of ${rows.length} matching cookies - refine the search to see more`
+      : `${rows.length} matching cookies`;
+  };
+  
+  search.addEventListener('input', renderRows);
+  statusFilter.addEventListener('change', renderRows);
+  renderRows();
+}
+
+// --- BACKUP DIFF ---
+
+// Read the cookies of one side of a comparison from backup files
+// Several files are treated as one backup chain and replayed to the chosen point
+async function readBackupDiffFiles(side) {
+  if (!side.backups) {
+    const backups = [];
+    for (const file of side.files) {
+      const content = await readBackupFileText(file);
+      if (window.cookieFormats.isNetscapeCookieFile(content)) {
+        backups.push({ header: null, cookies: window.cookieFormats.parseNetscapeCookies(content).cookies, changes: null });
+        continue;
+      }
+      const backup = await readWithBackupKeyFile(keyFile =>
+        window.backupFormat.readBackup(content, side.password || null, { ignoreIntegrity: true, keyFile }));
+      if (!backup) {
+        throw new Error(`${file.name} needs its key file`);
+      }
+      if (backup.integrity.problems.length > 0) {
+        addToWarningMessageList(createWarning(`${file.name}: ${backup.integrity.problems.join('; ')}`));
+      }
+      backups.push(backup);
+    }
+    side.backups = backups;
+    side.points = backups.length > 1 ? window.backupChain.getBackupChainPoints(backups).filter(point => point.restorable) : [];
+  }
+  
+  if (side.backups.length === 1) {
+    if (side.backups[0].changes) {
+      throw new Error(`${side.files[0].name} is an incremental backup - select it together with its full snapshot`);
+    }
+    return { label: side.files[0].name, cookies: side.backups[0].cookies };
+  }
+  if (side.points.length === 0) {
+    throw new Error('None of the selected files is a full snapshot. Include the full snapshot the incremental backups are based on.');
+  }
+  const sequence = side.sequence ?? side.points[side.points.length - 1].sequence;
+  const point = side.points.find(item => item.sequence === sequence);
+  return {
+    label: `Backup chain #${sequence}${point.created ? ` (${new Date(point.created).toLocaleString()})` : ''}`,
+    cookies: window.backupChain.replayBackupChain(side.backups, sequence)
+  };
+}
+
+// Pick two backups (or a backup and the live jar) and list what changed between them
+// History entries open their stored copy when there is one, otherwise the user locates the file they name
+// options.entry preselects a history entry as the "Before" backup
+function showBackupDiffDialog(options = {}) {
+  const existing = document.getElementById('backup-diff-modal');
+  if (existing) {
+    existing.remove();
+  }
+  
+  const sides = {
+    before: { source: options.entry ? 'history' : 'file', files: [], password: '', backups: null, points: [], sequence: null, entry: null },
+    after: { source: 'live', files: [], password: '', backups: null, points: [], sequence: null, entry: null }
+  };
+  const history = [];
+  const storedCopies = new Set();
+  const kindTitles = {
+    added: 'Added',
+    removed: 'Removed',
+    valueChanged: 'Value changed',
+    attributeChanged: 'Attributes changed'
+  };
+  let diff = null;
+  let labels = null;
   
-  const fileExtension = '.' + selectedFile.name.split('.').pop().toLowerCase();
-  const allowedTypes = ['.ckz', '.json', '.csv', '.txt', '.xml'];
+  const shorten = (value) => {
+    const text = String(value ?? '');
+    return escapeHtml(text.length > 40 ? text.slice(0, 40) + '…' : text);
+  };
+  const formatField = (field, value) => field === 'expirationDate' && value !== null
+    ? new Date(value * 1000).toLocaleString()
+    : String(value);
   
-  if (!allowedTypes.includes(fileExtension)) {
-    alert("Please select a valid backup file (.ckz, .json, .csv, .txt, .xml)");
-    e.target.value = ''; // Reset file input
-    return;
-  }
+  const renderSide = (name, title) => `
+    <div class="backup-diff-side" data-side="${name}">
+      <div class="backup-frequency-row">
+        <label>${title}:</label>
+        <select class="btn-enter backup-diff-source">
+          <option value="file"${sides[name].source === 'file' ? ' selected' : ''}>Backup file(s)</option>
+          <option value="history"${sides[name].source === 'history' ? ' selected' : ''}>Backup history entry</option>
+          <option value="live"${sides[name].source === 'live' ? ' selected' : ''}>Live cookies</option>
+        </select>
+      </div>
+      <select class="btn-enter backup-diff-entry hidden"></select>
+      <div class="backup-diff-file${sides[name].source === 'file' ? '' : ' hidden'}">
+        <p class="modal-hint backup-diff-locate hidden"></p>
+        <input type="file" class="backup-diff-files" accept=".ckz,.json,.txt,.png" multiple />
+        <input type="password" class="backup-diff-password" placeholder="Password (encrypted backups)" />
+        <select class="btn-enter backup-diff-point hidden"></select>
+      </div>
+    </div>`;
   
-  // Read and process the file based on its type
-  const reader = new FileReader();
-  reader.onload = function(event) {
-    const fileContent = event.target.result;
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'backup-diff-modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Compare Backups</h3>
+        <button class="modal-close">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p class="modal-hint">${options.hint ? escapeHtml(options.hint) : 'Pick two backups (files or backup history entries), or a backup and the live cookies. Select every file of a backup chain to compare a point in it.'} Nothing is restored.</p>
+        ${renderSide('before', 'Before')}
+        ${renderSide('after', 'After')}
+        <div id="backup-diff-result"></div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn-secondary" id="backup-diff-export" disabled>Export JSON</button>
+        <button class="btn-primary" id="backup-diff-compare">Compare</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const result = modal.querySelector('#backup-diff-result');
+  const exportButton = modal.querySelector('#backup-diff-export');
+  
+  // Files are needed for file sources and for history entries without a stored copy
+  const showSideInputs = (element) => {
+    const side = sides[element.dataset.side];
+    const locate = side.source === 'history' && side.entry && !storedCopies.has(side.entry.storageKey);
+    element.querySelector('.backup-diff-entry').classList.toggle('hidden', side.source !== 'history');
+    element.querySelector('.backup-diff-file').classList.toggle('hidden', side.source !== 'file' && !locate);
+    const hint = element.querySelector('.backup-diff-locate');
+    hint.textContent = locate ? `Locate ${side.entry.filename} - the history keeps no copy of it.` : '';
+    hint.classList.toggle('hidden', !locate);
+  };
+  
+  const describeEntry = (entry) => {
+    const date = new Date(entry.date || entry.timestamp).toLocaleString();
+    return `${date} - ${entry.filename}${entry.cookieCount ? ` (${entry.cookieCount} cookies)` : ''}`;
+  };
+  
+  chrome.storage.local.get(['backupHistory'], async (stored) => {
+    history.push(...(stored.backupHistory || []).filter(entry => entry && entry.filename));
+    const keys = history.map(entry => entry.storageKey).filter(Boolean);
+    if (keys.length > 0) {
+      Object.keys(await chrome.storage.local.get(keys)).forEach(key => storedCopies.add(key));
+    }
+    const preselected = options.entry ? history.findIndex(entry =>
+      entry.filename === options.entry.filename && (entry.date || entry.timestamp) === (options.entry.date || options.entry.timestamp)) : -1;
+    modal.querySelectorAll('.backup-diff-side').forEach((element) => {
+      const index = element.dataset.side === 'before' ? Math.max(0, preselected) : 0;
+      sides[element.dataset.side].entry = history[index] || null;
+      element.querySelector('.backup-diff-entry').innerHTML = history.length === 0
+        ? '<option value="">No backups in the history yet</option>'
+        : history.map((entry, i) => `<option value="${i}"${i === index ? ' selected' : ''}>${escapeHtml(describeEntry(entry))}</option>`).join('');
+      showSideInputs(element);
+    });
+  });
+  
+  modal.querySelectorAll('.backup-diff-side').forEach((element) => {
+    const side = sides[element.dataset.side];
+    const pointSelect = element.querySelector('.backup-diff-point');
+    const forget = () => {
+      side.backups = null;
+      side.sequence = null;
+      pointSelect.classList.add('hidden');
+    };
+    element.querySelector('.backup-diff-source').addEventListener('change', (e) => {
+      side.source = e.target.value;
+      showSideInputs(element);
+    });
+    element.querySelector('.backup-diff-entry').addEventListener('change', (e) => {
+      side.entry = history[Number(e.target.value)] || null;
+      side.files = [];
+      element.querySelector('.backup-diff-files').value = '';
+      forget();
+      showSideInputs(element);
+    });
+    element.querySelector('.backup-diff-files').addEventListener('change', (e) => {
+      side.files = Array.from(e.target.files);
+      forget();
+    });
+    element.querySelector('.backup-diff-password').addEventListener('change', (e) => {
+      side.password = e.target.value;
+      forget();
+    });
+    pointSelect.addEventListener('change', () => {
+      side.sequence = Number(pointSelect.value);
+    });
+  });
+  
+  const load = async (name, source = sides[name].source) => {
+    const side = sides[name];
+    if (source === 'live') {
+      return { label: `Live cookies (${new Date().toLocaleString()})`, cookies: await window.cookieJar.getCookiesForBackup() };
+    }
+    if (source === 'history') {
+      return loadHistoryEntry(name);
+    }
+    if (side.files.length === 0) {
+      throw new Error(`Choose the ${name === 'before' ? 'first' : 'second'} backup file`);
+    }
+    const loaded = await readBackupDiffFiles(side);
     
-    if (fileExtension === '.json') {
-      handleJsonFile(fileContent);
-    } else if (fileExtension === '.csv') {
-      handleCsvFile(fileContent);
-    } else if (fileExtension === '.txt' || fileExtension === '.xml') {
-      handleTextFile(fileContent);
-    } else if (fileExtension === '.ckz') {
-      handleCkzFile(fileContent);
+    // Offer the points of a chain once its files have been read
+    const pointSelect = modal.querySelector(`.backup-diff-side[data-side="${name}"] .backup-diff-point`);
+    if (side.points.length > 0 && pointSelect.classList.contains('hidden')) {
+      const selected = side.sequence ?? side.points[side.points.length - 1].sequence;
+      pointSelect.innerHTML = side.points.map(point => `
+        <option value="${point.sequence}"${point.sequence === selected ? ' selected' : ''}>#${point.sequence} &middot; ${escapeHtml(point.created ? new Date(point.created).toLocaleString() : '')}</option>
+      `).join('');
+      pointSelect.classList.remove('hidden');
     }
+    return loaded;
   };
-  reader.readAsText(selectedFile);
   
-  // Store the selected file globally for later use
-  window.cookieFile = selectedFile;
-}
-
-function handleJsonFile(content) {
-  try {
-    // Validate JSON content isn't empty
-    if (!content || content.trim().length === 0) {
-      throw new Error("File is empty");
+  const loadHistoryEntry = async (name) => {
+    const side = sides[name];
+    const entry = side.entry;
+    if (!entry) {
+      throw new Error(`Choose the ${name === 'before' ? 'first' : 'second'} backup history entry`);
     }
+    const label = `${entry.filename} (${new Date(entry.date || entry.timestamp).toLocaleString()})`;
     
-    const jsonData = JSON.parse(content);
+    if (storedCopies.has(entry.storageKey)) {
+      const stored = await chrome.storage.local.get([entry.storageKey]);
+      const backup = await window.backupFormat.readBackup(JSON.stringify(stored[entry.storageKey]), null, { ignoreIntegrity: true });
+      if (backup.integrity.problems.length > 0) {
+        addToWarningMessageList(createWarning(`${entry.filename}: ${backup.integrity.problems.join('; ')}`));
+      }
+      return { label, cookies: backup.cookies };
+    }
     
-    // Validate parsed data
-    if (!jsonData) {
-      throw new Error("Invalid JSON data");
+    if (side.files.length === 0) {
+      throw new Error(`Locate ${entry.filename} - the history keeps no copy of it`);
     }
+    if (!side.files.some(file => file.name === entry.filename)) {
+      addToWarningMessageList(createWarning(`None of the selected files is named ${entry.filename} - comparing them anyway`));
+    }
+    const loaded = await load(name, 'file');
+    return { label: side.files.length > 1 ? `${label}, ${loaded.label}` : label, cookies: loaded.cookies };
+  };
+  
+  const renderDiff = () => {
+    const summary = diff.summary;
+    const kinds = Object.keys(kindTitles);
+    const renderCookie = (cookie) => `
+      <li><strong>${escapeHtml(String(cookie.name ?? '?'))}</strong>
+        <span class="restore-preview-domain">${escapeHtml(cookie.path || '/')}</span>
+        <div class="restore-preview-change">${shorten(cookie.value)}</div>
+      </li>`;
+    const renderChange = (change) => `
+      <li><strong>${escapeHtml(String(change.name ?? '?'))}</strong>
+        <span class="restore-preview-domain">${escapeHtml(change.path)}</span>
+        ${change.changes.map(item => `
+          <div class="restore-preview-change">
+            <small>${item.field}:</small>
+            <span class="old">${shorten(formatField(item.field, item.before))}</span>
+            &rarr;
+            <span class="new">${shorten(formatField(item.field, item.after))}</span>
+          </div>`).join('')}
+      </li>`;
     
-    if (Array.isArray(jsonData) && jsonData.length > 0) {
-      // Check if it's a standard cookie array
-      if (jsonData[0].name && jsonData[0].domain) {
-        restoreUnencryptedCookies(jsonData);
-        return;
+    result.innerHTML = `
+      <p class="modal-hint">
+        ${escapeHtml(labels.before)} &rarr; ${escapeHtml(labels.after)}:
+        ${summary.added} added, ${summary.removed} removed, ${summary.valueChanged} value changed,
+        ${summary.attributeChanged} attributes changed, ${summary.unchanged} unchanged
+      </p>
+      ${diff.domains.length === 0 ? '<p class="modal-hint">The two cookie sets are identical.</p>' : ''}
+      ${diff.domains.map(domain => `
+        <details class="restore-preview-section">
+          <summary>${escapeHtml(domain.domain)}
+            <small class="restore-preview-domain">${kinds.filter(kind => domain[kind].length > 0).map(kind => `${domain[kind].length} ${kindTitles[kind].toLowerCase()}`).join(', ')}</small>
+          </summary>
+          ${kinds.filter(kind => domain[kind].length > 0).map(kind => `
+            <div class="backup-diff-kind backup-diff-${kind}">${kindTitles[kind]}</div>
+            <ul>${domain[kind].map(kind === 'added' || kind === 'removed' ? renderCookie : renderChange).join('')}</ul>
+          `).join('')}
+        </details>
+      `).join('')}`;
+  };
+  
+  modal.querySelector('#backup-diff-compare').addEventListener('click', async () => {
+    try {
+      const [before, after] = [await load('before'), await load('after')];
+      diff = window.backupDiff.diffCookieSets(before.cookies, after.cookies);
+      labels = { before: before.label, after: after.label };
+      renderDiff();
+      exportButton.disabled = false;
+    } catch (error) {
+      const message = error.code === 'BAD_PASSWORD' || error.code === 'PASSWORD_REQUIRED'
+        ? 'Password missing or incorrect for one of the backups.'
+        : error.message;
+      result.innerHTML = `<p class="backup-inspector-problem">${escapeHtml(message)}</p>`;
+    }
+  });
+  
+  exportButton.addEventListener('click', () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadJson(window.backupDiff.createDiffExport(diff, labels), `cookie-diff-${date}.json`);
+  });
+  
+  modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+}
+
+// --- BACKUP MERGE ---
+
+// Read backups for merging; files with another password are asked for one by one
+async function readBackupsForMerge(files, password) {
+  const sources = [];
+  for (const file of files) {
+    const content = await readBackupFileText(file);
+    let filePassword = password;
+    let backup = null;
+    while (!backup) {
+      try {
+        backup = await readWithBackupKeyFile(keyFile =>
+          window.backupFormat.readBackup(content, filePassword || null, { ignoreIntegrity: true, keyFile }));
+        if (!backup) {
+          return null;
+        }
+      } catch (error) {
+        if (error.code !== 'BAD_PASSWORD' && error.code !== 'PASSWORD_REQUIRED') {
+          throw new Error(`${file.name}: ${error.message}`);
+        }
+        filePassword = prompt(`Password for ${file.name}:`);
+        if (filePassword === null) {
+          return null;
+        }
       }
     }
-    // Might be encrypted JSON
-    handleEncryptedFile(content);
-  } catch (e) {
-    alert("Invalid JSON file format. Please check your file and try again.");
+    if (backup.integrity.problems.length > 0 && !confirmIntegrityOverride({ problems: backup.integrity.problems }, `Merge ${file.name}`)) {
+      return null;
+    }
+    sources.push({ label: file.name, header: backup.header, cookies: backup.cookies });
   }
+  return sources;
 }
 
-function handleCsvFile(content) {
-  try {
-    // Simple CSV parsing for cookies
-    const lines = content.split('\n');
-    if (lines.length < 2) {
-      alert("CSV file appears to be empty or invalid.");
+// Merge several backup files into one new encrypted backup
+function showBackupMergeDialog() {
+  const strategies = window.backupMerge.MERGE_STRATEGIES;
+  const strategyLabels = window.backupMerge.MERGE_STRATEGY_LABELS;
+  
+  const existing = document.getElementById('backup-merge-modal');
+  if (existing) {
+    existing.remove();
+  }
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal';
+  modal.id = 'backup-merge-modal';
+  modal.innerHTML = `
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3>Merge Backups</h3>
+        <button class="modal-close">&times;</button>
+      </div>
+      <div class="modal-body">
+        <p class="modal-hint">Cookies found in several backups are kept once. The merged backup records which file each cookie came from.</p>
+        <div class="backup-diff-file">
+          <input type="file" id="backup-merge-files" accept=".ckz,.json,.png" multiple />
+          <input type="password" id="backup-merge-source-passwd" placeholder="Password of the backups (asked per file if different)" />
+        </div>
+        <div class="backup-frequency-row">
+          <label for="backup-merge-strategy">Duplicates:</label>
+          <select id="backup-merge-strategy" class="btn-enter">
+            ${Object.values(strategies).map(value => `<option value="${value}">${strategyLabels[value]}</option>`).join('')}
+          </select>
+        </div>
+        <div class="backup-diff-file">
+          <input type="text" id="backup-merge-label" class="profile-input" placeholder="Label (optional)" maxlength="30" />
+          <input type="password" id="backup-merge-passwd" placeholder="Password for the merged backup" />
+          <input type="password" id="backup-merge-passwd-confirm" placeholder="Repeat password" />
+        </div>
+        <div id="backup-merge-result"></div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn-secondary" id="backup-merge-cancel">Cancel</button>
+        <button class="btn-primary" id="backup-merge-confirm">Merge</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  const result = modal.querySelector('#backup-merge-result');
+  const close = () => modal.remove();
+  modal.querySelector('.modal-close').addEventListener('click', close);
+  modal.querySelector('#backup-merge-cancel').addEventListener('click', close);
+  
+  modal.querySelector('#backup-merge-confirm').addEventListener('click', async () => {
+    const files = Array.from(modal.querySelector('#backup-merge-files').files);
+    const password = modal.querySelector('#backup-merge-passwd').value;
+    const label = modal.querySelector('#backup-merge-label').value.trim().replace(/[<>\"'&]/g, '').slice(0, 30);
+    const showError = (message) => {
+      result.innerHTML = `<p class="backup-inspector-problem">${escapeHtml(message)}</p>`;
+    };
+    
+    if (files.length < 2) {
+      showError('Select at least two backup files.');
+      return;
+    }
+    if (password.length < 3) {
+      showError('Enter a password of at least 3 characters for the merged backup.');
+      return;
+    }
+    if (password !== modal.querySelector('#backup-merge-passwd-confirm').value) {
+      showError('The passwords do not match.');
       return;
     }
     
-    const cookies = [];
-    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
-    
-    for (let i = 1; i < lines.length; i++) {
-      if (!lines[i].trim()) continue;
-      
-      const values = lines[i].split(',');
-      const cookie = {};
-      
-      headers.forEach((header, index) => {
-        const value = values[index] ? values[index].trim() : '';
-        if (header === 'domain') cookie.domain = value;
-        else if (header === 'name') cookie.name = value;
-        else if (header === 'value') cookie.value = value;
-        else if (header === 'path') cookie.path = value || '/';
+    try {
+      const sources = await readBackupsForMerge(files, modal.querySelector('#backup-merge-source-passwd').value);
+      if (!sources) {
+        showError('Merge cancelled.');
+        return;
+      }
+      const merged = await window.backupMerge.createMergedBackup(sources, {
+        strategy: modal.querySelector('#backup-merge-strategy').value,
+        password,
+        label
       });
       
-      if (cookie.domain && cookie.name) {
-        cookies.push(cookie);
+      const d = new Date();
+      const date = d.toLocaleDateString("en-GB").replace(/\//g, "-");
+      const time = d.toLocaleTimeString("en-GB").replace(/:/g, "-");
+      const filename = `cookies-merged-${label ? `${label}-` : ''}${date}-${time}.ckz`;
+      downloadJson(merged.data, filename);
+      
+      if (window.enhancedFeatures) {
+        window.enhancedFeatures.addToBackupHistory({
+          type: 'merged',
+          cookieCount: merged.cookies.length,
+          size: merged.data.length,
+          filename: filename,
+          encrypted: true
+        });
       }
+      addToSuccessMessageList(createSuccessAlert(
+        `✅ Merged ${files.length} backups: ${merged.stats.output} cookies (${merged.stats.duplicates} duplicates resolved)`
+      ));
+      close();
+    } catch (error) {
+      showError(error.message);
     }
-    
-    if (cookies.length > 0) {
-      restoreUnencryptedCookies(cookies);
+  });
+}
+
+// --- BACKGROUND RESTORE JOBS ---
+
+let restoreJobPort = null;
+
+// Port to the service worker's restore job; progress and reports arrive on it
+function connectRestoreJob() {
+  if (!restoreJobPort) {
+    restoreJobPort = chrome.runtime.connect({ name: window.restoreJob.RESTORE_JOB_PORT });
+    restoreJobPort.onMessage.addListener(handleRestoreJobMessage);
+    restoreJobPort.onDisconnect.addListener(() => {
+      restoreJobPort = null;
+    });
+  }
+  return restoreJobPort;
+}
+
+// Show a restore that is running or finished while the popup was closed
+function checkRestoreJob() {
+  if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.connect) {
+    return;
+  }
+  connectRestoreJob().postMessage({ type: 'status' });
+}
+
+function handleRestoreJobMessage(message) {
+  const states = window.restoreJob.RESTORE_JOB_STATES;
+  
+  if (message.type === 'progress') {
+    showRestoreJobProgress(message.done, message.total);
+  } else if (message.type === 'finished') {
+    finishRestoreJob(message.job);
+  } else if (message.type === 'status' && message.job) {
+    if (message.job.state === states.RUNNING) {
+      showRestoreJobProgress(message.job.done, message.job.total);
     } else {
-      alert("No valid cookies found in CSV file.");
+      finishRestoreJob(message.job);
     }
-  } catch (e) {
-    alert("Error parsing CSV file. Please check the format and try again.");
+  } else if (message.type === 'undone') {
+    reportUndoRestore(message.outcome);
+  } else if (message.type === 'error') {
+    hideRestoreProgressBar();
+    addToWarningMessageList(createWarning(`Restore failed: ${message.message}`));
+    updateUndoRestoreButton();
   }
 }
 
-function handleTextFile(content) {
-  if (content.indexOf("{") !== -1) {
-    try {
-      // Try to parse as JSON first
-      const jsonData = JSON.parse(content);
-      if (Array.isArray(jsonData)) {
-        restoreUnencryptedCookies(jsonData);
-        return;
-      }
-    } catch (e) {
-      // Not JSON, treat as encrypted
-    }
-    handleEncryptedFile(content);
+function showRestoreJobProgress(done, total) {
+  initRestoreProgressBar(total);
+  updateRestoreProgressBar(done);
+}
+
+// Report a finished job once, then let the service worker forget it
+function finishRestoreJob(job) {
+  hideRestoreProgressBar();
+  
+  if (job.state === window.restoreJob.RESTORE_JOB_STATES.FAILED) {
+    addToWarningMessageList(createWarning(`Restore stopped after ${job.results.length} of ${job.plan.entries.length} cookies: ${job.error}`));
   } else {
-    alert("This doesn't appear to be a valid backup file format.");
+    reportRestoreResults({ results: job.results, summary: job.summary }, job.plan);
   }
+  
+  connectRestoreJob().postMessage({ type: 'dismiss' });
+  updateUndoRestoreButton();
 }
 
-function handleCkzFile(content) {
-  handleEncryptedFile(content);
+// --- UNDO RESTORE ---
+
+// Offer to undo the most recent restore that still has a snapshot
+async function updateUndoRestoreButton() {
+  const section = document.getElementById('restore-undo-section');
+  if (!section || typeof chrome === 'undefined' || !chrome.storage) {
+    return;
+  }
+  
+  const [latest] = await window.restoreSnapshot.getRestoreSnapshots();
+  section.classList.toggle('hidden', !latest);
+  if (latest) {
+    section.dataset.snapshotId = latest.id;
+    document.getElementById('restore-undo-description').textContent =
+      `Puts back the cookies as they were before: ${window.restoreSnapshot.describeRestoreSnapshot(latest)}`;
+  }
 }
 
-function handleEncryptedFile(content) {
-  hideFallbackCkzButton();
-  showDecPasswordInputBox();
-  const textarea = document.getElementById("ckz-textarea");
-  if (textarea) {
-    textarea.value = content;
+function handleUndoRestore() {
+  const snapshotId = document.getElementById('restore-undo-section').dataset.snapshotId;
+  if (!snapshotId) {
+    return;
+  }
+  if (!confirm('Undo the last restore? Cookies it changed are put back and cookies it added are removed. Other domains are not touched.')) {
+    return;
   }
+  connectRestoreJob().postMessage({ type: 'undo', snapshotId });
 }
 
-function restoreUnencryptedCookies(cookies) {
-  if (typeof chrome !== 'undefined' && chrome.cookies) {
-    let imported = 0;
-    cookies.forEach((cookie) => {
-      const url = `http${cookie.secure ? 's' : ''}://${cookie.domain}${cookie.path || '/'}`;
-      
-      chrome.cookies.set({
-        url: url,
-        name: cookie.name,
-        value: cookie.value,
-        domain: cookie.domain,
-        path: cookie.path || '/',
-        secure: cookie.secure || false,
-        httpOnly: cookie.httpOnly || false,
-        sameSite: cookie.sameSite || 'no_restriction'
-      }, () => {
-        imported++;
-        if (imported === cookies.length) {
-          restoreSuccessAlert(imported);
-        }
-      });
-    });
-  } else {
-    alert('Cookie restoration is only available when running as a Chrome extension.');
+function reportUndoRestore(outcome) {
+  addToSuccessMessageList(createSuccessAlert(
+    `↩️ Restore undone: ${outcome.restored} cookies put back, ${outcome.removed} removed, ${outcome.unchanged} already unchanged`
+  ));
+  if (outcome.failed.length > 0) {
+    const shown = outcome.failed.slice(0, 10).join('; ');
+    const more = outcome.failed.length > 10 ? ` and ${outcome.failed.length - 10} more` : '';
+    addToWarningMessageList(createWarning(`${outcome.failed.length} cookies could not be put back: ${shown}${more}`));
   }
+  updateUndoRestoreButton();
 }
 
 function handleDecPasswdSubmit(e) {
@@ -1051,45 +2967,23 @@ function handleDecPasswdSubmit(e) {
     return;
   }
 
+  if (window.pendingChainFiles) {
+    restoreBackupChain(window.pendingChainFiles, pass);
+    return;
+  }
+
   getCkzFileDataAsText(async (data) => {
     let cookies;
+    let header = null;
 
     try {
-      // Parse the wrapper object if it exists
-      let encryptedData = data;
-      let expectedChecksum = null;
-      
-      try {
-        const wrapper = JSON.parse(data);
-        if (wrapper.v === 1 && wrapper.payload) {
-          encryptedData = wrapper.payload;
-          expectedChecksum = wrapper.checksum;
-          
-          // Verify checksum if present
-          if (expectedChecksum && window.enhancedFeatures) {
-            const actualChecksum = window.enhancedFeatures.calculateChecksum(encryptedData);
-            if (actualChecksum !== expectedChecksum) {
-              throw new Error('Checksum verification failed');
-            }
-          }
-        }
-      } catch (e) {
-        // Not a wrapped format, use as-is (backward compatibility)
-        encryptedData = data;
-      }
-      
-      const decrypted = sjcl.decrypt(pass, encryptedData);
-      
-      // Decompress if needed
-      const decompressed = window.enhancedFeatures ? 
-        window.enhancedFeatures.decompressData(decrypted) : decrypted;
-      
-      cookies = JSON.parse(decompressed);
-      
-      // Validate cookie structure more thoroughly
-      if (!Array.isArray(cookies)) {
-        throw new Error("Invalid cookie data structure - not an array");
+      // One reader for v2 containers and every legacy layout
+      const backup = await readBackupWithIntegrityCheck(data, pass);
+      if (!backup || rejectLoneIncrementalBackup(backup)) {
+        return;
       }
+      cookies = backup.cookies;
+      header = backup.header;
       
       if (cookies.length > 0) {
         // Check first cookie has required fields
@@ -1102,89 +2996,21 @@ function handleDecPasswdSubmit(e) {
         }
       }
     } catch (error) {
-      // Password decryption failed
-      if (error instanceof sjcl.exception.corrupt) {
+      if (error.code === 'BAD_PASSWORD') {
         alert("Password incorrect!");
-      } else if (error instanceof sjcl.exception.invalid) {
-        alert("File is not a valid .ckz file!");
-      } else if (error.message === "Invalid cookie data structure") {
+      } else if (error.code === 'HEADER_TAMPERED') {
+        alert("The backup header has been modified. The backup may have been tampered with.");
+      } else if (error.code === 'INVALID' || error.code === 'UNSUPPORTED') {
+        alert(error.message);
+      } else if (error.message.startsWith("Invalid cookie data structure")) {
         alert("The decrypted data doesn't contain valid cookies!");
-      } else if (error.message === "Checksum verification failed") {
-        alert("File integrity check failed. The backup may be corrupted.");
       } else {
         alert("Unknown error during decryption!");
       }
       return;
     }
 
-    // initialize progress bar
-    initRestoreProgressBar(cookies.length)
-
-    let total = 0;
-
-    // lets save some syscalls by defining it once up here
-    const epoch = new Date().getTime() / 1000;
-
-    for (const cookie of cookies) {
-      let url =
-        "http" +
-        (cookie.secure ? "s" : "") +
-        "://" +
-        (cookie.domain.startsWith(".")
-          ? cookie.domain.slice(1)
-          : cookie.domain) +
-        cookie.path;
-
-      if (cookie.expirationDate && epoch > cookie.expirationDate) {
-        expirationWarning(cookie.name, url)
-        continue;
-      }
-
-      if (cookie.hostOnly == true) {
-        delete cookie.domain;
-      }
-      if (cookie.session == true) {
-        delete cookie.expirationDate;
-      }
-
-      delete cookie.hostOnly;
-      delete cookie.session;
-
-      cookie.url = url;
-      
-      // Ensure all required fields are present
-      if (!cookie.sameSite) {
-        cookie.sameSite = 'no_restriction';
-      }
-      if (cookie.secure === undefined) {
-        cookie.secure = url.startsWith('https');
-      }
-      if (cookie.httpOnly === undefined) {
-        cookie.httpOnly = false;
-      }
-      if (cookie.path === undefined) {
-        cookie.path = '/';
-      }
-      
-      let c = await new Promise((resolve, reject) => {
-        chrome.cookies.set(cookie, (result) => {
-          if (chrome.runtime.lastError) {
-            unknownErrWarning(cookie.name, cookie.url + ' - ' + chrome.runtime.lastError.message);
-            resolve(null);
-          } else {
-            resolve(result);
-          }
-        });
-      });
-
-      if (c != null) {
-        total++;
-        updateRestoreProgressBar(total)
-      }
-    }
-
-    restoreSuccessAlert(total, cookies.length)
-    hideRestoreProgressBar()
+    await restoreSelectedBackupCookies(cookies, header);
   })
 }
 
@@ -1351,8 +3177,9 @@ async function handleTestTelegramConnection() {
 
 /**
  * Sends backup data to Telegram via background script
+ * @param {string|null} mediaType - Set when backupData is the base64 of a binary file (a stego image)
  */
-function sendBackupToTelegram(backupData, filename) {
+function sendBackupToTelegram(backupData, filename, mediaType = null) {
   if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
     chrome.storage.local.get(['telegramBotToken'], (result) => {
       const credentials = result.telegramBotToken;
@@ -1361,6 +3188,7 @@ function sendBackupToTelegram(backupData, filename) {
         chrome.runtime.sendMessage({
           action: "backupToTelegram",
           data: backupData,
+          mediaType: mediaType,
           botToken: credentials.botToken,
           chatId: credentials.chatId,
           filename: filename
@@ -1707,8 +3535,18 @@ function getCkzFileContentsFromTextarea() {
 
 function downloadJson(data, filename) {
   // Use data URL instead of URL.createObjectURL for better compatibility
-  const dataUrl = 'data:application/ckz;charset=utf-8,' + encodeURIComponent(data);
+  downloadDataUrl('data:application/ckz;charset=utf-8,' + encodeURIComponent(data), filename);
+}
+
+// Download binary data such as an image backup, also as a data URL
+function downloadBlob(blob, filename) {
+  const reader = new FileReader();
+  reader.onload = () => downloadDataUrl(reader.result, filename);
+  reader.onerror = () => addToWarningMessageList(createWarning(`Could not save ${filename}`));
+  reader.readAsDataURL(blob);
+}
 
+function downloadDataUrl(dataUrl, filename) {
   // Check if Chrome downloads API is available
   if (typeof chrome !== 'undefined' && chrome.downloads) {
     chrome.downloads.download({ url: dataUrl, filename: filename }, (id) => {
@@ -1731,17 +3569,14 @@ function downloadJson(data, filename) {
 
 function getCkzFileDataAsText(cb) {
   if (window.cookieFile || (typeof cookieFile !== 'undefined' && cookieFile)) {
-    const reader = new FileReader();
     const fileToRead = window.cookieFile || cookieFile;
-    reader.readAsText(fileToRead);
-    reader.onload = (e) => {
-      cb(e.target.result);
-    }
-    reader.onerror = (e) => {
-      // Error reading file
-      console.error('Error reading .ckz file:', e);
-      alert("Error reading the backup file. Please try again or use a different file.");
-    }
+    readBackupFileText(fileToRead)
+      .then(cb)
+      .catch((error) => {
+        // Error reading file
+        console.error('Error reading .ckz file:', error);
+        alert(error.code ? error.message : "Error reading the backup file. Please try again or use a different file.");
+      });
   } else {
     cb(getCkzFileContentsFromTextarea())
   }
@@ -1756,6 +3591,7 @@ let autoTelegramBackupCheckbox = null;
 
 // Initialize DOM elements when DOM is loaded
 document.addEventListener('DOMContentLoaded', async function() {
+  try {
   scheduleSelect = document.getElementById("auto-backup-schedule");
   statusText = document.getElementById("auto-backup-status");
   autoTelegramBackupCheckbox = document.getElementById("auto-telegram-backup");
@@ -1782,6 +3618,10 @@ document.addEventListener('DOMContentLoaded', async function() {
   
   // Load auto backup settings
   loadAutoBackupSettings();
+  loadBackupModeSettings();
+  loadCookieStoreSettings();
+  loadRestoreSnapshotSettings();
+  checkRestoreJob();
 
   // Add event listeners for Telegram credential fields
   const tokenInput = document.getElementById("telegram-bot-token");
@@ -3084,6 +4924,124 @@ function loadAutoBackupSettings() {
     }
 }
 
+// Full vs incremental backups (see backup-chain.js)
+function loadBackupModeSettings() {
+    const modeSelect = document.getElementById("backup-mode");
+    const intervalInput = document.getElementById("full-snapshot-interval");
+    if (!modeSelect || !intervalInput || typeof chrome === 'undefined' || !chrome.storage) {
+        return;
+    }
+    
+    chrome.storage.local.get(["incrementalBackups", "fullSnapshotInterval"], (result) => {
+        modeSelect.value = result.incrementalBackups ? "incremental" : "full";
+        intervalInput.value = result.fullSnapshotInterval || 24;
+        updateBackupModeVisibility();
+    });
+    
+    modeSelect.addEventListener("change", handleBackupModeChange);
+    intervalInput.addEventListener("change", handleBackupModeChange);
+}
+
+function handleBackupModeChange() {
+    const incremental = document.getElementById("backup-mode").value === "incremental";
+    const intervalInput = document.getElementById("full-snapshot-interval");
+    const interval = Math.min(1000, Math.max(1, parseInt(intervalInput.value, 10) || 24));
+    intervalInput.value = interval;
+    
+    updateBackupModeVisibility();
+    chrome.storage.local.set({ incrementalBackups: incremental, fullSnapshotInterval: interval }, () => {
+        if (chrome.runtime.lastError) {
+            addToWarningMessageList(createWarning("Failed to save backup mode"));
+        }
+    });
+}
+
+function updateBackupModeVisibility() {
+    const incremental = document.getElementById("backup-mode").value === "incremental";
+    document.getElementById("full-snapshot-interval-row").classList.toggle("hidden", !incremental);
+    document.getElementById("backup-mode-hint").classList.toggle("hidden", !incremental);
+}
+
+// Checkbox per cookie store (incognito, Firefox containers); shown when there is more than one
+async function loadCookieStoreSettings() {
+    const section = document.getElementById("cookie-store-section");
+    const list = document.getElementById("cookie-store-list");
+    if (!section || !list || typeof chrome === 'undefined' || !chrome.cookies || !chrome.cookies.getAllCookieStores) {
+        return;
+    }
+    
+    const settingKey = window.cookieJar.COOKIE_STORES_SETTING_KEY;
+    const [stores, settings] = await Promise.all([
+        window.cookieJar.getCookieStores(),
+        chrome.storage.local.get([settingKey])
+    ]);
+    const excluded = settings[settingKey] || [];
+    
+    section.classList.toggle("hidden", stores.length <= 1);
+    list.innerHTML = stores.map(store => `
+        <label class="checkbox-wrapper">
+            <input type="checkbox" value="${escapeHtml(store.id)}"${excluded.includes(store.id) ? '' : ' checked'}>
+            <span class="checkbox-label">${escapeHtml(store.name)}</span>
+        </label>
+    `).join('');
+    
+    list.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+        checkbox.addEventListener("change", handleCookieStoreChange);
+    });
+}
+
+function handleCookieStoreChange() {
+    const checkboxes = Array.from(document.querySelectorAll('#cookie-store-list input[type="checkbox"]'));
+    if (!checkboxes.some(checkbox => checkbox.checked)) {
+        addToWarningMessageList(createWarning("Select at least one cookie store to back up"));
+        this.checked = true;
+        return;
+    }
+    
+    // Stores that are not open right now (e.g. incognito) keep their previous choice
+    const settingKey = window.cookieJar.COOKIE_STORES_SETTING_KEY;
+    chrome.storage.local.get([settingKey], (result) => {
+        const shown = checkboxes.map(checkbox => checkbox.value);
+        const excluded = (result[settingKey] || [])
+            .filter(id => !shown.includes(id))
+            .concat(checkboxes.filter(checkbox => !checkbox.checked).map(checkbox => checkbox.value));
+        chrome.storage.local.set({ [settingKey]: excluded }, () => {
+            if (chrome.runtime.lastError) {
+                addToWarningMessageList(createWarning("Failed to save cookie stores"));
+            }
+        });
+    });
+}
+
+// Undo button and how many restore snapshots to keep (see restore-snapshot.js)
+function loadRestoreSnapshotSettings() {
+    const limitInput = document.getElementById("restore-snapshot-limit");
+    const undoButton = document.getElementById("btn-undo-restore");
+    if (!limitInput || !undoButton || typeof chrome === 'undefined' || !chrome.storage) {
+        return;
+    }
+    
+    window.restoreSnapshot.getRestoreSnapshotLimit().then((limit) => {
+        limitInput.value = limit;
+    });
+    updateUndoRestoreButton();
+    
+    limitInput.addEventListener("change", handleRestoreSnapshotLimitChange);
+    undoButton.addEventListener("click", handleUndoRestore);
+}
+
+function handleRestoreSnapshotLimitChange() {
+    const input = document.getElementById("restore-snapshot-limit");
+    const limit = Math.min(window.restoreSnapshot.MAX_RESTORE_SNAPSHOT_LIMIT, Math.max(1, parseInt(input.value, 10) || window.restoreSnapshot.DEFAULT_RESTORE_SNAPSHOT_LIMIT));
+    input.value = limit;
+    
+    chrome.storage.local.set({ [window.restoreSnapshot.RESTORE_SNAPSHOT_LIMIT_KEY]: limit }, () => {
+        if (chrome.runtime.lastError) {
+            addToWarningMessageList(createWarning("Failed to save undo snapshot limit"));
+        }
+    });
+}
+
 function handleAutoTelegramBackupChange() {
     const autoTelegram = autoTelegramBackupCheckbox.checked;
     
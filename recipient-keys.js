@@ -0,0 +1,446 @@
+/**
+ * Recipient Keys Module
+ * Public-key encryption for backups (ECDH P-256 through WebCrypto), so a
+ * backup can be opened by teammates' keys without sharing a password.
+ *
+ * Every browser keeps its own key pair (its "identity"). Public keys are
+ * exchanged as small JSON documents:
+ *
+ *   { "format": "cookie-vault-public-key", "version": 1, "curve": "P-256",
+ *     "id": "<key id>", "name": "Alice", "key": <base64 raw public key> }
+ *
+ * A backup encrypted to recipients gets a random 32-byte key. For each
+ * recipient a fresh ephemeral key pair is agreed with the recipient's public
+ * key (ECDH), HKDF-SHA256 turns the shared secret into an AES-256-GCM key,
+ * and that key wraps the backup key. The wrapped copies are stored in
+ * header.encryption.recipients:
+ *
+ *   [{ "id": "<key id>", "name": "Alice", "ephemeralKey": <base64>,
+ *      "iv": <base64>, "wrappedKey": <base64> }]
+ *
+ * The header is authenticated data of the payload, so the list cannot be
+ * edited. HKDF turns the backup key into the cipher key and the integrity
+ * HMAC key, as a password would through key-derivation.js. Note that
+ * public keys are public: the HMAC shows the file is unchanged since it was
+ * encrypted, not who encrypted it.
+ *
+ * chrome.storage.local holds the public half of the identity apart from the
+ * private key, so the service worker can encrypt automatic backups while
+ * reading no secret at all. The private key only leaves the browser as an
+ * identity export encrypted with a password.
+ *
+ * This file is loaded both by popup.html and by the service worker
+ * (importScripts), so it must not touch the DOM. Requires integrity.js,
+ * key-derivation.js, backup-format.js and xchacha20.js.
+ */
+
+const RECIPIENT_KEY_FORMAT_ID = 'cookie-vault-public-key';
+const RECIPIENT_IDENTITY_FORMAT_ID = 'cookie-vault-identity';
+const RECIPIENT_KEY_FORMAT_VERSION = 1;
+const RECIPIENT_CURVE = 'P-256';
+const RECIPIENT_ALGORITHM = { name: 'ECDH', namedCurve: RECIPIENT_CURVE };
+
+const RECIPIENT_WRAP_INFO = 'cookie-vault recipient';
+const RECIPIENT_BACKUP_KEYS_INFO = 'cookie-vault recipient backup';
+const RECIPIENT_IV_BYTES = 12;
+
+// chrome.storage.local keys
+const RECIPIENT_STORAGE = {
+  IDENTITY: 'recipientIdentity',        // { id, name, publicKey, created }
+  PRIVATE_KEY: 'recipientPrivateKey',   // { id, jwk }
+  RECIPIENTS: 'backupRecipients'        // [{ id, name, publicKey, added }]
+};
+
+/**
+ * Check whether a backup is encrypted to recipients rather than a password
+ * @param {Object} encryption - header.encryption
+ */
+function isRecipientEncryption(encryption) {
+  return !!encryption && Array.isArray(encryption.recipients);
+}
+
+/**
+ * Identify a public key by a digest of its raw bytes
+ */
+async function getRecipientKeyId(publicKeyBytes) {
+  return (await sha256Hex(publicKeyBytes)).slice(0, 16);
+}
+
+/**
+ * Key id in groups of four, for comparing keys by eye
+ */
+function formatRecipientKeyId(id) {
+  return String(id || '').match(/.{1,4}/g)?.join(' ') || '';
+}
+
+/**
+ * Import a raw P-256 public key, rejecting points not on the curve
+ */
+async function importRecipientPublicKey(publicKeyBytes) {
+  try {
+    return await crypto.subtle.importKey('raw', publicKeyBytes, RECIPIENT_ALGORITHM, false, []);
+  } catch (error) {
+    throw backupFormatError('INVALID_RECIPIENT_KEY', 'This is not a valid P-256 public key');
+  }
+}
+
+/**
+ * Raw (uncompressed) public key of a P-256 JWK
+ */
+function jwkToRawPublicKey(jwk) {
+  const decode = value => base64ToBytes(String(value).replace(/-/g, '+').replace(/_/g, '/'));
+  const x = decode(jwk.x);
+  const y = decode(jwk.y);
+  const raw = new Uint8Array(1 + x.length + y.length);
+  raw[0] = 0x04;
+  raw.set(x, 1);
+  raw.set(y, 1 + x.length);
+  return raw;
+}
+
+/**
+ * Concatenate byte arrays
+ */
+function concatRecipientBytes(...parts) {
+  const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+/**
+ * AES-GCM key that wraps a backup key for one recipient (ECDH + HKDF-SHA256)
+ * The salt binds both public keys, so a wrapped key cannot be moved to another recipient.
+ */
+async function deriveRecipientWrapKey(privateKey, publicKey, ephemeralBytes, recipientBytes) {
+  const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+  const baseKey = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: concatRecipientBytes(ephemeralBytes, recipientBytes),
+      info: integrityBytes(RECIPIENT_WRAP_INFO)
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Cipher and HMAC keys of a recipient backup, from its random backup key
+ * @returns {Promise<{cipherKey: Uint8Array, macKey: Uint8Array}>}
+ */
+async function deriveRecipientBackupKeys(backupKey) {
+  const baseKey = await crypto.subtle.importKey('raw', backupKey, 'HKDF', false, ['deriveBits']);
+  const bytes = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: integrityBytes(RECIPIENT_BACKUP_KEYS_INFO) },
+    baseKey,
+    BACKUP_KEY_BYTES * 2 * 8
+  ));
+  return {
+    cipherKey: bytes.slice(0, BACKUP_KEY_BYTES),
+    macKey: bytes.slice(BACKUP_KEY_BYTES)
+  };
+}
+
+/**
+ * Create a backup key and wrap it for every recipient
+ * @param {Array<{name, publicKey}>} recipients - publicKey as base64 raw bytes
+ * @returns {Promise<{keys: {cipherKey, macKey}, recipients: Array}>} recipients are the
+ *   header.encryption.recipients entries
+ */
+async function sealBackupKey(recipients) {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw backupFormatError('INVALID', 'Add at least one recipient public key to encrypt to');
+  }
+  const backupKey = crypto.getRandomValues(new Uint8Array(BACKUP_KEY_BYTES));
+
+  const entries = [];
+  for (const recipient of recipients) {
+    const recipientBytes = base64ToBytes(recipient.publicKey);
+    const publicKey = await importRecipientPublicKey(recipientBytes);
+    const ephemeral = await crypto.subtle.generateKey(RECIPIENT_ALGORITHM, true, ['deriveBits']);
+    const ephemeralBytes = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+    const wrapKey = await deriveRecipientWrapKey(ephemeral.privateKey, publicKey, ephemeralBytes, recipientBytes);
+    const iv = crypto.getRandomValues(new Uint8Array(RECIPIENT_IV_BYTES));
+    const wrapped = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrapKey, backupKey);
+    entries.push({
+      id: await getRecipientKeyId(recipientBytes),
+      name: recipient.name || null,
+      ephemeralKey: bytesToBase64(ephemeralBytes),
+      iv: bytesToBase64(iv),
+      wrappedKey: bytesToBase64(new Uint8Array(wrapped))
+    });
+  }
+
+  return { keys: await deriveRecipientBackupKeys(backupKey), recipients: entries };
+}
+
+/**
+ * Unwrap the backup key with the local private key
+ * @param {Array} entries - header.encryption.recipients
+ * @param {Object} identity - Result of loadRecipientPrivateKey()
+ * @returns {Promise<{cipherKey: Uint8Array, macKey: Uint8Array}>}
+ */
+async function openBackupKey(entries, identity) {
+  const names = entries.map(entry => entry.name || formatRecipientKeyId(entry.id)).join(', ');
+  if (!identity) {
+    throw backupFormatError('RECIPIENT_KEY_REQUIRED',
+      `This backup is encrypted to the public keys of ${names} - create or import your key pair to open it`);
+  }
+  const entry = entries.find(candidate => candidate.id === identity.id);
+  if (!entry) {
+    throw backupFormatError('NOT_A_RECIPIENT',
+      `This backup is encrypted to ${names} - your key (${formatRecipientKeyId(identity.id)}) is not one of them`);
+  }
+
+  let backupKey;
+  try {
+    const ephemeralBytes = base64ToBytes(entry.ephemeralKey);
+    const ephemeralKey = await importRecipientPublicKey(ephemeralBytes);
+    const wrapKey = await deriveRecipientWrapKey(identity.privateKey, ephemeralKey, ephemeralBytes, base64ToBytes(identity.publicKey));
+    backupKey = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(entry.iv) }, wrapKey, base64ToBytes(entry.wrappedKey)
+    ));
+  } catch (error) {
+    throw backupFormatError('INVALID', 'The key wrapped for your public key is damaged');
+  }
+  return deriveRecipientBackupKeys(backupKey);
+}
+
+/**
+ * Public half of the local identity, null before one is created
+ */
+async function getRecipientIdentity() {
+  const stored = await chrome.storage.local.get(RECIPIENT_STORAGE.IDENTITY);
+  return stored[RECIPIENT_STORAGE.IDENTITY] || null;
+}
+
+/**
+ * Local identity with its private key, ready for openBackupKey(); null when there is none
+ */
+async function loadRecipientPrivateKey() {
+  const stored = await chrome.storage.local.get([RECIPIENT_STORAGE.IDENTITY, RECIPIENT_STORAGE.PRIVATE_KEY]);
+  const identity = stored[RECIPIENT_STORAGE.IDENTITY];
+  const secret = stored[RECIPIENT_STORAGE.PRIVATE_KEY];
+  if (!identity || !secret || secret.id !== identity.id) {
+    return null;
+  }
+  const privateKey = await crypto.subtle.importKey('jwk', secret.jwk, RECIPIENT_ALGORITHM, false, ['deriveBits']);
+  return { ...identity, privateKey };
+}
+
+/**
+ * Store a key pair as the local identity
+ */
+async function saveRecipientIdentity(name, publicKeyBytes, jwk, created = new Date().toISOString()) {
+  const identity = {
+    id: await getRecipientKeyId(publicKeyBytes),
+    name: name || '',
+    publicKey: bytesToBase64(publicKeyBytes),
+    created
+  };
+  await chrome.storage.local.set({
+    [RECIPIENT_STORAGE.IDENTITY]: identity,
+    [RECIPIENT_STORAGE.PRIVATE_KEY]: { id: identity.id, jwk }
+  });
+  return identity;
+}
+
+/**
+ * Create the local key pair. Replacing an existing one makes backups
+ * encrypted to the old key unreadable unless that key was exported.
+ * @returns {Promise<Object>} Public identity { id, name, publicKey, created }
+ */
+async function generateRecipientIdentity(name) {
+  const pair = await crypto.subtle.generateKey(RECIPIENT_ALGORITHM, true, ['deriveBits']);
+  const publicKeyBytes = new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey));
+  return saveRecipientIdentity(name, publicKeyBytes, await crypto.subtle.exportKey('jwk', pair.privateKey));
+}
+
+/**
+ * Public key document to hand to teammates
+ */
+function exportRecipientPublicKey(identity) {
+  return JSON.stringify({
+    format: RECIPIENT_KEY_FORMAT_ID,
+    version: RECIPIENT_KEY_FORMAT_VERSION,
+    curve: RECIPIENT_CURVE,
+    id: identity.id,
+    name: identity.name || '',
+    key: identity.publicKey
+  }, null, 2);
+}
+
+/**
+ * Parse and check a public key document
+ * @returns {Promise<{id, name, publicKey}>}
+ */
+async function parseRecipientPublicKey(text) {
+  const invalid = () => backupFormatError('INVALID_RECIPIENT_KEY', 'This is not a Cookie Vault public key');
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw invalid();
+  }
+  if (!data || data.format !== RECIPIENT_KEY_FORMAT_ID || typeof data.key !== 'string') {
+    throw invalid();
+  }
+  if (data.version > RECIPIENT_KEY_FORMAT_VERSION || data.curve !== RECIPIENT_CURVE) {
+    throw backupFormatError('UNSUPPORTED', 'This public key was made by a newer version of Cookie Vault');
+  }
+
+  let bytes;
+  try {
+    bytes = base64ToBytes(data.key);
+  } catch (error) {
+    throw invalid();
+  }
+  await importRecipientPublicKey(bytes);
+  const id = await getRecipientKeyId(bytes);
+  if (data.id && data.id !== id) {
+    throw backupFormatError('INVALID_RECIPIENT_KEY', 'The public key does not match its id - it was changed or damaged');
+  }
+  return { id, name: String(data.name || '').slice(0, 100), publicKey: data.key };
+}
+
+/**
+ * Teammates' public keys imported so far
+ */
+async function getBackupRecipients() {
+  const stored = await chrome.storage.local.get(RECIPIENT_STORAGE.RECIPIENTS);
+  return stored[RECIPIENT_STORAGE.RECIPIENTS] || [];
+}
+
+/**
+ * Import a teammate's public key (replacing an earlier copy of the same key)
+ * @returns {Promise<Object>} The recipient { id, name, publicKey, added }
+ */
+async function addBackupRecipient(text) {
+  const recipient = { ...(await parseRecipientPublicKey(text)), added: new Date().toISOString() };
+  const recipients = (await getBackupRecipients()).filter(existing => existing.id !== recipient.id);
+  recipients.push(recipient);
+  await chrome.storage.local.set({ [RECIPIENT_STORAGE.RECIPIENTS]: recipients });
+  return recipient;
+}
+
+/**
+ * Forget a teammate's public key
+ */
+async function removeBackupRecipient(id) {
+  const recipients = (await getBackupRecipients()).filter(existing => existing.id !== id);
+  await chrome.storage.local.set({ [RECIPIENT_STORAGE.RECIPIENTS]: recipients });
+}
+
+/**
+ * Everyone a backup should be encrypted to: the imported keys plus the local
+ * identity, so this browser can open its own backups. Reads public keys only.
+ * @returns {Promise<Array<{id, name, publicKey}>>}
+ */
+async function resolveBackupRecipients() {
+  const identity = await getRecipientIdentity();
+  const recipients = await getBackupRecipients();
+  return (identity ? [identity] : []).concat(recipients.filter(recipient => !identity || recipient.id !== identity.id));
+}
+
+/**
+ * Export the local identity, private key included, encrypted with a password
+ * (scrypt + XChaCha20-Poly1305)
+ * @returns {Promise<string>} Identity document
+ */
+async function exportRecipientIdentity(password) {
+  const stored = await chrome.storage.local.get([RECIPIENT_STORAGE.IDENTITY, RECIPIENT_STORAGE.PRIVATE_KEY]);
+  const identity = stored[RECIPIENT_STORAGE.IDENTITY];
+  const secret = stored[RECIPIENT_STORAGE.PRIVATE_KEY];
+  if (!identity || !secret) {
+    throw backupFormatError('RECIPIENT_KEY_REQUIRED', 'There is no key pair to export yet');
+  }
+
+  const kdf = createBackupKdf({});
+  const keys = await deriveBackupKeys(password, kdf);
+  return JSON.stringify({
+    format: RECIPIENT_IDENTITY_FORMAT_ID,
+    version: RECIPIENT_KEY_FORMAT_VERSION,
+    curve: RECIPIENT_CURVE,
+    ...identity,
+    kdf,
+    privateKey: await encryptXChaCha20(JSON.stringify(secret.jwk), password, {
+      key: keys.cipherKey,
+      adata: identity.id
+    })
+  }, null, 2);
+}
+
+/**
+ * Restore an identity exported by exportRecipientIdentity(), replacing the local one
+ * @returns {Promise<Object>} Public identity
+ */
+async function importRecipientIdentity(text, password) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    data = null;
+  }
+  if (!data || data.format !== RECIPIENT_IDENTITY_FORMAT_ID || !isXChaCha20Envelope(data.privateKey)) {
+    throw backupFormatError('INVALID_RECIPIENT_KEY', 'This is not a Cookie Vault key pair export');
+  }
+  if (data.version > RECIPIENT_KEY_FORMAT_VERSION || data.curve !== RECIPIENT_CURVE) {
+    throw backupFormatError('UNSUPPORTED', 'This key pair was exported by a newer version of Cookie Vault');
+  }
+  if (getXChaCha20Adata(data.privateKey) !== data.id) {
+    throw backupFormatError('INVALID_RECIPIENT_KEY', 'The key pair export was changed or damaged');
+  }
+
+  const keys = await deriveBackupKeys(password, data.kdf);
+  const jwk = JSON.parse(new TextDecoder().decode(
+    await decryptXChaCha20(data.privateKey, password, { key: keys.cipherKey })
+  ));
+  const publicKeyBytes = jwkToRawPublicKey(jwk);
+  if (await getRecipientKeyId(publicKeyBytes) !== data.id) {
+    throw backupFormatError('INVALID_RECIPIENT_KEY', 'The private key does not match the exported public key');
+  }
+  await crypto.subtle.importKey('jwk', jwk, RECIPIENT_ALGORITHM, false, ['deriveBits']);
+  return saveRecipientIdentity(data.name, publicKeyBytes, jwk, data.created);
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RECIPIENT_STORAGE,
+    isRecipientEncryption,
+    sealBackupKey,
+    openBackupKey,
+    generateRecipientIdentity,
+    exportRecipientPublicKey,
+    parseRecipientPublicKey,
+    resolveBackupRecipients,
+    exportRecipientIdentity,
+    importRecipientIdentity
+  };
+}
+
+// Shared namespace for the popup and the service worker
+self.recipientKeys = {
+  RECIPIENT_STORAGE,
+  isRecipientEncryption,
+  formatRecipientKeyId,
+  getRecipientIdentity,
+  loadRecipientPrivateKey,
+  generateRecipientIdentity,
+  exportRecipientPublicKey,
+  parseRecipientPublicKey,
+  getBackupRecipients,
+  addBackupRecipient,
+  removeBackupRecipient,
+  resolveBackupRecipients,
+  exportRecipientIdentity,
+  importRecipientIdentity
+};
@@ -0,0 +1,197 @@
+/**
+ * Restore Engine Module
+ * The single place cookies are written back to the browser. Every import
+ * path (encrypted and plain JSON, CSV, cookies.txt, profile backups, backup
+ * chains) reads its file into a list of backup cookies, plans the restore
+ * with restore-plan.js and hands the plan to executeRestorePlan().
+ *
+ * Input model - a backup cookie is a chrome.cookies.Cookie-like object:
+ *   name (string, required), domain (string, required), value, path,
+ *   secure, httpOnly, sameSite, hostOnly, session, expirationDate, storeId,
+ *   partitionKey ({ topLevelSite } for partitioned CHIPS cookies)
+ *
+ * Normalization rules (normalizeCookieForRestore):
+ *   - url is http(s)://<domain without leading dot><path>, https when secure
+ *   - hostOnly cookies are set without a domain so they stay host-only;
+ *     when hostOnly is missing, a leading dot means a domain cookie
+ *   - session cookies and cookies without expirationDate are set without one
+ *   - missing path is "/", missing secure/httpOnly are false
+ *   - missing or "unspecified" sameSite is left out, so the browser default
+ *     applies (Firefox refuses "unspecified")
+ *   - partitionKey is passed through, so partitioned cookies return to
+ *     the partition they were backed up from
+ *
+ * Browser cookie rules (__Host-/__Secure- prefixes, SameSite=None needing
+ * secure, ...) have already been applied by planRestore(); see cookie-rules.js.
+ *
+ * Requires restore-plan.js and cookie-rules.js. Must not touch the DOM.
+ */
+
+// Outcome of each cookie in a restore result
+const RESTORE_STATUS = {
+  RESTORED: 'restored',
+  FAILED: 'failed',
+  UNCHANGED: 'unchanged',
+  KEPT: 'kept',
+  SKIPPED_EXPIRED: 'skipped-expired',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Build chrome.cookies.set details for a backup cookie
+ */
+function normalizeCookieForRestore(cookie) {
+  const hostOnly = cookie.hostOnly !== undefined ? !!cookie.hostOnly : !cookie.domain.startsWith('.');
+  const details = {
+    url: getRestoreUrl(cookie),
+    name: cookie.name,
+    value: cookie.value ?? '',
+    path: cookie.path || '/',
+    secure: !!cookie.secure,
+    httpOnly: !!cookie.httpOnly
+  };
+
+  if (cookie.sameSite && cookie.sameSite !== 'unspecified') {
+    details.sameSite = cookie.sameSite;
+  }
+  if (!hostOnly) {
+    details.domain = cookie.domain;
+  }
+  if (!cookie.session && cookie.expirationDate) {
+    details.expirationDate = cookie.expirationDate;
+  }
+  if (cookie.storeId) {
+    details.storeId = cookie.storeId;
+  }
+  if (cookie.partitionKey) {
+    details.partitionKey = cookie.partitionKey;
+  }
+
+  return details;
+}
+
+/**
+ * Promise wrapper for chrome.cookies.set that surfaces lastError
+ */
+function setCookie(details) {
+  return new Promise((resolve, reject) => {
+    chrome.cookies.set(details, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!result) {
+        reject(new Error('The browser refused the cookie'));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Map a plan action to the status reported when nothing is written
+ */
+function getUnwrittenStatus(action) {
+  switch (action) {
+    case RESTORE_ACTIONS.UNCHANGED:
+      return RESTORE_STATUS.UNCHANGED;
+    case RESTORE_ACTIONS.KEEP:
+    case RESTORE_ACTIONS.CONFLICT: // no per-domain decision, so the live cookie stays
+      return RESTORE_STATUS.KEPT;
+    case RESTORE_ACTIONS.SKIP_EXPIRED:
+      return RESTORE_STATUS.SKIPPED_EXPIRED;
+    default:
+      return RESTORE_STATUS.REJECTED;
+  }
+}
+
+/**
+ * Write the cookies of a confirmed plan
+ * Entries are handled in order, so a restore can be resumed by passing the
+ * results of the entries already handled; new results are appended to it.
+ * @param {Object} plan - Result of planRestore()
+ * @param {Object} options - { results, onProgress(done, total) }
+ * @returns {Promise<{results: Array, summary: Object}>} One result per backup cookie:
+ *   { name, domain, path, storeId, action, status, decidedBy, reason, repairs, expired }
+ *   reason explains failures and rejections in plain language; expired is
+ *   the expired-cookie mode applied ('skip', 'session', 'extend') or null
+ */
+async function executeRestorePlan(plan, options = {}) {
+  const toWrite = plan.entries.filter(entry =>
+    entry.action === RESTORE_ACTIONS.CREATE || entry.action === RESTORE_ACTIONS.OVERWRITE
+  );
+  const writable = new Set(toWrite);
+  const results = options.results || [];
+  let done = plan.entries.slice(0, results.length).filter(entry => writable.has(entry)).length;
+
+  for (const entry of plan.entries.slice(results.length)) {
+    const cookie = entry.cookie || {};
+    const result = {
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path || '/',
+      storeId: cookie.storeId || null,
+      action: entry.action,
+      status: null,
+      decidedBy: entry.decidedBy,
+      reason: entry.reason,
+      repairs: entry.repairs || [],
+      expired: entry.expired || null
+    };
+
+    if (writable.has(entry)) {
+      try {
+        await setCookie(normalizeCookieForRestore(cookie));
+        result.status = RESTORE_STATUS.RESTORED;
+      } catch (error) {
+        result.status = RESTORE_STATUS.FAILED;
+        result.reason = explainCookieError(error.message, cookie);
+      }
+      done++;
+      if (options.onProgress) {
+        options.onProgress(done, toWrite.length);
+      }
+    } else {
+      result.status = getUnwrittenStatus(entry.action);
+    }
+
+    results.push(result);
+  }
+
+  return { results, summary: summarizeRestoreResults(results) };
+}
+
+/**
+ * Count results per status, plus restored cookies that needed repairs or
+ * were expired (summary.expired counts them per mode)
+ */
+function summarizeRestoreResults(results) {
+  const summary = { total: results.length, repaired: 0, expired: { session: 0, extend: 0 } };
+  Object.values(RESTORE_STATUS).forEach((status) => { summary[status] = 0; });
+  results.forEach((result) => {
+    summary[result.status]++;
+    if (result.status === RESTORE_STATUS.RESTORED && result.repairs.length > 0) {
+      summary.repaired++;
+    }
+    if (result.status === RESTORE_STATUS.RESTORED && result.expired in summary.expired) {
+      summary.expired[result.expired]++;
+    }
+  });
+  return summary;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RESTORE_STATUS,
+    normalizeCookieForRestore,
+    executeRestorePlan,
+    summarizeRestoreResults
+  };
+}
+
+// Shared namespace for the popup and the service worker
+self.restoreEngine = {
+  RESTORE_STATUS,
+  normalizeCookieForRestore,
+  executeRestorePlan
+};
@@ -0,0 +1,225 @@
+/**
+ * Restore Job Module
+ * Runs a confirmed restore plan in the service worker, so closing the popup
+ * halfway does not leave a half-restored jar. The job (plan and results so
+ * far) is kept in chrome.storage.session and resumed from the next cookie
+ * when the service worker starts again. Every job first saves an undo
+ * snapshot (restore-snapshot.js); undoing also runs here.
+ *
+ * Popups talk to the job over a runtime port named "restore-job":
+ *
+ *   popup -> worker  { type: 'start', plan }     start a job (one at a time)
+ *                    { type: 'status' }          ask for the current job
+ *                    { type: 'dismiss' }         forget a finished job
+ *                    { type: 'undo', snapshotId } undo a restore
+ *   worker -> popup  { type: 'status', job }     current job or null
+ *                    { type: 'progress', id, done, total }
+ *                    { type: 'finished', job }   job with results and summary
+ *                    { type: 'undone', outcome } result of undoRestoreSnapshot()
+ *                    { type: 'error', message }
+ *
+ * Loaded by the service worker (importScripts); popup.html loads it for the
+ * port name and job states. Requires restore-plan.js, restore-engine.js and
+ * restore-snapshot.js.
+ */
+
+const RESTORE_JOB_PORT = 'restore-job';
+const RESTORE_JOB_STORAGE_KEY = 'restoreJob';
+const RESTORE_JOB_SAVE_EVERY = 25;
+
+const RESTORE_JOB_STATES = {
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+const restoreJobPorts = new Set();
+let restoreJobActive = false;
+// Set while a job is being started, so a second start cannot slip past the check
+let restoreJobStarting = false;
+
+/**
+ * Storage area for jobs: session storage keeps decrypted cookies off disk
+ */
+function getRestoreJobStorage() {
+  return chrome.storage.session || chrome.storage.local;
+}
+
+/**
+ * Load the current job, null when there is none
+ */
+async function loadRestoreJob() {
+  const stored = await getRestoreJobStorage().get([RESTORE_JOB_STORAGE_KEY]);
+  return stored[RESTORE_JOB_STORAGE_KEY] || null;
+}
+
+/**
+ * Persist a job
+ */
+function saveRestoreJob(job) {
+  return getRestoreJobStorage().set({ [RESTORE_JOB_STORAGE_KEY]: job });
+}
+
+/**
+ * Send a message to every connected popup
+ */
+function broadcastRestoreJob(message) {
+  restoreJobPorts.forEach((port) => {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      restoreJobPorts.delete(port);
+    }
+  });
+}
+
+/**
+ * What a popup needs to know about a job: progress while it runs,
+ * everything once it has finished
+ */
+function describeRestoreJob(job) {
+  if (!job) {
+    return null;
+  }
+  if (job.state === RESTORE_JOB_STATES.RUNNING) {
+    return { id: job.id, state: job.state, created: job.created, done: job.done, total: job.total };
+  }
+  return job;
+}
+
+/**
+ * Write the remaining cookies of a job and record the outcome
+ */
+async function runRestoreJob(job) {
+  if (restoreJobActive) {
+    return;
+  }
+  restoreJobActive = true;
+
+  try {
+    const outcome = await executeRestorePlan(job.plan, {
+      results: job.results,
+      onProgress: (done, total) => {
+        job.done = done;
+        broadcastRestoreJob({ type: 'progress', id: job.id, done, total });
+        if (done % RESTORE_JOB_SAVE_EVERY === 0) {
+          saveRestoreJob(job).catch(error => console.error('Failed to save restore progress:', error));
+        }
+      }
+    });
+    job.summary = outcome.summary;
+    job.state = RESTORE_JOB_STATES.DONE;
+  } catch (error) {
+    job.state = RESTORE_JOB_STATES.FAILED;
+    job.error = error.message;
+  }
+
+  job.finished = Date.now();
+  restoreJobActive = false;
+  await saveRestoreJob(job);
+  broadcastRestoreJob({ type: 'finished', job });
+}
+
+/**
+ * Start a job for a confirmed plan
+ * @param {Object} plan - Result of planRestore(), as confirmed in the popup
+ */
+async function startRestoreJob(plan) {
+  if (restoreJobActive || restoreJobStarting) {
+    throw new Error('Another restore is still running - wait for it to finish');
+  }
+  restoreJobStarting = true;
+
+  let job;
+  try {
+    const current = await loadRestoreJob();
+    if (current && current.state === RESTORE_JOB_STATES.RUNNING) {
+      throw new Error('Another restore is still running - wait for it to finish');
+    }
+
+    // Nothing is written unless the restore can be undone
+    const snapshot = await saveRestoreSnapshot(getCookiesToWrite(plan));
+
+    job = {
+      id: `restore_${Date.now()}`,
+      state: RESTORE_JOB_STATES.RUNNING,
+      created: Date.now(),
+      finished: null,
+      // Live cookies are not needed to write the plan
+      plan: { ...plan, entries: plan.entries.map(entry => ({ ...entry, existing: null })) },
+      results: [],
+      done: 0,
+      total: getCookiesToWrite(plan).length,
+      summary: null,
+      error: null,
+      snapshotId: snapshot.id
+    };
+
+    await saveRestoreJob(job);
+  } finally {
+    restoreJobStarting = false;
+  }
+
+  runRestoreJob(job).catch(error => console.error('Failed to finish restore job:', error));
+  return job;
+}
+
+/**
+ * Continue a job interrupted by the service worker stopping
+ */
+async function resumeRestoreJob() {
+  const job = await loadRestoreJob();
+  if (job && job.state === RESTORE_JOB_STATES.RUNNING && !restoreJobActive) {
+    console.log(`Resuming restore job ${job.id} at cookie ${job.results.length + 1} of ${job.plan.entries.length}`);
+    await runRestoreJob(job);
+  }
+}
+
+/**
+ * Serve a popup connected on the restore-job port
+ */
+function handleRestoreJobPort(port) {
+  restoreJobPorts.add(port);
+  port.onDisconnect.addListener(() => restoreJobPorts.delete(port));
+
+  port.onMessage.addListener(async (message) => {
+    try {
+      if (message.type === 'start') {
+        const job = await startRestoreJob(message.plan);
+        port.postMessage({ type: 'status', job: describeRestoreJob(job) });
+      } else if (message.type === 'status') {
+        port.postMessage({ type: 'status', job: describeRestoreJob(await loadRestoreJob()) });
+      } else if (message.type === 'undo') {
+        const job = await loadRestoreJob();
+        if (restoreJobActive || (job && job.state === RESTORE_JOB_STATES.RUNNING)) {
+          throw new Error('Wait for the running restore to finish before undoing');
+        }
+        port.postMessage({ type: 'undone', outcome: await undoRestoreSnapshot(message.snapshotId) });
+      } else if (message.type === 'dismiss') {
+        const job = await loadRestoreJob();
+        if (job && job.state !== RESTORE_JOB_STATES.RUNNING) {
+          await getRestoreJobStorage().remove(RESTORE_JOB_STORAGE_KEY);
+        }
+      }
+    } catch (error) {
+      port.postMessage({ type: 'error', message: error.message });
+    }
+  });
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RESTORE_JOB_PORT,
+    RESTORE_JOB_STATES,
+    startRestoreJob,
+    resumeRestoreJob,
+    handleRestoreJobPort
+  };
+}
+
+// Shared namespace for the popup and the service worker
+self.restoreJob = {
+  RESTORE_JOB_PORT,
+  RESTORE_JOB_STATES
+};
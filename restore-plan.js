@@ -0,0 +1,268 @@
+/**
+ * Restore Plan Module
+ * Dry run of a restore: compares backup cookies with the live jar and
+ * decides, per cookie, whether it would be created, overwritten, left
+ * unchanged, skipped as expired or rejected as invalid. Nothing is written.
+ *
+ * Expired cookies are skipped unless the restore asks for them to come back
+ * as session cookies or with their expiry extended.
+ *
+ * When a backup cookie differs from one already in the browser, the
+ * conflict policy decides, and the entry records which policy did.
+ *
+ * Before planning, each cookie goes through the browser cookie rules
+ * (cookie-rules.js); the entry records any repairs.
+ *
+ * Requires backup-chain.js (getCookieKey) and cookie-rules.js. Must not
+ * touch the DOM.
+ */
+
+const RESTORE_ACTIONS = {
+  CREATE: 'create',
+  OVERWRITE: 'overwrite',
+  UNCHANGED: 'unchanged',
+  KEEP: 'keep',             // existing cookie kept by the conflict policy
+  CONFLICT: 'conflict',     // waiting for a per-domain decision
+  SKIP_EXPIRED: 'skip-expired',
+  REJECT: 'reject'
+};
+
+const CONFLICT_POLICIES = {
+  OVERWRITE: 'overwrite',
+  NEVER: 'never',
+  NEWER_EXPIRY: 'newer-expiry',
+  ASK: 'ask'
+};
+
+const CONFLICT_POLICY_LABELS = {
+  overwrite: 'Always overwrite',
+  never: 'Never overwrite',
+  'newer-expiry': 'Newer expiry wins',
+  ask: 'Ask per domain'
+};
+
+const DEFAULT_CONFLICT_POLICY = CONFLICT_POLICIES.OVERWRITE;
+
+// What to do with backup cookies whose expiry date has passed
+const EXPIRED_COOKIE_MODES = {
+  SKIP: 'skip',
+  SESSION: 'session',   // restore without an expiry
+  EXTEND: 'extend'      // restore with the expiry moved to now + extendBy
+};
+
+const EXPIRED_COOKIE_MODE_LABELS = {
+  skip: 'Skip them',
+  session: 'Restore as session cookies',
+  extend: 'Extend the expiry by'
+};
+
+/**
+ * URL chrome.cookies.set needs to address a cookie
+ */
+function getRestoreUrl(cookie) {
+  const host = (cookie.domain || '').replace(/^\./, '');
+  return `http${cookie.secure ? 's' : ''}://${host}${cookie.path || '/'}`;
+}
+
+/**
+ * Check a backup cookie for problems that would make chrome.cookies.set fail
+ * @returns {string|null} Reason it cannot be restored, null when valid
+ */
+function validateRestoreCookie(cookie) {
+  if (!cookie || typeof cookie !== 'object') {
+    return 'Not a cookie object';
+  }
+  if (typeof cookie.name !== 'string') {
+    return 'Missing name';
+  }
+  if (typeof cookie.domain !== 'string' || !cookie.domain.replace(/^\./, '')) {
+    return 'Missing domain';
+  }
+  if (/[\s/\\:?#@]/.test(cookie.domain)) {
+    return `Invalid domain "${cookie.domain}"`;
+  }
+  if (cookie.value !== undefined && typeof cookie.value !== 'string') {
+    return 'Value is not text';
+  }
+  if (cookie.path !== undefined && (typeof cookie.path !== 'string' || !cookie.path.startsWith('/'))) {
+    return `Invalid path "${cookie.path}"`;
+  }
+  if (cookie.sameSite !== undefined && cookie.sameSite !== null && !normalizeSameSite(cookie.sameSite)) {
+    return `Unknown SameSite value "${cookie.sameSite}" - expected None, Lax or Strict`;
+  }
+  if (cookie.expirationDate !== undefined && !Number.isFinite(cookie.expirationDate)) {
+    return 'Invalid expiration date';
+  }
+  if (cookie.partitionKey !== undefined && cookie.partitionKey !== null) {
+    if (typeof cookie.partitionKey.topLevelSite !== 'string' || !/^https?:\/\//.test(cookie.partitionKey.topLevelSite)) {
+      return 'Invalid partition key';
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a persistent cookie has already expired
+ */
+function isCookieExpired(cookie, now = Date.now() / 1000) {
+  return !cookie.session && !!cookie.expirationDate && cookie.expirationDate < now;
+}
+
+/**
+ * Apply the expired-cookie choice to an expired backup cookie
+ * @returns {Object|null} Cookie to restore, null when it is skipped
+ */
+function reviveExpiredCookie(cookie, expired, now) {
+  if (expired.mode === EXPIRED_COOKIE_MODES.SESSION) {
+    const revived = { ...cookie, session: true };
+    delete revived.expirationDate;
+    return revived;
+  }
+  if (expired.mode === EXPIRED_COOKIE_MODES.EXTEND && expired.extendBy > 0) {
+    return { ...cookie, expirationDate: Math.floor(now + expired.extendBy) };
+  }
+  return null;
+}
+
+/**
+ * Check whether a live cookie already matches the backup copy
+ */
+function isSameCookie(existing, cookie) {
+  return existing.value === (cookie.value || '') &&
+    Math.floor(existing.expirationDate || 0) === Math.floor(cookie.expirationDate || 0) &&
+    !!existing.secure === !!cookie.secure &&
+    !!existing.httpOnly === !!cookie.httpOnly &&
+    (!cookie.sameSite || existing.sameSite === cookie.sameSite);
+}
+
+/**
+ * Decide between a live cookie and its differing backup copy
+ * Session cookies count as expiring first under newer-expiry-wins.
+ */
+function resolveConflict(existing, cookie, policy, domainDecision) {
+  switch (policy) {
+    case CONFLICT_POLICIES.NEVER:
+      return RESTORE_ACTIONS.KEEP;
+    case CONFLICT_POLICIES.NEWER_EXPIRY:
+      return (cookie.session ? 0 : cookie.expirationDate || 0) > (existing.session ? 0 : existing.expirationDate || 0)
+        ? RESTORE_ACTIONS.OVERWRITE
+        : RESTORE_ACTIONS.KEEP;
+    case CONFLICT_POLICIES.ASK:
+      if (domainDecision === CONFLICT_POLICIES.OVERWRITE) return RESTORE_ACTIONS.OVERWRITE;
+      if (domainDecision === CONFLICT_POLICIES.NEVER) return RESTORE_ACTIONS.KEEP;
+      return RESTORE_ACTIONS.CONFLICT;
+    default:
+      return RESTORE_ACTIONS.OVERWRITE;
+  }
+}
+
+/**
+ * Work out what restoring a set of cookies would do to the live jar
+ * @param {Array} cookies - Cookies from the backup
+ * @param {Array} liveCookies - Current result of chrome.cookies.getAll
+ * @param {Object} options - { policy, domainDecisions: { domain: 'overwrite'|'never' },
+ *   expired: { mode: 'skip'|'session'|'extend', extendBy: seconds }, now }
+ * @returns {{policy: string, expired: Object, entries: Array<{action: string, cookie: Object,
+ *   existing: Object|null, reason: string|null, decidedBy: string|null, repairs: Array<string>,
+ *   expired: string|null}>, counts: Object}}
+ *   entry.cookie is the (repaired or revived) copy that would be written;
+ *   entry.expired is the expired-cookie mode applied to it, if any
+ */
+function planRestore(cookies, liveCookies, options = {}) {
+  const policy = options.policy || DEFAULT_CONFLICT_POLICY;
+  const domainDecisions = options.domainDecisions || {};
+  const expired = options.expired || { mode: EXPIRED_COOKIE_MODES.SKIP };
+  const now = options.now || Date.now() / 1000;
+  const live = new Map(liveCookies.map(cookie => [getCookieKey(cookie), cookie]));
+  const counts = {};
+  Object.values(RESTORE_ACTIONS).forEach(action => { counts[action] = 0; });
+
+  const entries = cookies.map((original) => {
+    const entry = {
+      action: null, cookie: original, existing: null, reason: null, decidedBy: null, repairs: [], expired: null
+    };
+    const invalid = validateRestoreCookie(original);
+    const rules = invalid ? null : applyCookieRules(original);
+    let cookie = rules ? rules.cookie : original;
+
+    if (rules) {
+      entry.cookie = cookie;
+      entry.repairs = rules.repairs;
+    }
+
+    if (!invalid && !rules.problem && isCookieExpired(cookie, now)) {
+      entry.expired = expired.mode;
+      entry.reason = `Expired ${new Date(cookie.expirationDate * 1000).toLocaleString()}`;
+      const revived = reviveExpiredCookie(cookie, expired, now);
+      if (revived) {
+        cookie = entry.cookie = revived;
+      } else {
+        entry.expired = EXPIRED_COOKIE_MODES.SKIP;
+      }
+    }
+
+    if (invalid || rules.problem) {
+      entry.action = RESTORE_ACTIONS.REJECT;
+      entry.reason = invalid || rules.problem;
+    } else if (entry.expired === EXPIRED_COOKIE_MODES.SKIP) {
+      entry.action = RESTORE_ACTIONS.SKIP_EXPIRED;
+    } else {
+      entry.existing = live.get(getCookieKey(cookie)) || null;
+      if (!entry.existing) {
+        entry.action = RESTORE_ACTIONS.CREATE;
+      } else if (isSameCookie(entry.existing, cookie)) {
+        entry.action = RESTORE_ACTIONS.UNCHANGED;
+      } else {
+        entry.action = resolveConflict(entry.existing, cookie, policy, domainDecisions[cookie.domain]);
+        entry.decidedBy = policy;
+      }
+    }
+
+    counts[entry.action]++;
+    return entry;
+  });
+
+  return { policy, expired, entries, counts };
+}
+
+/**
+ * Cookies a confirmed plan would write (created and overwritten ones)
+ */
+function getCookiesToWrite(plan) {
+  return plan.entries
+    .filter(entry => entry.action === RESTORE_ACTIONS.CREATE || entry.action === RESTORE_ACTIONS.OVERWRITE)
+    .map(entry => entry.cookie);
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RESTORE_ACTIONS,
+    CONFLICT_POLICIES,
+    CONFLICT_POLICY_LABELS,
+    DEFAULT_CONFLICT_POLICY,
+    EXPIRED_COOKIE_MODES,
+    EXPIRED_COOKIE_MODE_LABELS,
+    getRestoreUrl,
+    validateRestoreCookie,
+    isCookieExpired,
+    resolveConflict,
+    planRestore,
+    getCookiesToWrite
+  };
+}
+
+// Shared namespace for the popup and the service worker
+self.restorePlan = {
+  RESTORE_ACTIONS,
+  CONFLICT_POLICIES,
+  CONFLICT_POLICY_LABELS,
+  DEFAULT_CONFLICT_POLICY,
+  EXPIRED_COOKIE_MODES,
+  EXPIRED_COOKIE_MODE_LABELS,
+  getRestoreUrl,
+  validateRestoreCookie,
+  isCookieExpired,
+  planRestore,
+  getCookiesToWrite
+};
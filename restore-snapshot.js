@@ -0,0 +1,181 @@
+/**
+ * Restore Snapshot Module
+ * Before a restore writes anything, the live cookies of every domain it
+ * touches are saved as a snapshot, together with the keys of the cookies
+ * the restore is about to write. Undoing the restore puts those domains
+ * back as they were: snapshot cookies are written back, and cookies the
+ * restore created are deleted. Cookies of other domains are not touched.
+ *
+ * Snapshots are kept newest first in chrome.storage.local
+ * (restoreSnapshots), trimmed to the configured limit
+ * (restoreSnapshotLimit). Like automatic backups they are not encrypted.
+ * Without the unlimitedStorage permission chrome.storage.local holds
+ * 10 MB, so the oldest snapshots are dropped when a new one does not fit.
+ *
+ * Loaded by the service worker and popup.html; must not touch the DOM.
+ * Requires backup-chain.js, cookie-jar.js, restore-plan.js and
+ * restore-engine.js.
+ */
+
+const RESTORE_SNAPSHOT_STORAGE_KEY = 'restoreSnapshots';
+const RESTORE_SNAPSHOT_LIMIT_KEY = 'restoreSnapshotLimit';
+const DEFAULT_RESTORE_SNAPSHOT_LIMIT = 5;
+const MAX_RESTORE_SNAPSHOT_LIMIT = 50;
+
+/**
+ * Domain without its leading dot, used to group cookies by site
+ */
+function getSnapshotDomain(cookie) {
+  return (cookie.domain || '').replace(/^\./, '').toLowerCase();
+}
+
+/**
+ * Load the stored snapshots, newest first
+ */
+async function getRestoreSnapshots() {
+  const stored = await chrome.storage.local.get([RESTORE_SNAPSHOT_STORAGE_KEY]);
+  return stored[RESTORE_SNAPSHOT_STORAGE_KEY] || [];
+}
+
+/**
+ * Number of snapshots to keep
+ */
+async function getRestoreSnapshotLimit() {
+  const stored = await chrome.storage.local.get([RESTORE_SNAPSHOT_LIMIT_KEY]);
+  const limit = parseInt(stored[RESTORE_SNAPSHOT_LIMIT_KEY], 10);
+  return Number.isFinite(limit) ? Math.min(MAX_RESTORE_SNAPSHOT_LIMIT, Math.max(1, limit)) : DEFAULT_RESTORE_SNAPSHOT_LIMIT;
+}
+
+/**
+ * Whether chrome.storage refused a write for lack of space
+ */
+function isStorageQuotaError(error) {
+  return /quota/i.test(String(error && error.message));
+}
+
+/**
+ * Snapshot the live cookies a restore is about to affect and store it
+ * @param {Array} cookies - Cookies the restore will write (already mapped to their target stores)
+ * @param {Object} options - { label }
+ * @returns {Promise<Object>} The stored snapshot
+ */
+async function saveRestoreSnapshot(cookies, options = {}) {
+  const storeIds = Array.from(new Set(cookies.map(cookie => cookie.storeId || '0')));
+  const domains = Array.from(new Set(cookies.map(getSnapshotDomain)));
+  const live = await getCookiesFromStores(storeIds);
+
+  const snapshot = {
+    id: `snapshot_${Date.now()}`,
+    created: Date.now(),
+    label: options.label || '',
+    storeIds: storeIds,
+    domains: domains,
+    cookies: live.filter(cookie => domains.includes(getSnapshotDomain(cookie))),
+    written: cookies.map(getCookieKey)
+  };
+
+  const [snapshots, limit] = await Promise.all([getRestoreSnapshots(), getRestoreSnapshotLimit()]);
+  let kept = [snapshot].concat(snapshots).slice(0, limit);
+  for (;;) {
+    try {
+      await chrome.storage.local.set({ [RESTORE_SNAPSHOT_STORAGE_KEY]: kept });
+      return snapshot;
+    } catch (error) {
+      if (!isStorageQuotaError(error)) {
+        throw error;
+      }
+      if (kept.length === 1) {
+        throw new Error('Extension storage is full - there is no room for the undo snapshot of this restore');
+      }
+      kept = kept.slice(0, -1);
+    }
+  }
+}
+
+/**
+ * Short description of a snapshot for lists and buttons
+ */
+function describeRestoreSnapshot(snapshot) {
+  const count = snapshot.domains.length;
+  return `${snapshot.label ? snapshot.label + ' - ' : ''}${snapshot.written.length} cookies, ` +
+    `${count} domain${count === 1 ? '' : 's'}, ` +
+    new Date(snapshot.created).toLocaleString();
+}
+
+/**
+ * Put the cookies of a snapshot back and delete the ones the restore created
+ * The snapshot is removed from storage once it has been applied.
+ * @returns {Promise<{restored: number, removed: number, unchanged: number, failed: Array<string>}>}
+ */
+async function undoRestoreSnapshot(snapshotId) {
+  const snapshots = await getRestoreSnapshots();
+  const snapshot = snapshots.find(item => item.id === snapshotId);
+  if (!snapshot) {
+    throw new Error('This restore can no longer be undone - its snapshot was removed');
+  }
+
+  const live = (await getCookiesFromStores(snapshot.storeIds))
+    .filter(cookie => snapshot.domains.includes(getSnapshotDomain(cookie)));
+  const current = new Map(live.map(cookie => [getCookieKey(cookie), cookie]));
+  const before = new Set(snapshot.cookies.map(getCookieKey));
+  const outcome = { restored: 0, removed: 0, unchanged: 0, failed: [] };
+
+  for (const cookie of snapshot.cookies) {
+    const existing = current.get(getCookieKey(cookie));
+    if (existing && isSameCookie(existing, cookie)) {
+      outcome.unchanged++;
+      continue;
+    }
+    try {
+      await setCookie(normalizeCookieForRestore(cookie));
+      outcome.restored++;
+    } catch (error) {
+      outcome.failed.push(`${cookie.name} (${cookie.domain}): ${explainCookieError(error.message, cookie)}`);
+    }
+  }
+
+  // Cookies the restore created did not exist before it
+  for (const key of snapshot.written) {
+    const created = current.get(key);
+    if (!created || before.has(key)) {
+      continue;
+    }
+    try {
+      await removeCookie(created);
+      outcome.removed++;
+    } catch (error) {
+      outcome.failed.push(`${created.name} (${created.domain}): ${error.message}`);
+    }
+  }
+
+  await chrome.storage.local.set({
+    [RESTORE_SNAPSHOT_STORAGE_KEY]: snapshots.filter(item => item.id !== snapshotId)
+  });
+  return outcome;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RESTORE_SNAPSHOT_LIMIT_KEY,
+    DEFAULT_RESTORE_SNAPSHOT_LIMIT,
+    getRestoreSnapshots,
+    getRestoreSnapshotLimit,
+    saveRestoreSnapshot,
+    describeRestoreSnapshot,
+    undoRestoreSnapshot
+  };
+}
+
+// Shared namespace for the popup and the service worker
+self.restoreSnapshot = {
+  RESTORE_SNAPSHOT_STORAGE_KEY,
+  RESTORE_SNAPSHOT_LIMIT_KEY,
+  DEFAULT_RESTORE_SNAPSHOT_LIMIT,
+  MAX_RESTORE_SNAPSHOT_LIMIT,
+  getRestoreSnapshots,
+  getRestoreSnapshotLimit,
+  saveRestoreSnapshot,
+  describeRestoreSnapshot,
+  undoRestoreSnapshot
+};
@@ -79,7 +79,7 @@ async function exportSettings() {
         extensionName: 'Cookie Vault',
         extensionVersion: chrome.runtime.getManifest().version,
         exportFormat: '1.0',
-        checksum: generateChecksum(JSON.stringify(settings))
+        integrity: await createIntegrity(JSON.stringify(settings))
       }
     };
     
@@ -127,15 +127,20 @@ async function importSettings(fileContent, options = {}) {
       throw new Error('Invalid settings file format');
     }
     
-    // Verify checksum if present
-    if (importData.metadata.checksum) {
-      const settings = { ...importData };
-      delete settings.metadata;
-      const calculatedChecksum = generateChecksum(JSON.stringify(settings));
-      
-      if (calculatedChecksum !== importData.metadata.checksum) {
-        console.warn('Checksum mismatch - file may have been modified');
-      }
+    // Verify integrity (SHA-256, or the 32-bit checksum of older exports)
+    const settings = { ...importData };
+    delete settings.metadata;
+    let problems = [];
+    if (importData.metadata.integrity) {
+      ({ problems } = await verifyIntegrity(JSON.stringify(settings), importData.metadata.integrity));
+    } else if (importData.metadata.checksum &&
+        legacyChecksum(JSON.stringify(settings)) !== importData.metadata.checksum) {
+      problems = ['Checksum does not match - the file was changed or is corrupted'];
+    }
+    
+    if (problems.length > 0 && !options.ignoreIntegrity &&
+        !confirmIntegrityOverride(integrityError(problems), 'Import')) {
+      throw integrityError(problems);
     }
     
     // Default import options
@@ -378,20 +383,6 @@ async function resetSettings() {
   }
 }
 
-/**
- * Generate checksum for data integrity
- */
-function generateChecksum(data) {
-  // Simple checksum using hash
-  let hash = 0;
-  for (let i = 0; i < data.length; i++) {
-    const char = data.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return hash.toString(16);
-}
-
 /**
  * Apply theme
  */
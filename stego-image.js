@@ -0,0 +1,239 @@
+/**
+ * Steganography Module
+ * Hides a backup in a cover PNG chosen by the user. The backup bytes replace
+ * the least significant bit of the red, green and blue channels of every
+ * fully opaque pixel, row by row, so the image looks unchanged. PNG is
+ * lossless: the bits survive as long as the image is not edited, resized or
+ * converted to another format.
+ *
+ * The hidden data starts with a 9-byte header - "CVSG", a version byte and
+ * the payload length (4 bytes, big-endian) - followed by the backup file
+ * text as UTF-8. Encryption, integrity and key files therefore work exactly
+ * as for a .ckz file; the image only hides that a backup exists.
+ *
+ * Translucent pixels carry nothing: canvases store premultiplied colours,
+ * which do not give their low bits back unchanged.
+ *
+ * Loaded by popup.html; must not touch the DOM (uses createImageBitmap and
+ * OffscreenCanvas). Requires backup-format.js.
+ */
+
+const STEGO_MAGIC = [0x43, 0x56, 0x53, 0x47]; // "CVSG"
+const STEGO_VERSION = 1;
+const STEGO_HEADER_BYTES = 9;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Human-readable size for capacity messages
+ */
+function formatStegoSize(bytes) {
+  return bytes < 1024 ? `${bytes} bytes` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Check the PNG signature of a file or blob
+ */
+async function isPngImage(blob) {
+  const bytes = new Uint8Array(await blob.slice(0, PNG_SIGNATURE.length).arrayBuffer());
+  return PNG_SIGNATURE.every((byte, index) => bytes[index] === byte);
+}
+
+/**
+ * Walk the channels that carry hidden bits; each call returns the next index
+ * into imageData.data, or -1 when the image is full
+ */
+function createStegoCursor(data) {
+  let pixel = -4;
+  let channel = 3;
+  return () => {
+    if (channel === 3) {
+      do {
+        pixel += 4;
+      } while (pixel < data.length && data[pixel + 3] !== 255);
+      if (pixel >= data.length) {
+        return -1;
+      }
+      channel = 0;
+    }
+    return pixel + channel++;
+  };
+}
+
+/**
+ * Number of backup bytes an image can hide, after the header
+ * @param {ImageData} imageData - RGBA pixels of the cover image
+ */
+function getStegoCapacity(imageData) {
+  const data = imageData.data;
+  let opaque = 0;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] === 255) {
+      opaque++;
+    }
+  }
+  return Math.max(0, Math.floor(opaque * 3 / 8) - STEGO_HEADER_BYTES);
+}
+
+/**
+ * Hide bytes in the pixels of an image (modified in place)
+ * @param {ImageData} imageData - RGBA pixels of the cover image
+ * @param {Uint8Array} bytes - Payload
+ * @returns {ImageData} The same imageData
+ */
+function embedStegoBytes(imageData, bytes) {
+  const capacity = getStegoCapacity(imageData);
+  if (bytes.length > capacity) {
+    throw backupFormatError('CAPACITY',
+      `The cover image can hold ${formatStegoSize(capacity)}, but the backup needs ${formatStegoSize(bytes.length)}. Choose a larger image.`);
+  }
+
+  const message = new Uint8Array(STEGO_HEADER_BYTES + bytes.length);
+  message.set(STEGO_MAGIC);
+  message[4] = STEGO_VERSION;
+  new DataView(message.buffer).setUint32(5, bytes.length);
+  message.set(bytes, STEGO_HEADER_BYTES);
+
+  const data = imageData.data;
+  const next = createStegoCursor(data);
+  for (const byte of message) {
+    for (let bit = 7; bit >= 0; bit--) {
+      const index = next();
+      data[index] = (data[index] & 0xfe) | ((byte >> bit) & 1);
+    }
+  }
+  return imageData;
+}
+
+/**
+ * Read bytes from the channel low bits, null when the image runs out
+ */
+function readStegoBits(data, next, length) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    let byte = 0;
+    for (let bit = 0; bit < 8; bit++) {
+      const index = next();
+      if (index < 0) {
+        return null;
+      }
+      byte = (byte << 1) | (data[index] & 1);
+    }
+    bytes[i] = byte;
+  }
+  return bytes;
+}
+
+/**
+ * Recover the bytes hidden by embedStegoBytes()
+ * @param {ImageData} imageData - RGBA pixels
+ * @returns {Uint8Array|null} Payload, null when the image hides nothing
+ */
+function extractStegoBytes(imageData) {
+  const data = imageData.data;
+  const next = createStegoCursor(data);
+  const header = readStegoBits(data, next, STEGO_HEADER_BYTES);
+  if (!header || !STEGO_MAGIC.every((byte, index) => header[index] === byte)) {
+    return null;
+  }
+  if (header[4] !== STEGO_VERSION) {
+    throw backupFormatError('UNSUPPORTED', `The image hides a backup of unsupported version ${header[4]}. Please update the extension.`);
+  }
+
+  const length = new DataView(header.buffer).getUint32(5);
+  const bytes = length <= getStegoCapacity(imageData) ? readStegoBits(data, next, length) : null;
+  if (!bytes) {
+    throw backupFormatError('INVALID', 'The backup hidden in this image is incomplete. Was the image resized or cropped?');
+  }
+  return bytes;
+}
+
+/**
+ * Decode a PNG to its exact pixel values
+ * @param {Blob} blob - PNG file
+ * @returns {Promise<ImageData>}
+ */
+async function readStegoImage(blob) {
+  if (!(await isPngImage(blob))) {
+    throw backupFormatError('INVALID', 'The image is not a PNG file. Hidden backups need a lossless PNG image.');
+  }
+
+  let bitmap;
+  try {
+    // No colour management or premultiplication: either would alter the low bits
+    bitmap = await createImageBitmap(blob, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+  } catch (error) {
+    throw backupFormatError('INVALID', 'The PNG image could not be decoded.');
+  }
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Encode pixels as a PNG
+ * @returns {Promise<Blob>}
+ */
+async function writeStegoImage(imageData) {
+  const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return canvas.convertToBlob({ type: 'image/png' });
+}
+
+/**
+ * Hide a backup in a cover image
+ * @param {Blob} cover - PNG chosen by the user
+ * @param {string} backupText - Backup file contents (from createBackup())
+ * @returns {Promise<Blob>} PNG holding the backup
+ */
+async function hideBackupInImage(cover, backupText) {
+  const bytes = new TextEncoder().encode(backupText);
+  const image = await writeStegoImage(embedStegoBytes(await readStegoImage(cover), bytes));
+
+  // Read it back before handing it out: a PNG that lost bits is no backup
+  const hidden = extractStegoBytes(await readStegoImage(image));
+  if (!hidden || hidden.length !== bytes.length || hidden.some((byte, index) => byte !== bytes[index])) {
+    throw backupFormatError('INVALID', 'The browser changed the image while encoding it. Try another cover image.');
+  }
+  return image;
+}
+
+/**
+ * Extract the backup hidden by hideBackupInImage()
+ * @param {Blob} blob - PNG file
+ * @returns {Promise<string>} Backup file contents, ready for readBackup()
+ */
+async function extractBackupFromImage(blob) {
+  const bytes = extractStegoBytes(await readStegoImage(blob));
+  if (!bytes) {
+    throw backupFormatError('INVALID', 'This image does not contain a hidden backup.');
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STEGO_HEADER_BYTES,
+    getStegoCapacity,
+    embedStegoBytes,
+    extractStegoBytes,
+    hideBackupInImage,
+    extractBackupFromImage
+  };
+}
+
+// Make functions globally available
+self.stegoImage = {
+  STEGO_HEADER_BYTES,
+  formatStegoSize,
+  isPngImage,
+  getStegoCapacity,
+  embedStegoBytes,
+  extractStegoBytes,
+  readStegoImage,
+  hideBackupInImage,
+  extractBackupFromImage
+};
@@ -435,6 +435,18 @@ function escapeHtml(text) {
   return text.replace(/[&<>"']/g, m => map[m]);
 }
 
+/**
+ * Show the report of a failed integrity check and ask whether to continue anyway
+ * @returns {boolean} True when the user explicitly overrides the check
+ */
+function confirmIntegrityOverride(error, action = 'Restore') {
+  const report = (error.problems || [error.message]).map(problem => `• ${problem}`).join('\n');
+  return confirm(
+    `Integrity check failed:\n\n${report}\n\n` +
+    `The file may be corrupted or may have been modified. ${action} anyway?`
+  );
+}
+
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -464,7 +476,8 @@ if (typeof module !== 'undefined' && module.exports) {
     initializeTheme,
     validateEmail,
     validateUrl,
-    escapeHtml
+    escapeHtml,
+    confirmIntegrityOverride
   };
 }
 
@@ -0,0 +1,481 @@
+/**
+ * XChaCha20-Poly1305 Module
+ * Pure JS authenticated encryption: ChaCha20 and Poly1305 as in RFC 8439,
+ * extended to 192-bit nonces with HChaCha20 (draft-irtf-cfrg-xchacha-03).
+ * The long random nonce makes nonce reuse across backups a non-issue.
+ *
+ * Password encryption produces a self-describing envelope, tagged by its
+ * "cipher" field so readers can tell it from SJCL ciphertext:
+ *
+ *   {
+ *     "cipher": "xchacha20-poly1305",
+ *     "kdf": { "name": "pbkdf2-hmac-sha256", "iterations": 10000, "salt": <base64> } | null,
+ *     "nonce": <base64, 24 bytes>,
+ *     "adata": <base64 authenticated data> | "",
+ *     "ct": <base64 ciphertext followed by the 16 byte Poly1305 tag>
+ *   }
+ *
+ * kdf is null when the caller derived the key itself (scrypt backups, see
+ * key-derivation.js).
+ *
+ * The primitives are checked against the published test vectors
+ * (XCHACHA20_TEST_VECTORS) before the first encryption or decryption.
+ *
+ * This file is loaded both by popup.html and by the service worker
+ * (importScripts), so it must not touch the DOM. Requires integrity.js,
+ * key-derivation.js and backup-format.js (base64 helpers).
+ */
+
+const XCHACHA20_CIPHER_ID = 'xchacha20-poly1305';
+const XCHACHA20_KEY_BYTES = 32;
+const XCHACHA20_NONCE_BYTES = 24;
+const XCHACHA20_SALT_BYTES = 16;
+const POLY1305_TAG_BYTES = 16;
+
+// "expand 32-byte k"
+const CHACHA20_CONSTANTS = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+
+// RFC 8439 sections 2.4.2, 2.5.2 and 2.8.2; draft-irtf-cfrg-xchacha-03 sections 2.2.1 and A.3.1
+const XCHACHA20_TEST_VECTORS = {
+  sunscreen: "Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, sunscreen would be it.",
+  chacha20: {
+    key: '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f',
+    nonce: '000000000000004a00000000',
+    counter: 1,
+    ciphertext: '6e2e359a2568f98041ba0728dd0d6981e97e7aec1d4360c20a27afccfd9fae0b' +
+      'f91b65c5524733ab8f593dabcd62b3571639d624e65152ab8f530c359f0861d8' +
+      '07ca0dbf500d6a6156a38e088a22b65e52bc514d16ccf806818ce91ab7793736' +
+      '5af90bbf74a35be6b40b8eedf2785e42874d'
+  },
+  poly1305: {
+    key: '85d6be7857556d337f4452fe42d506a80103808afb0db2fd4abff6af4149f51b',
+    message: 'Cryptographic Forum Research Group',
+    tag: 'a8061dc1305136c6c22b8baf0c0127a9'
+  },
+  chacha20Poly1305: {
+    key: '808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f',
+    nonce: '070000004041424344454647',
+    aad: '50515253c0c1c2c3c4c5c6c7',
+    ciphertext: 'd31a8d34648e60db7b86afbc53ef7ec2a4aded51296e08fea9e2b5a736ee62d6' +
+      '3dbea45e8ca9671282fafb69da92728b1a71de0a9e060b2905d6a5b67ecd3b36' +
+      '92ddbd7f2d778b8c9803aee328091b58fab324e4fad675945585808b4831d7bc' +
+      '3ff4def08e4b7a9de576d26586cec64b6116',
+    tag: '1ae10b594f09e26a7e902ecbd0600691'
+  },
+  hchacha20: {
+    key: '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f',
+    nonce: '000000090000004a0000000031415927',
+    subkey: '82413b4227b27bfed30e42508a877d73a0f9e4d58a74a853c12ec41326d3ecdc'
+  },
+  xchacha20Poly1305: {
+    key: '808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f',
+    nonce: '404142434445464748494a4b4c4d4e4f5051525354555657',
+    aad: '50515253c0c1c2c3c4c5c6c7',
+    ciphertext: 'bd6d179d3e83d43b9576579493c0e939572a1700252bfaccbed2902c21396cbb' +
+      '731c7f1b0b4aa6440bf3a82f4eda7e39ae64c6708c54c216cb96b72e1213b452' +
+      '2f8c9ba40db5d945b11b69b982c1bb9e3f3fac2bc369488f76b2383565d3fff9' +
+      '21f9664c97637da9768812f615c68b13b52e',
+    tag: 'c0875924c1c7987947deafd8780acf49'
+  }
+};
+
+let xchacha20SelfTestPassed = false;
+
+function rotateLeft32(value, bits) {
+  return (value << bits) | (value >>> (32 - bits));
+}
+
+function chacha20QuarterRound(state, a, b, c, d) {
+  state[a] += state[b]; state[d] = rotateLeft32(state[d] ^ state[a], 16);
+  state[c] += state[d]; state[b] = rotateLeft32(state[b] ^ state[c], 12);
+  state[a] += state[b]; state[d] = rotateLeft32(state[d] ^ state[a], 8);
+  state[c] += state[d]; state[b] = rotateLeft32(state[b] ^ state[c], 7);
+}
+
+/**
+ * Read little-endian 32-bit words from bytes
+ */
+function bytesToWords32(bytes, offset, count) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset + offset, count * 4);
+  const words = [];
+  for (let i = 0; i < count; i++) {
+    words.push(view.getUint32(i * 4, true));
+  }
+  return words;
+}
+
+/**
+ * Initial ChaCha20 state: constants, key, then 16 bytes of counter and nonce
+ */
+function createChacha20State(key, counterAndNonce) {
+  if (key.length !== XCHACHA20_KEY_BYTES) {
+    throw new Error('ChaCha20 keys are 32 bytes');
+  }
+  return Uint32Array.from(CHACHA20_CONSTANTS.concat(bytesToWords32(key, 0, 8), counterAndNonce));
+}
+
+/**
+ * The 20 rounds (10 column/diagonal double rounds) over a copy of the state
+ */
+function chacha20Rounds(state) {
+  const working = Uint32Array.from(state);
+  for (let i = 0; i < 10; i++) {
+    chacha20QuarterRound(working, 0, 4, 8, 12);
+    chacha20QuarterRound(working, 1, 5, 9, 13);
+    chacha20QuarterRound(working, 2, 6, 10, 14);
+    chacha20QuarterRound(working, 3, 7, 11, 15);
+    chacha20QuarterRound(working, 0, 5, 10, 15);
+    chacha20QuarterRound(working, 1, 6, 11, 12);
+    chacha20QuarterRound(working, 2, 7, 8, 13);
+    chacha20QuarterRound(working, 3, 4, 9, 14);
+  }
+  return working;
+}
+
+/**
+ * Encrypt or decrypt with the ChaCha20 stream cipher (RFC 8439, 96-bit nonce)
+ * @param {Uint8Array} key - 32 bytes
+ * @param {Uint8Array} nonce - 12 bytes
+ * @param {number} counter - Block counter of the first block
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function chacha20Xor(key, nonce, counter, data) {
+  if (nonce.length !== 12) {
+    throw new Error('ChaCha20 nonces are 12 bytes');
+  }
+  const state = createChacha20State(key, [counter].concat(bytesToWords32(nonce, 0, 3)));
+  const output = new Uint8Array(data.length);
+  const keyStream = new Uint8Array(64);
+  const keyStreamView = new DataView(keyStream.buffer);
+
+  for (let offset = 0; offset < data.length; offset += 64) {
+    const working = chacha20Rounds(state);
+    for (let i = 0; i < 16; i++) {
+      keyStreamView.setUint32(i * 4, (working[i] + state[i]) >>> 0, true);
+    }
+    const end = Math.min(64, data.length - offset);
+    for (let i = 0; i < end; i++) {
+      output[offset + i] = data[offset + i] ^ keyStream[i];
+    }
+    state[12]++;
+    if (state[12] === 0 && offset + 64 < data.length) {
+      throw new Error('ChaCha20 block counter overflow');
+    }
+  }
+  return output;
+}
+
+/**
+ * Derive a subkey from a key and the first 16 nonce bytes (HChaCha20)
+ */
+function hchacha20(key, nonce) {
+  if (nonce.length !== 16) {
+    throw new Error('HChaCha20 nonces are 16 bytes');
+  }
+  const working = chacha20Rounds(createChacha20State(key, bytesToWords32(nonce, 0, 4)));
+  const subkey = new Uint8Array(XCHACHA20_KEY_BYTES);
+  const view = new DataView(subkey.buffer);
+  [0, 1, 2, 3, 12, 13, 14, 15].forEach((word, i) => view.setUint32(i * 4, working[word], true));
+  return subkey;
+}
+
+/**
+ * Little-endian bytes as a BigInt
+ */
+function bytesToBigIntLE(bytes) {
+  let value = 0n;
+  for (let i = bytes.length - 1; i >= 0; i--) {
+    value = (value << 8n) | BigInt(bytes[i]);
+  }
+  return value;
+}
+
+/**
+ * Poly1305 one-time authenticator (RFC 8439 section 2.5)
+ * @param {Uint8Array} key - 32 byte one-time key
+ * @param {Uint8Array} message
+ * @returns {Uint8Array} 16 byte tag
+ */
+function poly1305(key, message) {
+  const p = (1n << 130n) - 5n;
+  const r = bytesToBigIntLE(key.subarray(0, 16)) & 0x0ffffffc0ffffffc0ffffffc0fffffffn;
+  const s = bytesToBigIntLE(key.subarray(16, 32));
+  let accumulator = 0n;
+
+  for (let offset = 0; offset < message.length; offset += 16) {
+    const block = message.subarray(offset, offset + 16);
+    const n = bytesToBigIntLE(block) | (1n << BigInt(block.length * 8));
+    accumulator = ((accumulator + n) * r) % p;
+  }
+
+  let tag = (accumulator + s) & ((1n << 128n) - 1n);
+  const bytes = new Uint8Array(POLY1305_TAG_BYTES);
+  for (let i = 0; i < POLY1305_TAG_BYTES; i++) {
+    bytes[i] = Number(tag & 0xffn);
+    tag >>= 8n;
+  }
+  return bytes;
+}
+
+/**
+ * Poly1305 input of the AEAD: aad, ciphertext, each padded to 16 bytes, then both lengths
+ */
+function getAeadMacData(aad, cipherText) {
+  const pad = length => (16 - (length % 16)) % 16;
+  const aadEnd = aad.length + pad(aad.length);
+  const cipherEnd = aadEnd + cipherText.length + pad(cipherText.length);
+  const macData = new Uint8Array(cipherEnd + 16);
+  const view = new DataView(macData.buffer);
+
+  macData.set(aad, 0);
+  macData.set(cipherText, aadEnd);
+  view.setUint32(cipherEnd, aad.length, true);
+  view.setUint32(cipherEnd + 8, cipherText.length, true);
+  return macData;
+}
+
+/**
+ * Compare two byte arrays without stopping at the first difference
+ */
+function bytesEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * ChaCha20-Poly1305 AEAD encryption (RFC 8439 section 2.8)
+ * @returns {Uint8Array} Ciphertext followed by the 16 byte tag
+ */
+function chacha20Poly1305Encrypt(key, nonce, plaintext, aad = new Uint8Array(0)) {
+  const oneTimeKey = chacha20Xor(key, nonce, 0, new Uint8Array(32));
+  const cipherText = chacha20Xor(key, nonce, 1, plaintext);
+  const sealed = new Uint8Array(cipherText.length + POLY1305_TAG_BYTES);
+  sealed.set(cipherText, 0);
+  sealed.set(poly1305(oneTimeKey, getAeadMacData(aad, cipherText)), cipherText.length);
+  return sealed;
+}
+
+/**
+ * ChaCha20-Poly1305 AEAD decryption
+ * @returns {Uint8Array|null} Plaintext, or null when the tag does not match
+ */
+function chacha20Poly1305Decrypt(key, nonce, sealed, aad = new Uint8Array(0)) {
+  if (sealed.length < POLY1305_TAG_BYTES) {
+    return null;
+  }
+  const cipherText = sealed.subarray(0, sealed.length - POLY1305_TAG_BYTES);
+  const oneTimeKey = chacha20Xor(key, nonce, 0, new Uint8Array(32));
+  const tag = poly1305(oneTimeKey, getAeadMacData(aad, cipherText));
+  if (!bytesEqual(tag, sealed.subarray(cipherText.length))) {
+    return null;
+  }
+  return chacha20Xor(key, nonce, 1, cipherText);
+}
+
+/**
+ * HChaCha20 subkey and ChaCha20 nonce for a 24 byte XChaCha20 nonce
+ */
+function getXChaCha20Subkey(key, nonce) {
+  if (nonce.length !== XCHACHA20_NONCE_BYTES) {
+    throw new Error('XChaCha20 nonces are 24 bytes');
+  }
+  const chachaNonce = new Uint8Array(12);
+  chachaNonce.set(nonce.subarray(16), 4);
+  return { subkey: hchacha20(key, nonce.subarray(0, 16)), chachaNonce };
+}
+
+/**
+ * XChaCha20-Poly1305 AEAD encryption
+ * @returns {Uint8Array} Ciphertext followed by the 16 byte tag
+ */
+function xchacha20Poly1305Encrypt(key, nonce, plaintext, aad) {
+  const { subkey, chachaNonce } = getXChaCha20Subkey(key, nonce);
+  return chacha20Poly1305Encrypt(subkey, chachaNonce, plaintext, aad);
+}
+
+/**
+ * XChaCha20-Poly1305 AEAD decryption
+ * @returns {Uint8Array|null} Plaintext, or null when the tag does not match
+ */
+function xchacha20Poly1305Decrypt(key, nonce, sealed, aad) {
+  const { subkey, chachaNonce } = getXChaCha20Subkey(key, nonce);
+  return chacha20Poly1305Decrypt(subkey, chachaNonce, sealed, aad);
+}
+
+/**
+ * Run the published test vectors
+ * @returns {Array<string>} Names of the vectors that failed (empty when all pass)
+ */
+function verifyXChaCha20TestVectors() {
+  const vectors = XCHACHA20_TEST_VECTORS;
+  const text = value => new TextEncoder().encode(value);
+  const hex = value => bufferToHex(value);
+  const failures = [];
+  const check = (name, run) => {
+    try {
+      if (!run()) {
+        failures.push(name);
+      }
+    } catch (error) {
+      failures.push(name);
+    }
+  };
+
+  check('ChaCha20 (RFC 8439 2.4.2)', () => {
+    const v = vectors.chacha20;
+    return hex(chacha20Xor(hexToBytes(v.key), hexToBytes(v.nonce), v.counter, text(vectors.sunscreen))) === v.ciphertext;
+  });
+  check('Poly1305 (RFC 8439 2.5.2)', () => {
+    const v = vectors.poly1305;
+    return hex(poly1305(hexToBytes(v.key), text(v.message))) === v.tag;
+  });
+  check('ChaCha20-Poly1305 (RFC 8439 2.8.2)', () => {
+    const v = vectors.chacha20Poly1305;
+    const sealed = chacha20Poly1305Encrypt(hexToBytes(v.key), hexToBytes(v.nonce), text(vectors.sunscreen), hexToBytes(v.aad));
+    const opened = chacha20Poly1305Decrypt(hexToBytes(v.key), hexToBytes(v.nonce), sealed, hexToBytes(v.aad));
+    return hex(sealed) === v.ciphertext + v.tag && !!opened && new TextDecoder().decode(opened) === vectors.sunscreen;
+  });
+  check('HChaCha20 (XChaCha draft 2.2.1)', () => {
+    const v = vectors.hchacha20;
+    return hex(hchacha20(hexToBytes(v.key), hexToBytes(v.nonce))) === v.subkey;
+  });
+  check('XChaCha20-Poly1305 (XChaCha draft A.3.1)', () => {
+    const v = vectors.xchacha20Poly1305;
+    const sealed = xchacha20Poly1305Encrypt(hexToBytes(v.key), hexToBytes(v.nonce), text(vectors.sunscreen), hexToBytes(v.aad));
+    const tampered = Uint8Array.from(sealed);
+    tampered[0] ^= 1;
+    return hex(sealed) === v.ciphertext + v.tag &&
+      xchacha20Poly1305Decrypt(hexToBytes(v.key), hexToBytes(v.nonce), tampered, hexToBytes(v.aad)) === null;
+  });
+  return failures;
+}
+
+/**
+ * Refuse to encrypt or decrypt with primitives that fail their test vectors
+ */
+function ensureXChaCha20SelfTest() {
+  if (xchacha20SelfTestPassed) {
+    return;
+  }
+  const failures = verifyXChaCha20TestVectors();
+  if (failures.length > 0) {
+    throw new Error(`XChaCha20-Poly1305 self-test failed: ${failures.join(', ')}`);
+  }
+  xchacha20SelfTestPassed = true;
+}
+
+/**
+ * Check whether a parsed value is an XChaCha20-Poly1305 envelope
+ */
+function isXChaCha20Envelope(value) {
+  return !!value && typeof value === 'object' && value.cipher === XCHACHA20_CIPHER_ID &&
+    typeof value.ct === 'string' && typeof value.nonce === 'string';
+}
+
+/**
+ * Encrypt text or bytes with a password or a ready-made key
+ * @param {string|Uint8Array} plaintext
+ * @param {string} password - Ignored when options.key is set
+ * @param {Object} options - { iterations, adata, key } adata (text) is authenticated, not
+ *   encrypted; key (32 bytes) skips the PBKDF2 step
+ * @returns {Promise<Object>} Envelope (see the module header)
+ */
+async function encryptXChaCha20(plaintext, password, options = {}) {
+  ensureXChaCha20SelfTest();
+  const nonce = crypto.getRandomValues(new Uint8Array(XCHACHA20_NONCE_BYTES));
+  const adata = options.adata ? integrityBytes(options.adata) : new Uint8Array(0);
+  let key = options.key;
+  let kdf = null;
+
+  if (!key) {
+    const salt = crypto.getRandomValues(new Uint8Array(XCHACHA20_SALT_BYTES));
+    kdf = { name: 'pbkdf2-hmac-sha256', iterations: options.iterations || DEFAULT_BACKUP_ITERATIONS, salt: bytesToBase64(salt) };
+    key = await pbkdf2Sha256(password, salt, kdf.iterations, XCHACHA20_KEY_BYTES);
+  }
+
+  return {
+    cipher: XCHACHA20_CIPHER_ID,
+    kdf: kdf,
+    nonce: bytesToBase64(nonce),
+    adata: bytesToBase64(adata),
+    ct: bytesToBase64(xchacha20Poly1305Encrypt(key, nonce, integrityBytes(plaintext), adata))
+  };
+}
+
+/**
+ * Authenticated data of an envelope as text
+ */
+function getXChaCha20Adata(envelope) {
+  return envelope.adata ? new TextDecoder().decode(base64ToBytes(envelope.adata)) : '';
+}
+
+/**
+ * Decrypt an envelope made by encryptXChaCha20()
+ * @param {Object} options - { key } needed for envelopes without a kdf
+ * @returns {Promise<Uint8Array>} Plaintext bytes
+ *   Throws an error with code BAD_PASSWORD when the password is wrong or the
+ *   envelope was modified.
+ */
+async function decryptXChaCha20(envelope, password, options = {}) {
+  ensureXChaCha20SelfTest();
+  const kdf = isXChaCha20Envelope(envelope) ? envelope.kdf : undefined;
+  if (kdf === undefined || (kdf && kdf.name !== 'pbkdf2-hmac-sha256') || (!kdf && !options.key)) {
+    throw backupFormatError('INVALID', 'XChaCha20-Poly1305 data is missing or damaged');
+  }
+
+  let salt;
+  let nonce;
+  let sealed;
+  let adata;
+  try {
+    salt = kdf ? base64ToBytes(kdf.salt) : null;
+    nonce = base64ToBytes(envelope.nonce);
+    sealed = base64ToBytes(envelope.ct);
+    adata = base64ToBytes(envelope.adata || '');
+  } catch (error) {
+    throw backupFormatError('INVALID', 'XChaCha20-Poly1305 data is missing or damaged');
+  }
+
+  const key = kdf ? await pbkdf2Sha256(password, salt, kdf.iterations, XCHACHA20_KEY_BYTES) : options.key;
+  const plaintext = xchacha20Poly1305Decrypt(key, nonce, sealed, adata);
+  if (!plaintext) {
+    throw backupFormatError('BAD_PASSWORD', 'Password incorrect or backup has been modified');
+  }
+  return plaintext;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    XCHACHA20_CIPHER_ID,
+    XCHACHA20_TEST_VECTORS,
+    chacha20Xor,
+    hchacha20,
+    poly1305,
+    chacha20Poly1305Encrypt,
+    chacha20Poly1305Decrypt,
+    xchacha20Poly1305Encrypt,
+    xchacha20Poly1305Decrypt,
+    verifyXChaCha20TestVectors,
+    isXChaCha20Envelope,
+    encryptXChaCha20,
+    decryptXChaCha20
+  };
+}
+
+// Shared namespace for the popup and the service worker
+self.xchacha20 = {
+  XCHACHA20_CIPHER_ID,
+  verifyXChaCha20TestVectors,
+  isXChaCha20Envelope,
+  encryptXChaCha20,
+  decryptXChaCha20,
+  getXChaCha20Adata
+};